@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createStore } = require('./storage');
+const { defaultQuota, normalizeQuota, addUsage } = require('./quotas');
+
+// Local user accounts and the workspaces they belong to. Analyses, codebooks,
+// share links and API tokens belong to one workspace, whose members are
+// 'admin' (members, quota and API tokens) or 'member'. Passwords are hashed
+// with scrypt; accounts that sign in through OIDC are matched by issuer and
+// subject. An email match only links an account that was added without a
+// password and has never signed in (so a member invited by email can sign in
+// with single sign-on); accounts with a password or another identity are
+// never taken over by an identity that merely claims their email.
+const WORKSPACE_ROLES = ['admin', 'member'];
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const scrypt = promisify(crypto.scrypt);
+
+const users = createStore('users', {
+  summarize: user => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    oidc: user.oidc ? `${user.oidc.issuer} ${user.oidc.subject}` : null,
+    createdAt: user.createdAt
+  })
+});
+
+const workspaces = createStore('workspaces', {
+  summarize: workspace => ({
+    id: workspace.id,
+    name: workspace.name,
+    members: workspace.members,
+    createdAt: workspace.createdAt
+  })
+});
+
+function accountError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeEmail(email) {
+  const value = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(value)) {
+    throw accountError('A valid email address is required');
+  }
+  return value;
+}
+
+function cleanName(value, fallback) {
+  const name = typeof value === 'string' ? value.trim().substring(0, MAX_NAME_LENGTH) : '';
+  return name || fallback;
+}
+
+async function hashPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw accountError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('base64url')}`;
+}
+
+async function passwordMatches(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(String(password), salt, 64);
+  const expectedHash = Buffer.from(expected, 'base64url');
+  return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+// Account without its password hash
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+async function hasUsers() {
+  return (await users.list()).length > 0;
+}
+
+async function findUserByEmail(email) {
+  const entry = (await users.list()).find(user => user.email === email);
+  return entry ? users.get(entry.id) : null;
+}
+
+async function createUser({ email, name, password, oidc }) {
+  const address = normalizeEmail(email);
+  if (await findUserByEmail(address)) {
+    throw accountError('An account with this email already exists', 409);
+  }
+  return users.save({
+    email: address,
+    name: cleanName(name, address.split('@')[0]),
+    passwordHash: password === undefined ? null : await hashPassword(password),
+    oidc: oidc || null
+  });
+}
+
+// The account for an email and password, or null. Accounts without a
+// password (OIDC only) never match.
+async function authenticatePassword(email, password) {
+  let user = null;
+  try {
+    user = await findUserByEmail(normalizeEmail(email));
+  } catch (error) {
+    return null;
+  }
+  if (!user || !user.passwordHash) return null;
+  return await passwordMatches(password, user.passwordHash) ? user : null;
+}
+
+// The account for an OIDC identity ({ issuer, subject, email, name }):
+// linked by issuer and subject, else an invited account (no password, no
+// identity yet) with its email, else a new account if `create` (null
+// otherwise). Any other account with the email refuses with status 409.
+async function findOrCreateOidcUser(identity, { create = true } = {}) {
+  const key = `${identity.issuer} ${identity.subject}`;
+  const linked = (await users.list()).find(user => user.oidc === key);
+  if (linked) return users.get(linked.id);
+
+  const email = normalizeEmail(identity.email);
+  const existing = await findUserByEmail(email);
+  const oidc = { issuer: identity.issuer, subject: identity.subject };
+  if (existing) {
+    return users.update(existing.id, user => {
+      if (user.passwordHash || user.oidc) {
+        throw accountError(`${email} already has an account that signs in another way; sign in with it instead`, 409);
+      }
+      return { ...user, oidc };
+    });
+  }
+  return create ? createUser({ email, name: identity.name, oidc }) : null;
+}
+
+function memberRole(workspace, userId) {
+  const member = workspace && workspace.members.find(entry => entry.userId === userId);
+  return member ? member.role : null;
+}
+
+async function createWorkspace(name, userId) {
+  return workspaces.save({
+    name: cleanName(name, 'My workspace'),
+    members: [{ userId, role: 'admin', addedAt: new Date().toISOString() }],
+    quota: defaultQuota('WORKSPACE_QUOTA'),
+    usage: {}
+  });
+}
+
+// Workspace summaries a user is a member of, oldest first
+async function workspacesFor(userId) {
+  return (await workspaces.list())
+    .filter(workspace => memberRole(workspace, userId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Members with their email and name, for the workspace panel
+async function listMembers(workspace) {
+  const all = await users.list();
+  return workspace.members.map(member => {
+    const user = all.find(entry => entry.id === member.userId);
+    return {
+      ...member,
+      email: user ? user.email : null,
+      name: user ? user.name : null,
+      singleSignOn: !!(user && user.oidc)
+    };
+  });
+}
+
+// Add a member by email, creating the account when there is none: with a
+// password it can sign in locally, without one only through OIDC. Resolves
+// to null for an unknown workspace.
+async function addMember(workspaceId, { email, role = 'member', name, password } = {}) {
+  if (!WORKSPACE_ROLES.includes(role)) {
+    throw accountError(`role must be one of: ${WORKSPACE_ROLES.join(', ')}`);
+  }
+  const address = normalizeEmail(email);
+  const workspace = await workspaces.get(workspaceId);
+  if (!workspace) return null;
+  const user = await findUserByEmail(address) || await createUser({ email: address, name, password: password || undefined });
+  return workspaces.update(workspaceId, current => {
+    const members = current.members.filter(member => member.userId !== user.id);
+    members.push({ userId: user.id, role, addedAt: new Date().toISOString() });
+    if (!members.some(member => member.role === 'admin')) {
+      throw accountError('A workspace needs at least one admin');
+    }
+    return { ...current, members };
+  });
+}
+
+// Resolves to null for an unknown workspace
+function removeMember(workspaceId, userId) {
+  return workspaces.update(workspaceId, workspace => {
+    if (!memberRole(workspace, userId)) {
+      throw accountError('Not a member of this workspace', 404);
+    }
+    const members = workspace.members.filter(member => member.userId !== userId);
+    if (!members.some(member => member.role === 'admin')) {
+      throw accountError('A workspace needs at least one admin');
+    }
+    return { ...workspace, members };
+  });
+}
+
+function setWorkspaceQuota(workspaceId, body) {
+  return workspaces.update(workspaceId, workspace => ({ ...workspace, quota: normalizeQuota(body, workspace.quota) }));
+}
+
+function recordWorkspaceUsage(workspaceId, delta) {
+  return workspaces.update(workspaceId, workspace => ({ ...workspace, usage: addUsage(workspace.usage, delta) }));
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  users,
+  workspaces,
+  publicUser,
+  hasUsers,
+  createUser,
+  authenticatePassword,
+  findOrCreateOidcUser,
+  memberRole,
+  createWorkspace,
+  workspacesFor,
+  listMembers,
+  addMember,
+  removeMember,
+  setWorkspaceQuota,
+  recordWorkspaceUsage
+};
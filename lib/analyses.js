@@ -0,0 +1,67 @@
+const { createStore } = require('./storage');
+
+// Completed analyses, stored so results survive a page refresh and can be
+// reopened without calling Claude again
+const analyses = createStore('analyses', {
+  summarize: record => ({
+    id: record.id,
+    workspaceId: record.workspaceId,
+    fileName: record.fileName,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    originalRowCount: record.result.originalRowCount,
+    totalComments: record.result.totalComments,
+    totalTopics: record.result.topics.length,
+    themes: record.result.topics.slice(0, 5).map(topic => ({
+      title: topic.title,
+      percentage: topic.percentage
+    }))
+  })
+});
+
+// The source rows are kept next to the result rather than inside it so the
+// (potentially large) original file isn't sent to every client that opens it
+function saveAnalysisResult({ source, ...result }, { fileName, options, workspaceId } = {}) {
+  return analyses.save({
+    ...(workspaceId ? { workspaceId } : {}),
+    fileName: fileName || 'upload.csv',
+    options: options || {},
+    source: source || null,
+    result
+  });
+}
+
+// Replace a stored analysis with its re-analysis after rows were appended,
+// keeping a history of the appends and the review summary (reviewed
+// classifications come back from the cache). Resolves to null for an
+// unknown id.
+function appendAnalysisResult(id, { source, ...result }, { fileName } = {}) {
+  return analyses.update(id, record => ({
+    ...record,
+    source: source || record.source,
+    result: record.result.review ? {
+      ...result,
+      review: {
+        ...record.result.review,
+        reviewedComments: result.topics.reduce((sum, topic) => sum + topic.comments.filter(comment => comment.reviewed).length, 0)
+      }
+    } : result,
+    appends: [...(record.appends || []), {
+      fileName: fileName || 'upload.csv',
+      appendedAt: new Date().toISOString(),
+      ...result.appended
+    }]
+  }));
+}
+
+function withoutSource(record) {
+  const { source, ...rest } = record;
+  return rest;
+}
+
+module.exports = {
+  analyses,
+  saveAnalysisResult,
+  appendAnalysisResult,
+  withoutSource
+};
@@ -0,0 +1,1134 @@
+const fs = require('fs');
+const _ = require('lodash');
+const llm = require('./llm');
+const { discoverTopics, scoreGrouping } = require('./topics');
+const { FALLBACK_THEME, classifyBatch } = require('./classification');
+const { LLM_SENTIMENT_BATCH_SIZE, analyzeSentiments, resolveSentimentOptions } = require('./sentiment');
+const { discoverThemes, planDiscoverySamples, spread } = require('./discovery');
+const { buildTrends } = require('./trends');
+const { buildSegments } = require('./segments');
+const { reportProgress, reportWait, throwIfCancelled } = require('./jobs');
+const cache = require('./cache');
+const { readUpload, rowHash } = require('./ingest');
+const { assessComments, commentWeight } = require('./quality');
+const { createRedactor } = require('./redaction');
+const { detectLanguages, languageName, resolveLanguageOptions, tokenize } = require('./language');
+const { TRANSLATION_BATCH_SIZE, translateComments } = require('./translation');
+
+// auto: LLM themes when a provider is configured, offline topics otherwise
+// (and as a fallback when the LLM fails); llm/offline force one method
+const THEME_MODES = ['auto', 'llm', 'offline'];
+// Comments an LLM run clusters offline at most, evenly spread over the
+// dataset: enough to diversify the discovery samples and give a baseline
+// without k-means over every comment
+const LLM_BASELINE_MAX_COMMENTS = 2000;
+// Fewest leftover comments a hybrid codebook run proposes new themes for
+const MIN_CANDIDATE_COMMENTS = 5;
+
+// Heuristic fallback used when the caller doesn't name the comment column(s):
+// any column whose first values average more than 10 characters
+function detectCommentColumns(rows) {
+  const columns = Object.keys(rows[0] || {});
+  const commentColumns = columns.filter(key => {
+    const avgLength = rows.slice(0, 10).reduce((sum, row) => 
+      sum + (row[key] || '').length, 0) / 10;
+    return avgLength > 10; // Lowered from 20 to 10 chars - more lenient
+  });
+  
+  // Fallback: if no comment columns detected, use all text columns
+  if (commentColumns.length === 0) {
+    console.log('No comment columns detected, using all columns with text data');
+    const allColumns = columns.filter(key => {
+      const hasText = rows.slice(0, 5).some(row => 
+        (row[key] || '').trim().length > 0 && isNaN(row[key])
+      );
+      return hasText;
+    });
+    commentColumns.push(...allColumns);
+  }
+  
+  return commentColumns;
+}
+
+// Check the requested comment/metadata/filter columns against the file headers
+function resolveColumns(headers, options) {
+  const requested = [
+    ...(options.commentColumns || []),
+    ...(options.metadataColumns || []),
+    ...(options.filter ? [options.filter.column] : []),
+    ...(options.dateColumn ? [options.dateColumn] : []),
+    ...(options.segmentColumns || [])
+  ];
+  const unknown = _.uniq(requested.filter(col => !headers.includes(col)));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column(s): ${unknown.join(', ')}. Available columns: ${headers.join(', ')}`);
+  }
+  
+  const commentColumns = [...(options.commentColumns || [])];
+  return {
+    commentColumns,
+    autoDetected: commentColumns.length === 0,
+    metadataColumns: [...(options.metadataColumns || [])],
+    filter: options.filter && options.filter.values.length > 0 ? options.filter : null
+  };
+}
+
+// 100-175 comments per classification request, at most ~10 requests
+function classificationBatchSize(commentCount) {
+  return Math.min(175, Math.max(100, Math.ceil(commentCount / 10)));
+}
+
+function buildClassificationPrompt(identifiedThemes, items) {
+  return `Classify each of these comments into one of the identified themes. Each comment should be assigned to exactly one theme.
+
+Available themes:
+${identifiedThemes.map((theme, idx) => 
+  `${idx + 1}. ${theme.name}: ${theme.description}${theme.examples && theme.examples.length ? `\n   Examples: ${theme.examples.map(example => `"${example}"`).join('; ')}` : ''}`).join('\n')}
+${identifiedThemes.length + 1}. ${FALLBACK_THEME}: Comments that do not fit any of the themes above
+
+If a comment does not clearly fit any theme, use "${FALLBACK_THEME}" rather than forcing it into the closest one.
+
+Comments to classify:
+${items.map(item => `${item.index}. ${item.text}`).join('\n')}
+
+Respond in JSON format with an array of classifications:
+{
+  "classifications": [
+    {
+      "commentIndex": 1,
+      "themeName": "Exact theme name from above",
+      "confidence": 0.9
+    }
+  ]
+}`;
+}
+
+// Classify `items` ([{ index, text }], 1-based comment indices) into the
+// given themes (or Uncategorized) in batches, sent as fast as the LLM
+// scheduler's limits allow. `percent` is the [from, to] range of job progress
+// this pass covers.
+async function classifyComments(items, identifiedThemes, job, { percent = [20, 85] } = {}) {
+  // The classifier may also answer Uncategorized for comments that fit no theme
+  const themeNames = [...identifiedThemes.map(theme => theme.name), FALLBACK_THEME];
+  const stats = { requests: 0, retriedComments: 0, fuzzyMatched: 0, fallback: 0, failedRequests: 0 };
+  const batchSize = classificationBatchSize(items.length);
+  const actualBatches = Math.ceil(items.length / batchSize);
+  let finished = 0;
+
+  console.log(`SMART BATCHING: ${items.length} comments in ${actualBatches} batches of ~${batchSize} each`);
+  reportProgress(job, 'classification', `Classifying ${items.length} comments in ${actualBatches} batch${actualBatches === 1 ? '' : 'es'}...`,
+    { current: 0, total: actualBatches, percent: percent[0] });
+
+  // One model call for a batch or retry sub-batch; rate limits and transient
+  // errors are retried by the scheduler, anything else is left to classifyBatch
+  const requestBatch = batchItems => llm.complete('classification', buildClassificationPrompt(identifiedThemes, batchItems), {
+    signal: job.signal,
+    usage: job.llmUsage,
+    onWait: (ms, reason) => reportWait(job, 'classification', ms, reason),
+    context: { themes: identifiedThemes, comments: batchItems }
+  });
+
+  const classifyOne = async start => {
+    const batchNumber = start / batchSize + 1;
+    const { classifications, stats: batchStats } = await classifyBatch(items.slice(start, start + batchSize), themeNames, requestBatch, { signal: job.signal });
+    Object.keys(stats).forEach(key => { stats[key] += batchStats[key]; });
+    finished++;
+    console.log(`Classified batch ${batchNumber}/${actualBatches} (${batchStats.fallback} fallback, ${batchStats.retriedComments} retried)`);
+    reportProgress(job, 'classification', `Classified batch ${finished} of ${actualBatches}`,
+      { current: finished, total: actualBatches, percent: percent[0] + (finished / actualBatches) * (percent[1] - percent[0]) });
+    return classifications;
+  };
+
+  const starts = [];
+  for (let start = 0; start < items.length; start += batchSize) starts.push(start);
+  const batches = await Promise.all(starts.map(classifyOne));
+  throwIfCancelled(job);
+
+  return { commentClassifications: batches.flat(), stats };
+}
+
+function classificationNamespace(themes, workspaceId) {
+  return `classification:${cache.scope(workspaceId)}:${llm.config.provider}:${llm.config.tasks.classification.model}:${cache.themeSetVersion(themes)}`;
+}
+
+// Remember real (non-fallback) classifications under a theme set in a
+// workspace's cache; reviewed ones (set by hand) stay marked so appends keep
+// them
+function rememberClassifications(themes, classifications, comments, workspaceId) {
+  return cache.remember(classificationNamespace(themes, workspaceId), classifications
+    .filter(c => !c.fallback)
+    .map(c => [cache.commentHash(comments[c.commentIndex - 1]), {
+      themeName: c.themeName,
+      confidence: c.confidence,
+      ...(c.reviewed ? { reviewed: true } : {})
+    }]));
+}
+
+// classifyComments through the classification cache: comments already
+// classified under this theme set (by this model, in this workspace) reuse
+// the cached answer unless `useCache` is off, and only the rest are sent to
+// the LLM
+async function classifyCached(items, themes, comments, job, { percent, useCache = true, workspaceId = null } = {}) {
+  const known = new Set([...themes.map(theme => theme.name), FALLBACK_THEME]);
+  const cached = useCache ? await cache.lookup(classificationNamespace(themes, workspaceId), items.map(item => cache.commentHash(item.text))) : new Map();
+  const hits = [];
+  const pending = [];
+  items.forEach(item => {
+    const entry = cached.get(cache.commentHash(item.text));
+    if (entry && known.has(entry.themeName)) {
+      hits.push({
+        commentIndex: item.index,
+        themeName: entry.themeName,
+        confidence: entry.confidence,
+        cached: true,
+        ...(entry.reviewed ? { reviewed: true } : {})
+      });
+    } else {
+      pending.push(item);
+    }
+  });
+  job.llmCache.classification.hits += hits.length;
+  job.llmCache.classification.misses += pending.length;
+  console.log(`CLASSIFICATION CACHE: ${hits.length} of ${items.length} comments already classified under this theme set`);
+
+  let classified = { commentClassifications: [], stats: { requests: 0, retriedComments: 0, fuzzyMatched: 0, fallback: 0, failedRequests: 0 } };
+  if (pending.length > 0) {
+    classified = await classifyComments(pending, themes, job, { percent });
+    await rememberClassifications(themes, classified.commentClassifications, comments, workspaceId);
+  } else {
+    reportProgress(job, 'classification', `All ${items.length} comments were already classified under this theme set`, { percent: percent[1] });
+  }
+  return { commentClassifications: [...hits, ...classified.commentClassifications], stats: classified.stats };
+}
+
+// Hybrid codebook runs: propose candidate themes for the comments that fit
+// no codebook theme and classify those comments into them. Resolves to the
+// candidate themes and the new classifications (Uncategorized ones dropped).
+async function proposeCandidateThemes(comments, commentClassifications, codebookThemes, job, clusterOf, sampleSize) {
+  const leftover = commentClassifications.filter(c => c.themeName === FALLBACK_THEME);
+  if (leftover.length < MIN_CANDIDATE_COMMENTS) {
+    console.log(`HYBRID: only ${leftover.length} comments fit no codebook theme, not proposing candidates`);
+    return { candidates: [], classifications: [], stats: null };
+  }
+
+  console.log(`HYBRID: proposing candidate themes for ${leftover.length} comments outside the codebook`);
+  const leftoverComments = leftover.map(c => comments[c.commentIndex - 1]);
+  let candidates;
+  try {
+    ({ themes: candidates } = await discoverThemes(leftoverComments, job, {
+      clusterOf: leftover.map(c => clusterOf[c.commentIndex - 1]),
+      sampleSize,
+      exclude: codebookThemes.map(theme => theme.name),
+      percent: [75, 78]
+    }));
+  } catch (error) {
+    throwIfCancelled(job);
+    console.warn('HYBRID: candidate theme discovery failed, leaving comments Uncategorized:', error.message);
+    return { candidates: [], classifications: [], stats: null };
+  }
+  candidates = candidates.map(theme => ({ ...theme, candidate: true }));
+
+  const items = leftover.map(c => ({ index: c.commentIndex, text: comments[c.commentIndex - 1] }));
+  const { commentClassifications: classifications, stats } = await classifyComments(items, candidates, job, { percent: [78, 85] });
+  return {
+    candidates,
+    classifications: classifications.filter(c => c.themeName !== FALLBACK_THEME),
+    stats
+  };
+}
+
+// Classify every comment with the configured LLM, into themes it discovers,
+// a codebook's themes or `fixedThemes` (the theme set of an analysis being
+// appended to). Resolves to the themes and one classification per comment
+// (1-based commentIndex). `clusterOf` holds each comment's offline topic and
+// is used to diversify the discovery samples.
+async function classifyWithLLM(comments, estimatedTokens, job, clusterOf, { codebook = null, fixedThemes = null, useCache = true, workspaceId = null } = {}) {
+  // Check the LLM provider is configured - REQUIRED
+  if (!llm.isConfigured()) {
+    throw new Error(llm.configurationError());
+  }
+  
+  // Sample every part of the dataset for theme identification (per-part
+  // budget based on token estimate) and merge the proposals
+  const maxSampleSize = estimatedTokens > 25000 ? 30 : 50;
+  let identifiedThemes;
+  let discovery = null;
+  if (fixedThemes) {
+    // Step 1 is skipped: appended comments are classified into the existing themes
+    console.log(`Step 1: Reusing the ${fixedThemes.length} themes of the analysis being appended to`);
+    identifiedThemes = fixedThemes;
+  } else if (codebook) {
+    // Step 1 is skipped: the codebook fixes the themes
+    console.log(`Step 1: Using the ${codebook.themes.length} themes of codebook "${codebook.name}" (${codebook.mode} mode)`);
+    identifiedThemes = codebook.themes;
+  } else {
+    // Step 1: Have the LLM identify themes from ALL comments
+    console.log(`Step 1: Having the LLM (${llm.config.provider}) identify themes from all comments...`);
+    ({ themes: identifiedThemes, discovery } = await discoverThemes(comments, job, { clusterOf, sampleSize: maxSampleSize }));
+  }
+  
+  console.log(`Identified ${identifiedThemes.length} themes:`, identifiedThemes.map(t => t.name));
+
+  // Step 2: Classify each comment into identified themes
+  console.log('Step 2: Classifying each comment into themes...');
+  const hybrid = !fixedThemes && codebook && codebook.mode === 'hybrid';
+  const items = comments.map((comment, index) => ({ index: index + 1, text: comment }));
+  let { commentClassifications, stats } = await classifyCached(items, identifiedThemes, comments, job, { percent: [20, hybrid ? 75 : 85], useCache, workspaceId });
+
+  // Nothing came back at all: let auto mode fall back to offline topics
+  if (stats.fallback === comments.length && stats.failedRequests > 0) {
+    throw new Error(`All ${stats.failedRequests} classification requests failed`);
+  }
+
+  if (hybrid) {
+    const proposed = await proposeCandidateThemes(comments, commentClassifications, identifiedThemes, job, clusterOf, maxSampleSize);
+    const reclassified = new Map(proposed.classifications.map(c => [c.commentIndex, c]));
+    commentClassifications = commentClassifications.map(c => reclassified.get(c.commentIndex) || c);
+    identifiedThemes = [...identifiedThemes, ...proposed.candidates];
+    if (proposed.stats) {
+      // Fallbacks from the candidate pass were already counted in the first pass
+      Object.keys(stats).filter(key => key !== 'fallback').forEach(key => { stats[key] += proposed.stats[key]; });
+    }
+    // Appending to this analysis classifies into codebook and candidate
+    // themes together, so the combined set is cached too
+    if (proposed.candidates.length > 0) {
+      await rememberClassifications(identifiedThemes, commentClassifications, comments, workspaceId);
+    }
+  }
+
+  console.log(`Classified ${commentClassifications.length} comments into themes`);
+  console.log(`VALIDATION CHECK: Original comments array has ${comments.length} items, classifications array has ${commentClassifications.length} items`);
+  
+  return { identifiedThemes, commentClassifications, stats, discovery };
+}
+
+// Rough per-request sizes used by estimateAnalysis: prompt instructions, a
+// theme in the classification prompt, and the model's answer per comment or
+// per theme list
+const ESTIMATE = {
+  promptTokens: 250,
+  themeTokens: 40,
+  classificationOutputPerComment: 18,
+  sentimentOutputPerComment: 22,
+  // JSON around each translated comment
+  translationOutputPerComment: 12,
+  themeListOutput: 500,
+  // Typical response time of a request, for the duration estimate
+  secondsPerRequest: 20
+};
+
+// Pre-run estimate of the LLM requests, tokens, cost and time an analysis
+// will take, from the comment count and their total length. Hybrid codebook
+// runs also propose and classify candidate themes for leftover comments,
+// which isn't known up front, so their estimate is a lower bound. With
+// `translate` every comment is counted as translated, which is an upper bound.
+function estimateAnalysis({ commentCount, totalChars, themeMode = 'auto', sentimentMethod, codebook = null, translate = false }) {
+  const method = themeMode === 'llm' || codebook || (themeMode === 'auto' && llm.isConfigured()) ? 'llm' : 'offline';
+  const charsPerComment = commentCount ? totalChars / commentCount : 0;
+  const tokensFor = comments => Math.ceil(comments * charsPerComment / 4);
+  const requests = [];
+  const add = (task, count, inputTokens, outputTokens) => {
+    const settings = llm.config.tasks[task];
+    for (let i = 0; i < count; i++) {
+      requests.push({ task, model: settings.model, inputTokens, outputTokens: Math.min(settings.maxTokens, outputTokens) });
+    }
+  };
+
+  if (translate) {
+    for (let start = 0; start < commentCount; start += TRANSLATION_BATCH_SIZE) {
+      const size = Math.min(TRANSLATION_BATCH_SIZE, commentCount - start);
+      add('translation', 1, ESTIMATE.promptTokens + tokensFor(size), tokensFor(size) + size * ESTIMATE.translationOutputPerComment);
+    }
+  }
+  if (method === 'llm' && commentCount > 0) {
+    const themeCount = codebook ? codebook.themes.length : 10;
+    if (!codebook) {
+      // Same sampling as discoverThemes, without the clusters
+      const sampleSize = commentCount * 20 > 25000 ? 30 : 50;
+      const chunks = planDiscoverySamples(commentCount, { sampleSize });
+      chunks.forEach(chunk => add('themes', 1, ESTIMATE.promptTokens + tokensFor(chunk.sample.length), ESTIMATE.themeListOutput));
+      if (chunks.length > 1) {
+        add('themes', 1, ESTIMATE.promptTokens + chunks.length * ESTIMATE.themeListOutput, ESTIMATE.themeListOutput);
+      }
+    }
+    const batchSize = classificationBatchSize(commentCount);
+    for (let start = 0; start < commentCount; start += batchSize) {
+      const size = Math.min(batchSize, commentCount - start);
+      add('classification', 1, ESTIMATE.promptTokens + themeCount * ESTIMATE.themeTokens + tokensFor(size), size * ESTIMATE.classificationOutputPerComment);
+    }
+  }
+  if (resolveSentimentOptions({ method: sentimentMethod }).method === 'llm') {
+    for (let start = 0; start < commentCount; start += LLM_SENTIMENT_BATCH_SIZE) {
+      const size = Math.min(LLM_SENTIMENT_BATCH_SIZE, commentCount - start);
+      add('sentiment', 1, ESTIMATE.promptTokens + tokensFor(size), size * ESTIMATE.sentimentOutputPerComment);
+    }
+  }
+
+  const inputTokens = _.sumBy(requests, request => request.inputTokens);
+  const outputTokens = _.sumBy(requests, request => request.outputTokens);
+  const costs = requests.map(request => llm.estimateCost(request.model, request.inputTokens, request.outputTokens));
+  const { rpm, tpm, concurrency } = llm.config.limits;
+  // The slowest of: request latency at the allowed concurrency, and the
+  // request and token budgets per minute
+  const seconds = requests.length === 0 ? 0 : Math.max(
+    Math.ceil(requests.length / concurrency) * ESTIMATE.secondsPerRequest,
+    rpm > 0 ? (requests.length / rpm) * 60 : 0,
+    tpm > 0 ? ((inputTokens + outputTokens) / tpm) * 60 : 0
+  );
+
+  return {
+    commentCount,
+    method,
+    provider: method === 'llm' || requests.length > 0 ? llm.config.provider : null,
+    requests: requests.length,
+    byTask: _.mapValues(_.groupBy(requests, request => request.task), list => list.length),
+    inputTokens,
+    outputTokens,
+    // USD; null when a model's price isn't known
+    estimatedCost: costs.includes(null) ? null : Math.round(_.sum(costs) * 10000) / 10000,
+    estimatedSeconds: Math.round(seconds),
+    lowerBound: !!(codebook && codebook.mode === 'hybrid'),
+    limits: llm.config.limits
+  };
+}
+
+// Offline topic discovery over the tokenized comments. Progress is only
+// reported when these topics are the result rather than an LLM baseline.
+async function discoverOfflineTopics(processedComments, job, reportStages) {
+  if (reportStages) {
+    reportProgress(job, 'theme_discovery', 'Discovering themes offline (TF-IDF + k-means)...', { percent: 10 });
+  }
+  return discoverTopics(processedComments.map(item => item.tokens), {
+    languages: processedComments.map(item => item.language),
+    onProgress: async (k, maxK) => {
+      throwIfCancelled(job);
+      if (reportStages) {
+        reportProgress(job, 'classification', `Clustering comments into ${k} topics (trying up to ${maxK})...`,
+          { current: k, total: maxK, percent: 20 + (k / maxK) * 65 });
+      }
+      // Yield between topic counts so cancellation and progress get through
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  });
+}
+
+// Comments and sentiment per language, most common language first
+function languageBreakdown(languages, sentiments) {
+  const byLanguage = _.groupBy(languages.map((language, index) => ({ language, sentiment: sentiments[index] })), 'language');
+  return _.orderBy(Object.entries(byLanguage).map(([language, entries]) => {
+    const counts = _.countBy(entries, entry => (entry.sentiment ? entry.sentiment.label : 'neutral'));
+    return {
+      language,
+      name: languageName(language),
+      comments: entries.length,
+      positive: counts.positive || 0,
+      negative: counts.negative || 0,
+      neutral: counts.neutral || 0
+    };
+  }), ['comments'], ['desc']);
+}
+
+// Topic for a group of comments ({ name, description, comments, and words,
+// terms or keywords }): counts, weighted percentage of `totalWeight`, sentiment,
+// confidence and business impact
+function buildTopic(group, index, totalWeight, { coherence = null, enhancedByAI = false } = {}) {
+  // Calculate sentiment distribution from the per-comment sentiment
+  const sentimentCounts = {
+    positive: group.comments.filter(c => c.sentiment.label === 'positive').length,
+    negative: group.comments.filter(c => c.sentiment.label === 'negative').length,
+    neutral: group.comments.filter(c => c.sentiment.label === 'neutral').length
+  };
+  
+  // Overall theme sentiment based on majority
+  const sentimentClassification = sentimentCounts.positive > sentimentCounts.negative && sentimentCounts.positive > sentimentCounts.neutral ? 'positive' :
+    sentimentCounts.negative > sentimentCounts.positive && sentimentCounts.negative > sentimentCounts.neutral ? 'negative' : 'neutral';
+  
+  // Average comparative score across the theme's comments
+  const avgSentiment = _.meanBy(group.comments, c => c.sentiment.score) || 0;
+
+  const volume = group.comments.length;
+  // Percentages count down-weighted comments (see lib/quality.js) partially;
+  // `totalWeight` is the summed weight of all comments in the result
+  const weightedVolume = _.sumBy(group.comments, commentWeight);
+  const percentage = Math.round((weightedVolume / totalWeight) * 100);
+
+  return {
+    topicId: index + 1,
+    title: group.name,
+    llmDescription: group.description,
+    words: group.words || (group.terms ? group.terms.map(t => ({ term: t.term, weight: t.weight, probability: t.weight })) :
+      (group.keywords || []).map(keyword => ({ term: keyword, weight: 1, probability: 1 }))),
+    volume: volume,
+    weightedVolume: Math.round(weightedVolume * 100) / 100,
+    percentage: percentage,
+    sentiment: {
+      classification: sentimentClassification,
+      score: Math.round(avgSentiment * 100) / 100,
+      distribution: {
+        positive: sentimentCounts.positive,
+        negative: sentimentCounts.negative,
+        neutral: sentimentCounts.neutral,
+        positivePercentage: Math.round((sentimentCounts.positive / volume) * 100),
+        negativePercentage: Math.round((sentimentCounts.negative / volume) * 100),
+        neutralPercentage: Math.round((sentimentCounts.neutral / volume) * 100)
+      }
+    },
+    confidence: Math.round(group.comments.reduce((sum, c) => sum + c.confidence, 0) / group.comments.length * 100),
+    avgWordCount: Math.round(group.comments.reduce((sum, c) => 
+      sum + c.text.split(/\s+/).length, 0) / group.comments.length),
+    businessImpact: sentimentClassification === 'negative' && percentage > 10 ? 'high' : 
+      percentage > 15 ? 'medium' : 'low',
+    comments: group.comments, // ALL comments, not samples
+    // Comments per language code (analyses before language detection have none)
+    languages: _.countBy(group.comments.filter(c => c.language), c => c.language),
+    coherence,
+    enhancedByAI,
+    // Proposed by a hybrid codebook run; not part of the codebook yet
+    ...(group.candidate ? { candidate: true } : {})
+  };
+}
+
+// Keep ALL comments in the response for full display, and sort by business
+// impact and volume
+function rankTopics(topics) {
+  const impactOrder = { high: 3, medium: 2, low: 1 };
+  return topics
+    .map(topic => ({
+      ...topic,
+      sampleQuotes: topic.comments.map(c => c.text) // All comments as "sample quotes"
+    }))
+    .sort((a, b) => {
+      const impactDiff = impactOrder[b.businessImpact] - impactOrder[a.businessImpact];
+      return impactDiff !== 0 ? impactDiff : b.volume - a.volume;
+    });
+}
+
+// Run the full analysis pipeline over already-parsed rows, reporting each
+// stage on `job` so the client can follow along and cancel between steps.
+// Rows that repeated an earlier row were dropped while reading the file
+// (`duplicateRows` of them).
+async function analyzeRows(uniqueResults, job, startTime, options = {}, { duplicateRows = 0, workspaceId = null } = {}) {
+  console.log(`Processing ${uniqueResults.length} unique non-empty rows (${duplicateRows} duplicate rows removed while reading)`);
+  
+  if (!uniqueResults[0]) {
+    throw new Error('The file appears to be empty or invalid');
+  }
+  
+  const headers = Object.keys(uniqueResults[0]);
+  console.log('CSV columns found:', headers);
+  
+  const { commentColumns, autoDetected, metadataColumns, filter } = resolveColumns(headers, options);
+  
+  // Apply the optional row filter before anything else looks at the data
+  const filteredRows = filter ? uniqueResults.filter(row => filter.values.includes((row[filter.column] || '').trim())) : uniqueResults;
+  if (filter) {
+    console.log(`ROW FILTER: ${filter.column} in [${filter.values.join(', ')}] kept ${filteredRows.length} of ${uniqueResults.length} rows`);
+    if (filteredRows.length === 0) {
+      throw new Error(`No rows match the filter ${filter.column} = ${filter.values.join(' / ')}`);
+    }
+  }
+  
+  if (autoDetected) {
+    commentColumns.push(...detectCommentColumns(filteredRows));
+  }
+  
+  console.log(`${autoDetected ? 'Detected' : 'Selected'} comment columns (${commentColumns.length}):`, commentColumns);
+  
+  // Personal data is replaced by placeholders before comments (and the
+  // metadata kept with them) go anywhere else; the vault to reveal them is
+  // kept with the source rows
+  const redactor = createRedactor(options.redaction, options.redactionVault);
+  const allRecords = filteredRows.map((row, index) => {
+    const commentText = commentColumns.map(col => row[col] || '').join(' ');
+    const trimmedText = redactor.redact(commentText.toLowerCase().trim());
+    
+    const metadata = {};
+    metadataColumns.forEach(col => {
+      metadata[col] = redactor.redact(row[col] || '');
+    });
+    
+    return { text: trimmedText, rowIndex: index, metadata };
+  });
+  const allComments = allRecords.map(record => record.text);
+  
+  // Keep each comment's source row and metadata alongside the text. Spam,
+  // low-signal and near-duplicate comments are excluded here or carry their
+  // quality flag and weight into the themes.
+  const candidateRecords = allRecords.filter(record => record.text.length > 3);
+  const qualityCheck = assessComments(candidateRecords.map(record => record.text), options.quality);
+  const commentRecords = qualityCheck.kept.map(({ index, weight, quality }) => ({
+    ...candidateRecords[index],
+    weight,
+    ...(quality ? { quality } : {})
+  }));
+  const comments = commentRecords.map(record => record.text);
+  const filteredOutCount = allComments.length - candidateRecords.length;
+  const totalWeight = _.sumBy(commentRecords, record => record.weight);
+  
+  // Language of every comment (detected, or the one the run was given)
+  const languageSettings = resolveLanguageOptions(options.language);
+  const languageCheck = detectLanguages(comments, languageSettings);
+  console.log(`LANGUAGES: ${Object.entries(languageCheck.summary.counts).map(([code, count]) => `${code} ${count}`).join(', ')}` +
+    (languageCheck.summary.undetermined ? ` (${languageCheck.summary.undetermined} undetermined)` : ''));
+  
+  console.log(`FINAL COUNT CHECK: CSV has ${filteredRows.length} rows, extracted ${allComments.length} comments total, ${comments.length} valid comments (filtered out ${filteredOutCount} too short, ${qualityCheck.summary.excluded} by quality checks)`);
+  
+  // Token estimation: sizes the discovery samples
+  const avgTokensPerComment = 20; // Conservative estimate
+  const estimatedTokens = comments.length * avgTokensPerComment;
+  
+  console.log(`Estimated tokens needed: ${estimatedTokens}`);
+  
+  // Real token counts and cost of every LLM request in this run, and how
+  // many comments were answered from the cache instead
+  job.llmUsage = llm.createUsage({ quota: job.quota });
+  job.llmCache = { classification: { hits: 0, misses: 0 }, sentiment: { hits: 0, misses: 0 } };
+  
+  // With translation on, comments outside the pivot language are discovered,
+  // clustered and classified as their translation; everything else (display,
+  // sentiment, exports) keeps the original text
+  let translations = comments.map(() => null);
+  let translationStats = null;
+  if (languageSettings.translate) {
+    throwIfCancelled(job);
+    ({ translations, stats: translationStats } = await translateComments(comments, languageCheck.languages, job, {
+      pivot: languageSettings.pivot,
+      useCache: options.useCache !== false,
+      workspaceId,
+      percent: [3, 9]
+    }));
+  }
+  const analysisTexts = comments.map((comment, index) => translations[index] || comment);
+  const analysisLanguages = languageCheck.languages.map((language, index) => (translations[index] ? languageSettings.pivot : language));
+  
+  // Enhanced text processing
+  const processedComments = analysisTexts.map((text, index) => {
+    const filtered = tokenize(text, analysisLanguages[index]);
+    return {
+      originalIndex: index,
+      originalText: comments[index],
+      processedText: filtered.join(' '),
+      wordCount: comments[index].split(/\s+/).length,
+      tokens: filtered,
+      language: analysisLanguages[index]
+    };
+  }).filter(item => item.tokens.length > 0); // Lowered from 2 to 0 - more lenient
+  
+  console.log(`Processed ${processedComments.length} comments with sufficient tokens`);
+  
+  if (processedComments.length < 1) {
+    throw new Error(`Not enough valid comments to analyze. Found ${processedComments.length} processable comments, need at least 1.`);
+  }
+  
+  // Theme discovery: LLM themes by default, or offline TF-IDF/k-means topics
+  // when requested or when no LLM is available
+  // A codebook, or the themes of an analysis being appended to, always
+  // classifies with the LLM
+  const themeMode = options.themeMode || 'auto';
+  const codebook = options.codebook || null;
+  const fixedThemes = options.fixedThemes || null;
+  let discoveryMethod = themeMode === 'llm' || codebook || fixedThemes || (themeMode === 'auto' && llm.isConfigured()) ? 'llm' : 'offline';
+  let fallbackReason = null;
+  let offlineTopics = null;
+  // The comments offlineTopics clustered
+  let offlineComments = null;
+  console.log(`Starting theme classification (mode: ${themeMode}, method: ${discoveryMethod})...`);
+  let finalTopics = [];
+  let coherenceScore = 0;
+  let themeCoherence = {};
+  let classificationStats = null;
+  let commentSentiments = [];
+  let llmDiscovery = null;
+  let trends = null;
+  let segments = null;
+  let themeSet = null;
+  
+  try {
+    let identifiedThemes;
+    let commentClassifications;
+    let llmStats = null;
+    
+    // The offline topics are the result in offline mode. LLM runs that
+    // discover their own themes cluster a capped sample, to diversify the
+    // discovery samples and serve as a baseline; codebook and append runs
+    // don't discover themes and skip it
+    if (discoveryMethod === 'offline') {
+      offlineComments = processedComments;
+      offlineTopics = await discoverOfflineTopics(offlineComments, job, true);
+    } else if (!codebook && !fixedThemes) {
+      offlineComments = spread(processedComments, LLM_BASELINE_MAX_COMMENTS);
+      offlineTopics = await discoverOfflineTopics(offlineComments, job, false);
+    }
+    
+    if (discoveryMethod === 'llm') {
+      const clusterOf = new Array(comments.length).fill(-1);
+      (offlineComments || []).forEach((item, position) => {
+        clusterOf[item.originalIndex] = offlineTopics.assignments[position].topic;
+      });
+      try {
+        ({ identifiedThemes, commentClassifications, stats: llmStats, discovery: llmDiscovery } = await classifyWithLLM(analysisTexts, estimatedTokens, job, clusterOf, {
+          codebook,
+          fixedThemes: options.fixedThemes,
+          useCache: options.useCache !== false,
+          workspaceId
+        }));
+      } catch (llmError) {
+        throwIfCancelled(job);
+        // Offline topics would replace the codebook themes, defeating the point
+        if (themeMode !== 'auto' || codebook || fixedThemes) throw llmError;
+        console.warn(`LLM theme classification failed, falling back to offline topic modeling: ${llmError.message}`);
+        discoveryMethod = 'offline';
+        fallbackReason = llmError.message;
+        if (offlineComments.length < processedComments.length) {
+          offlineComments = processedComments;
+          offlineTopics = await discoverOfflineTopics(offlineComments, job, true);
+        }
+      }
+    }
+    
+    if (discoveryMethod === 'offline') {
+      identifiedThemes = offlineTopics.themes;
+      commentClassifications = processedComments.map((item, position) => {
+        const assignment = offlineTopics.assignments[position];
+        return {
+          commentIndex: item.originalIndex + 1,
+          themeName: assignment.topic >= 0 ? offlineTopics.themes[assignment.topic].name : FALLBACK_THEME,
+          confidence: assignment.confidence,
+          fallback: assignment.topic < 0
+        };
+      });
+    }
+    
+    if (discoveryMethod === 'llm') {
+      themeSet = {
+        version: cache.themeSetVersion(identifiedThemes),
+        themes: identifiedThemes.map(theme => ({
+          name: theme.name,
+          description: theme.description || '',
+          keywords: theme.keywords || [],
+          ...(theme.examples ? { examples: theme.examples } : {}),
+          ...(theme.candidate ? { candidate: true } : {})
+        }))
+      };
+    }
+    
+    // Exactly one classification per comment: drop duplicates and unknown
+    // indices, and give any comment left without one the fallback theme
+    // (e.g. offline comments with no usable tokens)
+    const knownThemes = new Set([...identifiedThemes.map(theme => theme.name), FALLBACK_THEME]);
+    const byIndex = new Map();
+    commentClassifications.forEach(classification => {
+      const index = classification.commentIndex;
+      if (!Number.isInteger(index) || index < 1 || index > comments.length || byIndex.has(index)) return;
+      const known = knownThemes.has(classification.themeName);
+      byIndex.set(index, known ? classification : { ...classification, themeName: FALLBACK_THEME, confidence: 0, fallback: true });
+    });
+    comments.forEach((comment, position) => {
+      if (!byIndex.has(position + 1)) {
+        byIndex.set(position + 1, { commentIndex: position + 1, themeName: FALLBACK_THEME, confidence: 0, fallback: true });
+      }
+    });
+    commentClassifications = [...byIndex.values()].sort((a, b) => a.commentIndex - b.commentIndex);
+    
+    const fallbackCount = commentClassifications.filter(classification => classification.fallback).length;
+    classificationStats = {
+      total: comments.length,
+      classified: comments.length - fallbackCount,
+      fallback: fallbackCount,
+      // Comments the classifier explicitly put in Uncategorized
+      uncategorized: commentClassifications.filter(c => c.themeName === FALLBACK_THEME && !c.fallback).length,
+      // Comments whose classification came from the cache
+      cached: commentClassifications.filter(c => c.cached).length,
+      fuzzyMatched: llmStats ? llmStats.fuzzyMatched : 0,
+      retriedComments: llmStats ? llmStats.retriedComments : 0,
+      requests: llmStats ? llmStats.requests : 0,
+      failedRequests: llmStats ? llmStats.failedRequests : 0
+    };
+    console.log(`CLASSIFICATION CHECK: ${classificationStats.classified} classified, ${fallbackCount} fell back to ${FALLBACK_THEME}`);
+
+
+    // Step 3: Group comments by theme and calculate accurate percentages
+    console.log('Step 3: Grouping comments and calculating percentages...');
+    throwIfCancelled(job);
+    reportProgress(job, 'sentiment', 'Grouping comments and analyzing sentiment per theme...', { percent: 86 });
+    
+    // Per-comment sentiment, attached to each comment in its theme
+    commentSentiments = await analyzeSentiments(comments, job, { ...options.sentiment, useCache: options.useCache !== false, workspaceId }, languageCheck.languages);
+    throwIfCancelled(job);
+    reportProgress(job, 'sentiment', 'Grouping comments by theme...', { percent: 88 });
+    
+    const themeGroups = {};
+    identifiedThemes.forEach(theme => {
+      themeGroups[theme.name] = {
+        name: theme.name,
+        description: theme.description,
+        keywords: theme.keywords || [],
+        terms: theme.terms,
+        candidate: !!theme.candidate,
+        comments: [],
+        commentIndices: []
+      };
+    });
+
+    // Add uncategorized theme
+    themeGroups[FALLBACK_THEME] = {
+      name: FALLBACK_THEME,
+      description: 'Comments that could not be clearly categorized',
+      keywords: [],
+      comments: [],
+      commentIndices: []
+    };
+
+    // Group comments by their assigned themes
+    commentClassifications.forEach(classification => {
+      const commentIndex = classification.commentIndex - 1; // Convert to 0-based
+      const comment = comments[commentIndex];
+      const themeName = themeGroups[classification.themeName] ? classification.themeName : FALLBACK_THEME;
+      
+      themeGroups[themeName].comments.push({
+        text: comment,
+        originalIndex: commentIndex,
+        rowIndex: commentRecords[commentIndex]?.rowIndex,
+        metadata: commentRecords[commentIndex]?.metadata || {},
+        confidence: classification.confidence ?? 0.5,
+        sentiment: commentSentiments[commentIndex],
+        language: languageCheck.languages[commentIndex],
+        ...(translations[commentIndex] ? { translation: translations[commentIndex] } : {}),
+        ...(classification.fallback ? { fallback: true } : {}),
+        // Assigned by a reviewer (see lib/review.js), kept through appends
+        ...(classification.reviewed ? { reviewed: true } : {}),
+        // Flagged by the quality checks and kept or down-weighted
+        ...(commentRecords[commentIndex]?.quality ? { quality: commentRecords[commentIndex].quality } : {}),
+        ...(commentRecords[commentIndex] && commentRecords[commentIndex].weight !== 1 ? { weight: commentRecords[commentIndex].weight } : {})
+      });
+      themeGroups[themeName].commentIndices.push(commentIndex);
+    });
+
+    // Build final topic analysis with accurate counts and percentages
+    const themeGroupsArray = Object.values(themeGroups).filter(group => group.comments.length > 0);
+    
+    console.log('Theme groups before final processing:');
+    themeGroupsArray.forEach(group => {
+      console.log(`- ${group.name}: ${group.comments.length} comments`);
+    });
+    
+    // Coherence of the final grouping measured on the comment tokens, so LLM
+    // and offline themes are scored the same way
+    const themeByComment = {};
+    commentClassifications.forEach(classification => {
+      themeByComment[classification.commentIndex - 1] = classification.themeName;
+    });
+    const grouping = scoreGrouping(
+      processedComments.map(item => item.tokens),
+      processedComments.map(item => {
+        const themeName = themeByComment[item.originalIndex];
+        return themeName && themeName !== FALLBACK_THEME && themeGroups[themeName] ? themeName : null;
+      }),
+      { languages: processedComments.map(item => item.language) }
+    );
+    coherenceScore = grouping.coherenceScore;
+    themeCoherence = grouping.perTopic;
+    console.log(`COHERENCE: ${coherenceScore} (${discoveryMethod} themes)`);
+    
+    finalTopics = themeGroupsArray.map((group, index) => buildTopic(group, index, totalWeight, {
+      coherence: themeCoherence[group.name] ?? null,
+      enhancedByAI: discoveryMethod === 'llm'
+    }));
+
+    console.log(`Theme classification completed (${discoveryMethod})`);
+    
+    // Theme volume and sentiment per period when a date column was chosen
+    if (options.dateColumn) {
+      throwIfCancelled(job);
+      reportProgress(job, 'finalizing', `Building trends by ${options.dateColumn}...`, { percent: 93 });
+      trends = buildTrends(commentClassifications.map(classification => {
+        const index = classification.commentIndex - 1;
+        return {
+          date: filteredRows[commentRecords[index].rowIndex][options.dateColumn],
+          theme: themeGroups[classification.themeName] ? classification.themeName : FALLBACK_THEME,
+          sentiment: commentSentiments[index]
+        };
+      }), themeGroupsArray.map(group => group.name), { column: options.dateColumn, interval: options.trendInterval });
+      if (!trends) {
+        console.warn(`TRENDS: no parseable dates in column ${options.dateColumn}`);
+      }
+    }
+    
+    // Theme x segment matrices for the chosen segment columns
+    if (options.segmentColumns && options.segmentColumns.length > 0) {
+      throwIfCancelled(job);
+      reportProgress(job, 'finalizing', `Breaking themes down by ${options.segmentColumns.join(', ')}...`, { percent: 94 });
+      segments = buildSegments(commentClassifications.map(classification => {
+        const index = classification.commentIndex - 1;
+        const row = filteredRows[commentRecords[index].rowIndex];
+        return {
+          commentIndex: index,
+          theme: themeGroups[classification.themeName] ? classification.themeName : FALLBACK_THEME,
+          sentiment: commentSentiments[index],
+          segments: _.pick(row, options.segmentColumns)
+        };
+      }), themeGroupsArray.map(group => group.name), options.segmentColumns);
+    }
+    
+  } catch (error) {
+    console.error('Theme classification failed:', error.message);
+    throw new Error(`Theme classification failed: ${error.message}`);
+  }
+  
+  const cleanTopics = rankTopics(finalTopics);
+  
+  reportProgress(job, 'finalizing', 'Finalizing results...', { percent: 95 });
+
+  // Overall sentiment from the same per-comment results as the themes
+  const sentimentAnalysis = comments.map((comment, index) => ({
+    text: comment.substring(0, 100) + '...',
+    comparative: commentSentiments[index].score,
+    classification: commentSentiments[index].label,
+    reason: commentSentiments[index].reason
+  }));
+  
+  const avgWordCount = Math.round(processedComments.reduce((sum, item) => 
+    sum + item.wordCount, 0) / processedComments.length);
+  
+  // Final validation - count total comments across all themes
+  const totalCommentsInThemes = cleanTopics.reduce((sum, topic) => sum + topic.volume, 0);
+  
+  console.log(`Analysis complete! Returning ${cleanTopics.length} topics`);
+  console.log(`VALIDATION: Original CSV rows: ${uniqueResults.length + duplicateRows}, Unique rows: ${uniqueResults.length}, Final comments: ${comments.length}`);
+  console.log(`THEME VALIDATION: Total comments across all themes: ${totalCommentsInThemes}`);
+  console.log(`FINAL RESPONSE will show totalComments: ${comments.length}`);
+  
+  return {
+    totalComments: comments.length,
+    originalRowCount: uniqueResults.length + duplicateRows,
+    // Rows dropped for repeating an earlier row exactly
+    duplicateRows,
+    // Spam, low-signal and near-duplicate comments and what was done with them
+    quality: qualityCheck.summary,
+    // Detectors used and placeholders per kind; the originals stay in `source`
+    redaction: redactor.report(),
+    // Comments per language with their sentiment, and what was translated
+    // into the pivot language for theme discovery and classification
+    languages: {
+      ...languageCheck.summary,
+      pivot: languageSettings.pivot,
+      translation: translationStats,
+      breakdown: languageBreakdown(languageCheck.languages, commentSentiments)
+    },
+    columns: {
+      comment: commentColumns,
+      autoDetected,
+      metadata: metadataColumns,
+      filter: filter ? { ...filter, matchedRows: filteredRows.length } : null
+    },
+    coherenceScore: Math.round(coherenceScore * 100) / 100,
+    // How many comments got a real classification and how many fell back
+    // to the Uncategorized theme after retries
+    classification: classificationStats,
+    // Codebook the run classified against, and any candidate themes a
+    // hybrid run proposed for comments outside it
+    codebook: codebook ? {
+      id: codebook.id,
+      name: codebook.name,
+      mode: codebook.mode,
+      themeCount: codebook.themes.length,
+      candidates: cleanTopics.filter(topic => topic.candidate).map(topic => topic.title)
+    } : null,
+    themeDiscovery: {
+      mode: themeMode,
+      method: discoveryMethod,
+      fallbackReason,
+      // Topic counts tried by the offline discovery and their mean NPMI
+      offline: offlineTopics ? {
+        topicCount: offlineTopics.k,
+        coherenceScore: offlineTopics.coherenceScore,
+        candidates: offlineTopics.candidates
+      } : null,
+      // How the LLM themes were found: parts sampled and how proposals merged
+      llm: llmDiscovery,
+      // Offline topics computed alongside LLM themes, for comparison
+      baseline: discoveryMethod === 'llm' && offlineTopics ? {
+        // Comments clustered, at most LLM_BASELINE_MAX_COMMENTS
+        sampledComments: offlineComments.length,
+        themes: offlineTopics.themes.map((theme, index) => ({
+          title: theme.name,
+          keywords: theme.keywords,
+          volume: offlineTopics.assignments.filter(a => a.topic === index).length
+        }))
+      } : null
+    },
+    // Requests, retries, input/output tokens and estimated cost (USD) of the
+    // LLM calls this run made; null when it made none
+    llmUsage: job.llmUsage.requests > 0 ? llm.summarizeUsage(job.llmUsage) : null,
+    // Comments answered from the classification/sentiment cache instead of
+    // the LLM
+    cache: job.llmCache,
+    // The LLM theme set the comments were classified into; appending rows
+    // classifies the new comments into the same set
+    themeSet,
+    // Per-period theme volume and sentiment, with significant rises flagged;
+    // null without a date column or when none of its values parse as dates
+    trends,
+    // One theme x segment matrix per segment column; `commentIndices` in each
+    // cell match the `originalIndex` of the topic comments
+    segments,
+    avgWordCount,
+    processingTime: Math.round((Date.now() - startTime) / 1000 * 10) / 10,
+    topics: cleanTopics,
+    metadata: {
+      aiEnhanced: cleanTopics.some(t => t.enhancedByAI),
+      totalTopics: cleanTopics.length,
+      highPriorityCount: cleanTopics.filter(t => t.businessImpact === 'high').length,
+      llmProvider: discoveryMethod === 'llm' ? llm.config.provider : null,
+      llmModel: discoveryMethod === 'llm' ? llm.config.tasks.classification.model : null
+    },
+    sentiment: {
+      method: resolveSentimentOptions(options.sentiment).method,
+      overall: {
+        positive: sentimentAnalysis.filter(s => s.classification === 'positive').length,
+        negative: sentimentAnalysis.filter(s => s.classification === 'negative').length,
+        neutral: sentimentAnalysis.filter(s => s.classification === 'neutral').length
+      },
+      details: sentimentAnalysis.slice(0, 20)
+    },
+    // Analyzed rows with all original columns; stored for per-row exports
+    // (comment `rowIndex` values point into `rows`) and not sent to the
+    // browser. `redactions` maps the comments' placeholders to the originals.
+    source: {
+      headers,
+      rows: filteredRows,
+      redactions: redactor.vault
+    }
+  };
+}
+
+// Background job entry point: parse the uploaded file (CSV, TSV, XLSX,
+// JSON or NDJSON; `fileName` is the original upload name), analyze it and
+// always remove the upload afterwards. The result carries the parse report.
+// `workspaceId` scopes the LLM answer cache.
+async function runAnalysis(filePath, job, options = {}, { fileName, workspaceId = null } = {}) {
+  const startTime = Date.now();
+  try {
+    reportProgress(job, 'parsing', 'Parsing uploaded file...', { percent: 2 });
+
+    let parsed;
+    try {
+      parsed = await readUpload(filePath, fileName, { dedupe: true });
+    } catch (error) {
+      console.error('File parsing error:', error);
+      throw new Error('File parsing failed: ' + error.message);
+    }
+
+    try {
+      const result = await analyzeRows(parsed.rows, job, startTime, options, { duplicateRows: parsed.report.duplicateRows, workspaceId });
+      // The caller saves the result next; a run cancelled by now is not saved
+      throwIfCancelled(job);
+      return { ...result, parseReport: parsed.report };
+    } catch (error) {
+      throwIfCancelled(job);
+      console.error('Analysis error:', error);
+      throw new Error('Analysis failed: ' + error.message);
+    }
+  } finally {
+    fs.unlink(filePath, () => {});
+  }
+}
+
+// Options for re-analyzing a stored analysis with appended rows: the same
+// columns, filter and codebook, and for LLM analyses the same theme set, so
+// comments analyzed before are answered from the cache
+function appendOptions(record) {
+  // Placeholders carry over, so known values keep theirs
+  const options = { ...record.options, useCache: true, redactionVault: record.source.redactions || {} };
+  const result = record.result;
+  if (result.themeDiscovery && result.themeDiscovery.method === 'llm') {
+    // Analyses stored before theme sets were recorded fall back to their topics
+    options.fixedThemes = result.themeSet ? result.themeSet.themes : result.topics
+      .filter(topic => topic.title !== FALLBACK_THEME)
+      .map(topic => ({
+        name: topic.title,
+        description: topic.llmDescription || '',
+        keywords: (topic.words || []).slice(0, 10).map(word => word.term),
+        ...(topic.candidate ? { candidate: true } : {})
+      }));
+  } else {
+    options.themeMode = 'offline';
+  }
+  return options;
+}
+
+// Background job entry point for appending rows to a stored analysis. Rows of
+// the uploaded file that the analysis doesn't already have are added to its
+// source rows and everything is re-analyzed, so counts, percentages, trends
+// and segments cover old and new rows alike while only the new comments are
+// sent to the LLM. Always removes the upload afterwards.
+async function runAppend(filePath, job, record, { fileName } = {}) {
+  const startTime = Date.now();
+  try {
+    reportProgress(job, 'parsing', 'Parsing appended file...', { percent: 2 });
+
+    let rows;
+    let parseReport;
+    try {
+      ({ rows, report: parseReport } = await readUpload(filePath, fileName, { dedupe: true }));
+    } catch (error) {
+      console.error('File parsing error:', error);
+      throw new Error('File parsing failed: ' + error.message);
+    }
+
+    const { headers, rows: existingRows } = record.source;
+    const missing = headers.filter(header => !Object.prototype.hasOwnProperty.call(rows[0] || {}, header));
+    if (missing.length > 0) {
+      throw new Error(`The appended file is missing column(s) of the analysis: ${missing.join(', ')}`);
+    }
+
+    // Rows are compared on the analysis columns only, in the stored order
+    const seen = new Set(existingRows.map(rowHash));
+    const addedRows = [];
+    rows.forEach(row => {
+      const aligned = {};
+      headers.forEach(header => { aligned[header] = row[header] || ''; });
+      const key = rowHash(aligned);
+      if (!seen.has(key)) {
+        seen.add(key);
+        addedRows.push(aligned);
+      }
+    });
+    console.log(`APPEND: ${addedRows.length} new rows, ${rows.length - addedRows.length} already in the analysis`);
+    if (addedRows.length === 0) {
+      throw new Error('Every row in the file is already part of this analysis');
+    }
+
+    try {
+      const result = await analyzeRows([...existingRows, ...addedRows], job, startTime, appendOptions(record), { workspaceId: record.workspaceId });
+      throwIfCancelled(job);
+      return {
+        ...result,
+        parseReport,
+        appended: {
+          rows: addedRows.length,
+          duplicateRows: parseReport.duplicateRows + rows.length - addedRows.length,
+          previousComments: record.result.totalComments,
+          newComments: result.totalComments - record.result.totalComments
+        }
+      };
+    } catch (error) {
+      throwIfCancelled(job);
+      console.error('Analysis error:', error);
+      throw new Error('Analysis failed: ' + error.message);
+    }
+  } finally {
+    fs.unlink(filePath, () => {});
+  }
+}
+
+module.exports = {
+  THEME_MODES,
+  buildTopic,
+  classifyComments,
+  estimateAnalysis,
+  rankTopics,
+  rememberClassifications,
+  runAnalysis,
+  runAppend
+};
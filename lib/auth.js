@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const accounts = require('./accounts');
+const tokens = require('./tokens');
+const { QUOTA_FIELDS, addUsage, exceededQuota, usageFor } = require('./quotas');
+
+// Who is calling the API. Browsers sign in (locally or through OIDC) and get
+// an HTTP-only session cookie; scripts send a workspace API token as a Bearer
+// header. Either way req.auth is { via, user, workspace, role, token }, and
+// every stored record a request touches must belong to req.auth.workspace.
+// A signed-in user works in one of their workspaces at a time (the session
+// remembers which). AUTH=off turns sign-in off for single-user local setups:
+// every request is allowed and nothing is scoped.
+const AUTH_ENABLED = !['off', 'false', '0'].includes((process.env.AUTH || '').toLowerCase());
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) > 0 ? Number(process.env.SESSION_TTL_HOURS) : 7 * 24;
+const SECURE_COOKIES = (process.env.PUBLIC_URL || '').startsWith('https:');
+// lastUsedAt of an API token is written at most this often
+const TOKEN_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+// API paths (under /api) that answer without a signed-in caller
+const PUBLIC_PATHS = [/^\/health$/, /^\/auth\//, /^\/shared\//];
+
+const DISABLED = { via: 'disabled', user: null, workspace: null, role: 'admin', token: null };
+
+// Sessions are stored under a hash of their cookie value, like API tokens
+const sessions = createStore('sessions', {
+  summarize: session => ({
+    id: session.id,
+    userId: session.userId,
+    expiresAt: session.expiresAt
+  })
+});
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const pair = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  if (!pair) return null;
+  try {
+    return decodeURIComponent(pair.substring(name.length + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Registration is open until the first account exists, and afterwards only
+// with ALLOW_SIGNUP=true; otherwise admins add members
+async function signupOpen() {
+  return process.env.ALLOW_SIGNUP === 'true' || !await accounts.hasUsers();
+}
+
+// Start a session for `user` in `workspaceId` and set its cookie
+async function startSession(res, user, workspaceId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  await sessions.save({ id: hashSecret(secret), userId: user.id, workspaceId: workspaceId || null, expiresAt: expiresAt.toISOString() });
+  res.cookie(SESSION_COOKIE, secret, { httpOnly: true, sameSite: 'lax', secure: SECURE_COOKIES, path: '/', expires: expiresAt });
+
+  // Drop expired sessions while we're here
+  const now = Date.now();
+  const expired = (await sessions.list()).filter(session => new Date(session.expiresAt).getTime() <= now);
+  await Promise.all(expired.map(session => sessions.remove(session.id)));
+}
+
+async function endSession(req, res) {
+  if (req.auth && req.auth.session) {
+    await sessions.remove(req.auth.session.id);
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+function switchWorkspace(auth, workspaceId) {
+  return sessions.update(auth.session.id, session => ({ ...session, workspaceId }));
+}
+
+async function identifyToken(secret) {
+  const token = await tokens.findToken(secret);
+  if (!token) return null;
+  const workspace = await accounts.workspaces.get(token.workspaceId);
+  if (!workspace) return null;
+  if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() > TOKEN_TOUCH_INTERVAL_MS) {
+    tokens.touchToken(token.id).catch(error => console.warn('Failed to record API token use:', error.message));
+  }
+  return { via: 'token', user: null, workspace, role: 'member', token };
+}
+
+async function identifySession(secret) {
+  const session = await sessions.get(hashSecret(secret));
+  if (!session) return null;
+  if (new Date(session.expiresAt).getTime() <= Date.now()) {
+    await sessions.remove(session.id);
+    return null;
+  }
+  const user = await accounts.users.get(session.userId);
+  if (!user) return null;
+  // The session's workspace, or the user's first one if they left it
+  const memberships = await accounts.workspacesFor(user.id);
+  const current = memberships.find(workspace => workspace.id === session.workspaceId) || memberships[0];
+  const workspace = current ? await accounts.workspaces.get(current.id) : null;
+  return { via: 'session', session, user, workspace, role: accounts.memberRole(workspace, user.id), token: null };
+}
+
+// The caller of a request, or null
+function identify(req) {
+  if (!AUTH_ENABLED) return DISABLED;
+  const header = req.headers.authorization || '';
+  if (/^bearer /i.test(header)) return identifyToken(header.substring(7).trim());
+  const secret = readCookie(req, SESSION_COOKIE);
+  return secret ? identifySession(secret) : null;
+}
+
+// Express middleware for /api: sets req.auth and turns away callers that
+// aren't signed in (401) or have no workspace (403), except on public paths
+async function authenticate(req, res, next) {
+  try {
+    req.auth = await identify(req);
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(500).json({ success: false, error: 'Authentication failed: ' + error.message });
+  }
+  if (PUBLIC_PATHS.some(pattern => pattern.test(req.path))) return next();
+  if (!req.auth) {
+    return res.status(401).json({
+      success: false,
+      error: req.headers.authorization ? 'Invalid or revoked API token' : 'Sign in or send an API token (Authorization: Bearer <token>)'
+    });
+  }
+  // Without a workspace the only thing left to do is create one
+  if (req.auth.via === 'session' && !req.auth.workspace && !(req.method === 'POST' && req.path === '/workspaces')) {
+    return res.status(403).json({ success: false, error: 'You are not a member of any workspace yet: create one or ask an admin to add you' });
+  }
+  next();
+}
+
+// Express middleware for workspace administration: signed-in admins only,
+// never API tokens
+function requireAdmin(req, res, next) {
+  const { via, role } = req.auth;
+  if (via === 'disabled') {
+    return res.status(400).json({ success: false, error: 'Workspaces are not available with AUTH=off' });
+  }
+  if (via !== 'session' || role !== 'admin') {
+    return res.status(403).json({ success: false, error: via === 'token' ? 'API tokens cannot manage workspaces' : 'Only workspace admins can do this' });
+  }
+  next();
+}
+
+// Whether a stored record (or job meta) with a workspaceId is the caller's
+function inWorkspace(auth, record) {
+  if (!record) return false;
+  if (auth.via === 'disabled') return true;
+  return !!auth.workspace && record.workspaceId === auth.workspace.id;
+}
+
+// Fields that put a new record in the caller's workspace
+function workspaceScope(auth) {
+  return auth.workspace ? { workspaceId: auth.workspace.id } : {};
+}
+
+// LLM usage ({ requests, tokens, cost }) held by requests in flight, per
+// 'workspace:<id>' and 'token:<id>', until they return and are charged
+const heldUsage = new Map();
+
+function quotaError(message) {
+  const error = new Error(message);
+  error.status = 429;
+  return error;
+}
+
+// The caller's workspace and API token, the records quotas apply to
+function quotaTargets(auth) {
+  const targets = [];
+  if (auth && auth.workspace) {
+    targets.push({ label: 'This workspace', key: `workspace:${auth.workspace.id}`, store: accounts.workspaces, id: auth.workspace.id });
+  }
+  if (auth && auth.workspace && auth.token) {
+    targets.push({ label: 'This API token', key: `token:${auth.token.id}`, store: tokens.apiTokens, id: auth.token.id });
+  }
+  return targets;
+}
+
+function holdUsage(key, estimate, sign) {
+  const held = heldUsage.get(key) || { requests: 0, tokens: 0, cost: 0 };
+  const next = {
+    requests: held.requests + sign * estimate.requests,
+    tokens: held.tokens + sign * estimate.tokens,
+    cost: held.cost + sign * estimate.cost
+  };
+  if (next.requests > 0) {
+    heldUsage.set(key, next);
+  } else {
+    heldUsage.delete(key);
+  }
+}
+
+// Start a run for the caller, or refuse with `status` 429 once their
+// workspace or API token has used up a monthly quota. Analyses and appends
+// (`analysis`) are charged to the analyses quota in the same store update as
+// the check, so runs started side by side can't all get in under the last
+// one allowed; chat and split proposals aren't held back by that quota.
+async function reserveRun(auth, { analysis = false } = {}) {
+  const fields = analysis ? QUOTA_FIELDS : QUOTA_FIELDS.filter(field => field !== 'analyses');
+  const charged = [];
+  try {
+    for (const target of quotaTargets(auth)) {
+      const check = record => {
+        const exceeded = exceededQuota(record.quota, usageFor(record), fields);
+        if (exceeded) {
+          throw quotaError(`${target.label} has used its monthly ${exceeded.field} quota (${exceeded.used} of ${exceeded.limit}); it resets at the start of next month`);
+        }
+        return record;
+      };
+      if (analysis) {
+        await target.store.update(target.id, record => ({ ...check(record), usage: addUsage(record.usage, { analyses: 1 }) }));
+        charged.push(target);
+      } else {
+        const record = await target.store.get(target.id);
+        if (record) check(record);
+      }
+    }
+  } catch (error) {
+    await Promise.all(charged.map(target => target.store.update(target.id, record => ({ ...record, usage: addUsage(record.usage, { analyses: -1 }) }))));
+    throw error;
+  }
+}
+
+// Charge LLM usage (`llmUsage`, as counted by lib/llm.js) to the caller's
+// workspace and API token. Never throws.
+async function recordUsage(auth, delta) {
+  if (!auth || !auth.workspace) return;
+  try {
+    await accounts.recordWorkspaceUsage(auth.workspace.id, delta);
+    if (auth.token) await tokens.recordTokenUsage(auth.token.id, delta);
+  } catch (error) {
+    console.error('Failed to record usage:', error);
+  }
+}
+
+// Quota guard of a run, for its usage tracker (llm.createUsage({ quota })).
+// Every LLM request first holds its estimated usage ({ requests, tokens,
+// cost }) against the caller's quotas, counting what other requests in
+// flight hold, and is charged as soon as it returns. A request that doesn't
+// fit is refused with `status` 429 and `onExceeded(error)` is called, e.g. to
+// stop the run.
+function quotaGuard(auth, onExceeded = () => {}) {
+  async function hold(estimate) {
+    const targets = quotaTargets(auth);
+    targets.forEach(target => holdUsage(target.key, estimate, 1));
+    const release = () => targets.forEach(target => holdUsage(target.key, estimate, -1));
+    try {
+      for (const target of targets) {
+        const record = await target.store.get(target.id);
+        if (!record) continue;
+        const used = usageFor(record);
+        const held = heldUsage.get(target.key);
+        const quota = record.quota || {};
+        const field = ['requests', 'tokens', 'cost'].find(name => quota[name] > 0 && used[name] + held[name] > quota[name]);
+        if (field) {
+          throw quotaError(`${target.label} has too little of its monthly ${field} quota left for further LLM requests (${used[field]} of ${quota[field]} used); it resets at the start of next month`);
+        }
+      }
+    } catch (error) {
+      release();
+      if (error.status === 429) onExceeded(error);
+      throw error;
+    }
+    return {
+      // Charge the request's real usage and let go of the estimate
+      async charge(llmUsage) {
+        await recordUsage(auth, { llmUsage });
+        release();
+      }
+    };
+  }
+  return { hold };
+}
+
+module.exports = {
+  AUTH_ENABLED,
+  SECURE_COOKIES,
+  readCookie,
+  signupOpen,
+  startSession,
+  endSession,
+  switchWorkspace,
+  authenticate,
+  requireAdmin,
+  inWorkspace,
+  workspaceScope,
+  reserveRun,
+  quotaGuard
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+// Cache of per-comment LLM answers, so re-runs and appends only send the
+// comments the model hasn't seen. Entries are keyed by a hash of the
+// normalized comment text and grouped into namespaces such as
+// "classification:<scope>:<provider>:<model>:<theme set version>"; any change
+// to the model or the theme set starts a fresh namespace. The scope is the
+// workspace a run belongs to, so one workspace's answers (and the
+// classifications its reviewers corrected) never reach another's runs. One
+// document per namespace.
+const MAX_ENTRIES = 100000;
+
+const caches = createStore('llm-cache', {
+  summarize: record => ({
+    id: record.id,
+    namespace: record.namespace,
+    entryCount: Object.keys(record.entries).length,
+    updatedAt: record.updatedAt
+  })
+});
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Case, whitespace and Unicode-form differences don't make a new comment
+function commentHash(text) {
+  return sha256(String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim()).substring(0, 32);
+}
+
+// Version of a theme set: a hash of what the classification prompt shows for
+// each theme, independent of theme order
+function themeSetVersion(themes) {
+  const canonical = themes
+    .map(theme => ({ name: theme.name, description: theme.description || '', examples: theme.examples || [] }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return sha256(JSON.stringify(canonical)).substring(0, 16);
+}
+
+// Namespace scope of a workspace ('local' for runs without one, with AUTH=off)
+function scope(workspaceId) {
+  return workspaceId ? `workspace-${workspaceId}` : 'local';
+}
+
+function namespaceId(namespace) {
+  return sha256(namespace).substring(0, 32);
+}
+
+// Map of hash -> cached value for the hashes found in the namespace
+async function lookup(namespace, hashes) {
+  const record = await caches.get(namespaceId(namespace));
+  const found = new Map();
+  if (!record) return found;
+  hashes.forEach(hash => {
+    if (Object.prototype.hasOwnProperty.call(record.entries, hash)) found.set(hash, record.entries[hash]);
+  });
+  return found;
+}
+
+// Add [hash, value] pairs to a namespace; past MAX_ENTRIES the oldest go first
+async function remember(namespace, pairs) {
+  if (pairs.length === 0) return;
+  const merge = entries => {
+    pairs.forEach(([hash, value]) => {
+      delete entries[hash];
+      entries[hash] = value;
+    });
+    const keys = Object.keys(entries);
+    keys.slice(0, Math.max(0, keys.length - MAX_ENTRIES)).forEach(key => { delete entries[key]; });
+    return entries;
+  };
+
+  const id = namespaceId(namespace);
+  const updated = await caches.update(id, record => ({ ...record, entries: merge(record.entries) }));
+  if (!updated) {
+    await caches.save({ id, namespace, entries: merge({}) });
+  }
+}
+
+module.exports = {
+  commentHash,
+  themeSetVersion,
+  scope,
+  lookup,
+  remember
+};
@@ -0,0 +1,179 @@
+const _ = require('lodash');
+const llm = require('./llm');
+const { createStore } = require('./storage');
+const { search, buildIndex, indexFor } = require('./retrieval');
+const { createRedactor, redactForLog, restorePlaceholders } = require('./redaction');
+
+// Chat about an analysis, grounded in its comments: every question retrieves
+// the most relevant comments (BM25), the model sees them with their ids next
+// to the theme summary and the recent conversation, and cites the ids it
+// used as [#12]. Conversations are stored per analysis.
+const EVIDENCE_LIMIT = 12;
+const EVIDENCE_CHARS = 400;
+// Messages of earlier turns included in the prompt, and kept per analysis
+const HISTORY_IN_PROMPT = 8;
+const MAX_STORED_MESSAGES = 100;
+const CITATION_PATTERN = /#(\d+)/g;
+
+const chats = createStore('chats', {
+  summarize: chat => ({
+    id: chat.id,
+    analysisId: chat.analysisId,
+    messageCount: chat.messages.length,
+    updatedAt: chat.updatedAt
+  })
+});
+
+// Searchable documents for a result; a comment's id is its 1-based position
+// in the analysis (originalIndex + 1)
+function commentDocuments(result) {
+  return (result.topics || []).flatMap(topic => (topic.comments || []).map(comment => ({
+    id: comment.originalIndex + 1,
+    // Translated comments can be found and read in the pivot language too
+    text: comment.translation ? `${comment.text} (${comment.translation})` : comment.text,
+    theme: topic.title,
+    sentiment: comment.sentiment ? comment.sentiment.label : null
+  })));
+}
+
+function summarizeThemes(result) {
+  return {
+    totalComments: result.totalComments,
+    themes: (result.topics || []).map(topic => ({
+      name: topic.title,
+      percentage: topic.percentage,
+      volume: topic.volume,
+      sentiment: topic.sentiment?.classification,
+      description: topic.llmDescription,
+      sentimentBreakdown: {
+        positive: topic.sentiment?.distribution?.positive || 0,
+        negative: topic.sentiment?.distribution?.negative || 0,
+        neutral: topic.sentiment?.distribution?.neutral || 0,
+        positivePercentage: topic.sentiment?.distribution?.positivePercentage || 0,
+        negativePercentage: topic.sentiment?.distribution?.negativePercentage || 0,
+        neutralPercentage: topic.sentiment?.distribution?.neutralPercentage || 0
+      }
+    }))
+  };
+}
+
+function buildChatPrompt(analysisContext, evidence, history, message) {
+  return `You are an AI assistant analyzing comment data. You have access to the following analysis results:
+
+${analysisContext ? `
+ANALYSIS DATA:
+- Total Comments: ${analysisContext.totalComments}
+- Themes Identified: ${analysisContext.themes.length}
+
+THEMES BREAKDOWN:
+${analysisContext.themes.map(theme => `
+• ${theme.name}: ${theme.volume} comments (${theme.percentage}%)
+  - Overall Sentiment: ${theme.sentiment}
+  - Breakdown: ${theme.sentimentBreakdown.positive} positive (${theme.sentimentBreakdown.positivePercentage}%), ${theme.sentimentBreakdown.negative} negative (${theme.sentimentBreakdown.negativePercentage}%), ${theme.sentimentBreakdown.neutral} neutral (${theme.sentimentBreakdown.neutralPercentage}%)
+  - Description: ${theme.description}
+`).join('')}
+` : 'No analysis data available. Please ask the user to upload and analyze a CSV file first.'}
+${evidence.length ? `
+RELEVANT COMMENTS (retrieved for this question, most relevant first):
+${evidence.map(doc => `[#${doc.id}] (${doc.theme}${doc.sentiment ? `, ${doc.sentiment}` : ''}) ${doc.text.substring(0, EVIDENCE_CHARS)}`).join('\n')}
+` : analysisContext ? '\nNo comments matched this question.\n' : ''}${history.length ? `
+CONVERSATION SO FAR:
+${history.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`).join('\n')}
+` : ''}
+User Question: ${message}
+
+Instructions:
+1. ONLY use the provided analysis data and comments above to answer questions
+2. Be specific with numbers and percentages from the data
+3. When you rely on a comment, cite its id in square brackets, e.g. [#12]; only cite ids listed above
+4. The retrieved comments are a sample; use the theme counts for how common something is
+5. If asked about themes not in the data, say they weren't found
+6. Keep responses concise but informative
+
+Answer the user's question based solely on this analysis data:`;
+}
+
+// Cited comments that were actually in the evidence, in order of first citation
+function extractCitations(text, evidence) {
+  const byId = new Map(evidence.map(doc => [doc.id, doc]));
+  const cited = new Map();
+  (String(text).match(/\[[^\]]*#\d+[^\]]*\]/g) || []).forEach(group => {
+    [...group.matchAll(CITATION_PATTERN)].forEach(match => {
+      const doc = byId.get(Number(match[1]));
+      if (doc && !cited.has(doc.id)) {
+        cited.set(doc.id, { id: doc.id, text: doc.text, theme: doc.theme, sentiment: doc.sentiment });
+      }
+    });
+  });
+  return [...cited.values()];
+}
+
+// Answer a question about an analysis result. `history` is the earlier
+// [{ role, content }] messages; `index` the result's search index and
+// `vault` the analysis' redaction placeholders. Personal data in the question
+// is redacted for the prompt and put back in the response; the analysis'
+// own placeholders are left for the client to reveal.
+async function answer({ message, result, index, history = [], usage, vault = {} }) {
+  const recent = history.slice(-HISTORY_IN_PROMPT);
+  const previousQuestion = [...recent].reverse().find(turn => turn.role === 'user');
+  const evidence = index ? search(index, message, { limit: EVIDENCE_LIMIT, context: previousQuestion ? previousQuestion.content : '' }) : [];
+  const analysisContext = result ? summarizeThemes(result) : null;
+  console.log(`CHAT: retrieved ${evidence.length} comments for "${redactForLog(message).substring(0, 60)}", ${recent.length} earlier messages`);
+
+  const redactor = createRedactor({}, vault);
+  const reply = await llm.complete('chat', buildChatPrompt(analysisContext, evidence, recent, message), {
+    usage,
+    redactor,
+    context: { message, analysis: analysisContext, evidence, history: recent }
+  });
+  const response = restorePlaceholders(reply, _.omit(redactor.vault, Object.keys(vault)));
+  return { response, citations: extractCitations(response, evidence), retrieved: evidence.length };
+}
+
+// Chat about a stored analysis, keeping the conversation with it
+async function chatAboutAnalysis(record, message, { usage } = {}) {
+  const index = indexFor(record.id, record.updatedAt, () => commentDocuments(record.result));
+  const chat = await chats.get(record.id);
+  const reply = await answer({
+    message,
+    result: record.result,
+    index,
+    history: chat ? chat.messages : [],
+    usage,
+    vault: (record.source && record.source.redactions) || {}
+  });
+
+  const now = new Date().toISOString();
+  const turn = [
+    { role: 'user', content: message, createdAt: now },
+    { role: 'assistant', content: reply.response, citations: reply.citations, createdAt: now }
+  ];
+  const keep = messages => [...messages, ...turn].slice(-MAX_STORED_MESSAGES);
+  const updated = await chats.update(record.id, existing => ({ ...existing, messages: keep(existing.messages) }));
+  if (!updated) {
+    await chats.save({ id: record.id, analysisId: record.id, messages: keep([]) });
+  }
+  return reply;
+}
+
+// Chat about an unsaved result sent by the client; nothing is stored
+function chatAboutResult(result, message, { history = [], usage } = {}) {
+  const hasComments = result && (result.topics || []).some(topic => (topic.comments || []).length > 0);
+  return answer({ message, result, index: hasComments ? buildIndex(commentDocuments(result)) : null, history, usage });
+}
+
+async function getHistory(analysisId) {
+  const chat = await chats.get(analysisId);
+  return chat ? chat.messages : [];
+}
+
+function clearHistory(analysisId) {
+  return chats.remove(analysisId);
+}
+
+module.exports = {
+  chatAboutAnalysis,
+  chatAboutResult,
+  getHistory,
+  clearHistory
+};
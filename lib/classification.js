@@ -0,0 +1,231 @@
+const natural = require('natural');
+
+// Parsing and validation of LLM classification output. Every comment in a
+// batch must come back with exactly one known theme; anything missing or
+// unusable is retried in smaller sub-batches before falling back.
+const FALLBACK_THEME = 'Uncategorized';
+const MIN_SUB_BATCH_SIZE = 5;
+const SUB_BATCH_SPLITS = 4;
+const MAX_RETRY_DEPTH = 2;
+const FUZZY_THRESHOLD = 0.88;
+// Ways models spell the explicit "none of the above" answer
+const OTHER_ALIASES = ['other', 'others', 'none', 'no theme', 'n a', 'uncategorised', 'misc', 'miscellaneous', 'other uncategorized'];
+
+// Models often wrap JSON in ```json fences or add a sentence before it
+function stripToJSON(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  const body = fenced ? fenced[1] : text;
+  const start = body.search(/[[{]/);
+  return start >= 0 ? body.slice(start).trim() : body.trim();
+}
+
+// Parse an LLM response as JSON, tolerating code fences, leading prose and
+// truncation. Throws when nothing usable can be recovered.
+function parseJSONResponse(text) {
+  const candidate = stripToJSON(String(text || ''));
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Cut a truncated response after its last complete entry and close it
+    const head = candidate.substring(0, candidate.lastIndexOf('}') + 1);
+    for (const closer of ['', ']', ']}', '}']) {
+      try {
+        return JSON.parse(head + closer);
+      } catch (repairError) {
+        // try the next closer
+      }
+    }
+    throw new Error(`Invalid JSON in model response: ${error.message}`);
+  }
+}
+
+// Individual `{ ... }` entries, for responses too broken to parse as a whole
+function salvageEntries(text) {
+  const entries = [];
+  (String(text || '').match(/\{[^{}]*\}/g) || []).forEach(fragment => {
+    try {
+      entries.push(JSON.parse(fragment));
+    } catch (error) {
+      // skip fragments that aren't valid JSON on their own
+    }
+  });
+  return entries;
+}
+
+// The first list of entries in a JSON response, or whatever `{ ... }` entries
+// can be salvaged from a broken one
+function parseEntries(text) {
+  try {
+    const data = parseJSONResponse(text);
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.classifications)) return data.classifications;
+    if (data && typeof data === 'object') {
+      const list = Object.values(data).find(Array.isArray);
+      if (list) return list;
+    }
+  } catch (error) {
+    console.warn('Model response not parseable as a whole, salvaging entries:', error.message);
+  }
+  return salvageEntries(text);
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Resolves theme names as returned by the model to the known theme names:
+// exact, then case/punctuation-insensitive, then "Theme 2"/"2" style
+// references, then containment and Jaro-Winkler similarity
+function createThemeMatcher(themeNames) {
+  const normalized = themeNames.map(name => ({ name, key: normalizeName(name) }));
+
+  return function matchTheme(rawName) {
+    if (rawName === undefined || rawName === null) return null;
+    if (typeof rawName === 'number' && themeNames[rawName - 1]) {
+      return { name: themeNames[rawName - 1], fuzzy: true };
+    }
+    const raw = String(rawName).trim();
+    if (themeNames.includes(raw)) return { name: raw, fuzzy: false };
+
+    const key = normalizeName(raw);
+    if (!key) return null;
+    const exact = normalized.find(theme => theme.key === key);
+    if (exact) return { name: exact.name, fuzzy: false };
+    if (OTHER_ALIASES.includes(key) && themeNames.includes(FALLBACK_THEME)) {
+      return { name: FALLBACK_THEME, fuzzy: true };
+    }
+
+    const numbered = key.match(/^(?:theme )?(\d+)$/);
+    if (numbered && themeNames[Number(numbered[1]) - 1]) {
+      return { name: themeNames[Number(numbered[1]) - 1], fuzzy: true };
+    }
+
+    const containing = normalized.filter(theme => theme.key.includes(key) || key.includes(theme.key));
+    if (containing.length === 1) return { name: containing[0].name, fuzzy: true };
+
+    let best = null;
+    let bestScore = 0;
+    normalized.forEach(theme => {
+      const score = natural.JaroWinklerDistance(key, theme.key);
+      if (score > bestScore) {
+        best = theme;
+        bestScore = score;
+      }
+    });
+    return best && bestScore >= FUZZY_THRESHOLD ? { name: best.name, fuzzy: true } : null;
+  };
+}
+
+function normalizeConfidence(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return 0.5;
+  const scaled = number > 1 && number <= 100 ? number / 100 : number;
+  return Math.min(1, Math.max(0, scaled));
+}
+
+function entryIndex(entry) {
+  const value = entry.commentIndex ?? entry.comment_index ?? entry.index ?? entry.id;
+  const number = typeof value === 'string' ? parseInt(value, 10) : value;
+  return Number.isInteger(number) ? number : null;
+}
+
+function entryTheme(entry) {
+  return entry.themeName ?? entry.theme_name ?? entry.theme ?? entry.category;
+}
+
+// Check a batch response against the comment indices that were sent. Returns
+// one classification per accepted index and the indices still unresolved.
+function validateClassifications(text, expectedIndices, matchTheme) {
+  const expected = new Set(expectedIndices);
+  const accepted = new Map();
+  let fuzzyMatched = 0;
+
+  parseEntries(text).forEach(entry => {
+    if (!entry || typeof entry !== 'object') return;
+    const index = entryIndex(entry);
+    if (!expected.has(index) || accepted.has(index)) return;
+    const match = matchTheme(entryTheme(entry));
+    if (!match) return;
+    if (match.fuzzy) fuzzyMatched++;
+    accepted.set(index, {
+      commentIndex: index,
+      themeName: match.name,
+      confidence: normalizeConfidence(entry.confidence)
+    });
+  });
+
+  return {
+    classifications: [...accepted.values()],
+    missing: expectedIndices.filter(index => !accepted.has(index)),
+    fuzzyMatched
+  };
+}
+
+function splitIntoSubBatches(items) {
+  const size = Math.max(MIN_SUB_BATCH_SIZE, Math.ceil(items.length / SUB_BATCH_SPLITS));
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+// Classify `items` ([{ index, text }]) with `requestBatch(items)`, which
+// resolves to the raw model text. Unresolved comments are retried in smaller
+// sub-batches; those still unresolved get the fallback theme. A request that
+// throws is not retried here (callers handle rate limits) and its comments
+// fall back, unless `signal` was aborted.
+async function classifyBatch(items, themeNames, requestBatch, { signal, depth = 0, matchTheme = createThemeMatcher(themeNames) } = {}) {
+  const stats = { requests: 1, retriedComments: 0, fuzzyMatched: 0, fallback: 0, failedRequests: 0 };
+  let result;
+  try {
+    const text = await requestBatch(items);
+    result = validateClassifications(text, items.map(item => item.index), matchTheme);
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    console.warn(`Classification request failed for ${items.length} comments:`, error.message);
+    stats.failedRequests = 1;
+    result = { classifications: [], missing: items.map(item => item.index), fuzzyMatched: 0, error };
+  }
+
+  stats.fuzzyMatched = result.fuzzyMatched;
+  const classifications = [...result.classifications];
+  const missingItems = items.filter(item => result.missing.includes(item.index));
+
+  if (missingItems.length > 0) {
+    const canRetry = !result.error && depth < MAX_RETRY_DEPTH;
+    if (canRetry) {
+      console.warn(`${missingItems.length} of ${items.length} comments missing or invalid, retrying in sub-batches`);
+      // Counted once per comment; deeper retries are a subset of these
+      stats.retriedComments += missingItems.length;
+      for (const subBatch of splitIntoSubBatches(missingItems)) {
+        const sub = await classifyBatch(subBatch, themeNames, requestBatch, { signal, depth: depth + 1, matchTheme });
+        classifications.push(...sub.classifications);
+        stats.requests += sub.stats.requests;
+        stats.fuzzyMatched += sub.stats.fuzzyMatched;
+        stats.fallback += sub.stats.fallback;
+        stats.failedRequests += sub.stats.failedRequests;
+      }
+    } else {
+      missingItems.forEach(item => {
+        classifications.push({ commentIndex: item.index, themeName: FALLBACK_THEME, confidence: 0, fallback: true });
+      });
+      stats.fallback += missingItems.length;
+    }
+  }
+
+  return { classifications, stats };
+}
+
+module.exports = {
+  FALLBACK_THEME,
+  parseJSONResponse,
+  parseEntries,
+  createThemeMatcher,
+  validateClassifications,
+  classifyBatch
+};
@@ -0,0 +1,111 @@
+const _ = require('lodash');
+const { createStore } = require('./storage');
+const { FALLBACK_THEME } = require('./classification');
+
+// Named, reusable theme sets. An analysis run against a codebook classifies
+// into its fixed themes instead of inventing new ones, so results from
+// different runs can be compared theme by theme.
+//   classify - only the codebook themes (plus Uncategorized)
+//   hybrid   - the codebook themes, plus candidate themes proposed for the
+//              comments that fit none of them
+const CODEBOOK_MODES = ['classify', 'hybrid'];
+const MAX_THEMES = 50;
+const MAX_KEYWORDS = 20;
+const MAX_EXAMPLES = 5;
+const EXAMPLES_FROM_ANALYSIS = 3;
+
+const codebooks = createStore('codebooks', {
+  summarize: codebook => ({
+    id: codebook.id,
+    workspaceId: codebook.workspaceId,
+    name: codebook.name,
+    description: codebook.description,
+    createdAt: codebook.createdAt,
+    updatedAt: codebook.updatedAt,
+    themeCount: codebook.themes.length,
+    themes: codebook.themes.map(theme => theme.name)
+  })
+});
+
+function cleanList(value, limit) {
+  if (!Array.isArray(value)) return [];
+  return _.uniq(value.map(item => String(item).trim()).filter(Boolean)).slice(0, limit);
+}
+
+// Validate and normalize a codebook from a request body. Throws with a
+// message suitable for a 400 response.
+function validateCodebook(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    throw new Error('Codebook name is required');
+  }
+  if (!Array.isArray(body.themes) || body.themes.length === 0) {
+    throw new Error('A codebook needs at least one theme');
+  }
+  if (body.themes.length > MAX_THEMES) {
+    throw new Error(`A codebook can have at most ${MAX_THEMES} themes`);
+  }
+
+  const themes = body.themes.map((theme, index) => {
+    const themeName = theme && typeof theme.name === 'string' ? theme.name.trim() : '';
+    if (!themeName) {
+      throw new Error(`Theme ${index + 1} needs a name`);
+    }
+    if (themeName.toLowerCase() === FALLBACK_THEME.toLowerCase()) {
+      throw new Error(`"${FALLBACK_THEME}" is added automatically and can't be a codebook theme`);
+    }
+    return {
+      name: themeName,
+      description: typeof theme.description === 'string' ? theme.description.trim() : '',
+      keywords: cleanList(theme.keywords, MAX_KEYWORDS),
+      examples: cleanList(theme.examples, MAX_EXAMPLES)
+    };
+  });
+
+  const duplicate = _.find(_.groupBy(themes, theme => theme.name.toLowerCase()), group => group.length > 1);
+  if (duplicate) {
+    throw new Error(`Duplicate theme name: ${duplicate[0].name}`);
+  }
+
+  return {
+    name,
+    description: typeof body.description === 'string' ? body.description.trim() : '',
+    themes
+  };
+}
+
+// Theme set of a stored analysis, in codebook form: its themes (without
+// Uncategorized and unreviewed candidates) with their top keywords and most
+// confidently classified comments as examples
+function themesFromAnalysis(record) {
+  return record.result.topics
+    .filter(topic => topic.title !== FALLBACK_THEME && !topic.candidate)
+    .map(topic => ({
+      name: topic.title,
+      description: topic.llmDescription || '',
+      keywords: (topic.words || []).slice(0, 10).map(word => word.term),
+      examples: _.sortBy(topic.comments || [], comment => -(comment.confidence || 0))
+        .slice(0, EXAMPLES_FROM_ANALYSIS)
+        .map(comment => comment.text)
+    }));
+}
+
+// `scope` is { workspaceId } of the workspace it belongs to
+function createCodebook(body, scope = {}) {
+  return codebooks.save({ ...scope, ...validateCodebook(body) });
+}
+
+// Replaces the name, description and themes; resolves to null for an unknown id
+function updateCodebook(id, body) {
+  const changes = validateCodebook(body);
+  return codebooks.update(id, codebook => ({ ...codebook, ...changes }));
+}
+
+module.exports = {
+  CODEBOOK_MODES,
+  codebooks,
+  validateCodebook,
+  themesFromAnalysis,
+  createCodebook,
+  updateCodebook
+};
@@ -0,0 +1,174 @@
+const _ = require('lodash');
+const natural = require('natural');
+const stopword = require('stopword');
+const { FALLBACK_THEME } = require('./classification');
+const { Z_THRESHOLD, twoProportionZ, round } = require('./stats');
+
+// Side-by-side comparison of two analysis results. Themes are matched by
+// codebook (both runs used the same codebook), then by name, then by the
+// similarity of their names, descriptions and keywords; each matched theme
+// gets volume, share and sentiment deltas, and share and negativity changes
+// are tested with a two-proportion z-test.
+const SIMILARITY_THRESHOLD = 0.3;
+const NAME_SIMILARITY_THRESHOLD = 0.9;
+// Fewest theme comments on both sides before a negativity change is tested
+const MIN_THEME_COMMENTS = 5;
+
+// The analysis result inside a stored analysis, a job response or a saved
+// GET /api/analyses/:id response; throws for anything else
+function extractResult(data) {
+  const result = (data && (data.analysis?.result || data.result || data.job?.result)) || data;
+  if (!result || !Array.isArray(result.topics) || typeof result.totalComments !== 'number') {
+    throw new Error('Not an analysis result: expected "topics" and "totalComments"');
+  }
+  return result;
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Stemmed term counts for a topic; the name counts double
+function topicTerms(topic) {
+  const words = text => stopword.removeStopwords(String(text || '').toLowerCase().match(/[a-z]{3,}/g) || []);
+  const terms = [
+    ...words(topic.title), ...words(topic.title),
+    ...words(topic.llmDescription),
+    ...(topic.words || []).slice(0, 10).flatMap(word => words(word.term))
+  ];
+  return _.countBy(terms.map(term => natural.PorterStemmer.stem(term)));
+}
+
+function cosine(a, b) {
+  const dot = Object.keys(a).reduce((sum, term) => sum + a[term] * (b[term] || 0), 0);
+  const norm = counts => Math.sqrt(Object.values(counts).reduce((sum, count) => sum + count * count, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator ? dot / denominator : 0;
+}
+
+function similarity(a, b) {
+  const nameScore = natural.JaroWinklerDistance(normalizeName(a.title), normalizeName(b.title));
+  return Math.max(nameScore >= NAME_SIMILARITY_THRESHOLD ? nameScore : 0, cosine(topicTerms(a), topicTerms(b)));
+}
+
+// Pairs of [baselineTopic, currentTopic, match, similarity]
+function matchTopics(baseline, current) {
+  const sameCodebook = !!(baseline.codebook && current.codebook && baseline.codebook.id === current.codebook.id);
+  const pairs = [];
+  const unmatchedBaseline = new Set(baseline.topics);
+  const unmatchedCurrent = new Set(current.topics);
+  const pair = (a, b, match, score) => {
+    pairs.push([a, b, match, round(score, 2)]);
+    unmatchedBaseline.delete(a);
+    unmatchedCurrent.delete(b);
+  };
+
+  baseline.topics.forEach(a => {
+    const b = [...unmatchedCurrent].find(topic => normalizeName(topic.title) === normalizeName(a.title));
+    if (b) pair(a, b, sameCodebook && a.title !== FALLBACK_THEME ? 'codebook' : 'name', 1);
+  });
+
+  // Greedy best-first matching of what's left by similarity
+  const candidates = [];
+  unmatchedBaseline.forEach(a => {
+    unmatchedCurrent.forEach(b => {
+      if (a.title === FALLBACK_THEME || b.title === FALLBACK_THEME) return;
+      const score = similarity(a, b);
+      if (score >= SIMILARITY_THRESHOLD) candidates.push([a, b, score]);
+    });
+  });
+  _.sortBy(candidates, candidate => -candidate[2]).forEach(([a, b, score]) => {
+    if (unmatchedBaseline.has(a) && unmatchedCurrent.has(b)) pair(a, b, 'similarity', score);
+  });
+
+  unmatchedBaseline.forEach(a => pairs.push([a, null, null, null]));
+  unmatchedCurrent.forEach(b => pairs.push([null, b, null, null]));
+  return { pairs, sameCodebook };
+}
+
+function topicStats(topic, totalComments) {
+  if (!topic) {
+    return { volume: 0, share: 0, negative: 0, negativeShare: 0, sentimentScore: null };
+  }
+  const negative = topic.sentiment?.distribution?.negative || 0;
+  return {
+    volume: topic.volume,
+    share: topic.volume / totalComments,
+    negative,
+    negativeShare: topic.volume ? negative / topic.volume : 0,
+    sentimentScore: topic.sentiment?.score ?? null
+  };
+}
+
+function publicStats(stats) {
+  return {
+    volume: stats.volume,
+    percentage: round(stats.share * 100, 1),
+    negative: stats.negative,
+    negativePercentage: round(stats.negativeShare * 100, 1),
+    sentimentScore: stats.sentimentScore
+  };
+}
+
+function compareAnalyses(baseline, current, { baselineLabel = 'Baseline', currentLabel = 'Current' } = {}) {
+  const { pairs, sameCodebook } = matchTopics(baseline, current);
+
+  const themes = pairs.map(([a, b, match, score]) => {
+    const before = topicStats(a, baseline.totalComments);
+    const after = topicStats(b, current.totalComments);
+    const shareZ = twoProportionZ(before.volume, baseline.totalComments, after.volume, current.totalComments);
+    const negativityTested = before.volume >= MIN_THEME_COMMENTS && after.volume >= MIN_THEME_COMMENTS;
+    const negativityZ = negativityTested ? twoProportionZ(before.negative, before.volume, after.negative, after.volume) : 0;
+    const significance = {
+      share: { z: round(shareZ, 2), significant: Math.abs(shareZ) >= Z_THRESHOLD },
+      negativity: negativityTested ? { z: round(negativityZ, 2), significant: Math.abs(negativityZ) >= Z_THRESHOLD } : null
+    };
+
+    return {
+      title: b ? b.title : a.title,
+      baselineTitle: a ? a.title : null,
+      currentTitle: b ? b.title : null,
+      status: a && b ? 'matched' : b ? 'appeared' : 'disappeared',
+      match,
+      similarity: score,
+      baseline: a ? publicStats(before) : null,
+      current: b ? publicStats(after) : null,
+      deltas: {
+        volume: after.volume - before.volume,
+        percentage: round((after.share - before.share) * 100, 1),
+        negativePercentage: a && b ? round((after.negativeShare - before.negativeShare) * 100, 1) : null,
+        sentimentScore: a && b && before.sentimentScore !== null && after.sentimentScore !== null
+          ? round(after.sentimentScore - before.sentimentScore, 2)
+          : null
+      },
+      significance,
+      significant: significance.share.significant || !!(significance.negativity && significance.negativity.significant)
+    };
+  });
+
+  const ordered = _.orderBy(themes, [theme => theme.significant, theme => Math.abs(theme.deltas.percentage)], ['desc', 'desc']);
+  const summarize = (result, label) => ({
+    label,
+    totalComments: result.totalComments,
+    themeCount: result.topics.length,
+    codebook: result.codebook ? { id: result.codebook.id, name: result.codebook.name } : null
+  });
+
+  return {
+    baseline: summarize(baseline, baselineLabel),
+    current: summarize(current, currentLabel),
+    sameCodebook,
+    summary: {
+      matched: themes.filter(theme => theme.status === 'matched').length,
+      appeared: themes.filter(theme => theme.status === 'appeared').length,
+      disappeared: themes.filter(theme => theme.status === 'disappeared').length,
+      significantChanges: themes.filter(theme => theme.significant).length
+    },
+    themes: ordered
+  };
+}
+
+module.exports = {
+  extractResult,
+  compareAnalyses
+};
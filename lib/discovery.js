@@ -0,0 +1,218 @@
+const _ = require('lodash');
+const natural = require('natural');
+const llm = require('./llm');
+const { FALLBACK_THEME, parseJSONResponse } = require('./classification');
+const { reportProgress, reportWait, throwIfCancelled } = require('./jobs');
+
+// LLM theme discovery over the whole dataset. The comments are split into
+// contiguous chunks, each chunk is sampled across the offline topic clusters
+// so one dominant topic can't crowd out the rest, the LLM proposes themes per
+// chunk, and a merge step deduplicates the proposals into the final set.
+const CHUNK_SIZE = 400;
+const MAX_CHUNKS = 6;
+const MAX_THEMES = 10;
+const LOCAL_MERGE_THRESHOLD = 0.4;
+
+// Evenly spaced picks from a list, so a sample spans the whole list
+function spread(list, count) {
+  if (count >= list.length) return [...list];
+  const step = list.length / count;
+  return Array.from({ length: count }, (_unused, i) => list[Math.floor(i * step)]);
+}
+
+// Comment indices to show the LLM, per chunk. `clusterOf[i]` is the offline
+// topic of comment i (or -1); each chunk's sample round-robins across them.
+function planDiscoverySamples(commentCount, { clusterOf = [], sampleSize = 50 } = {}) {
+  const chunkCount = Math.min(MAX_CHUNKS, Math.max(1, Math.ceil(commentCount / CHUNK_SIZE)));
+  const chunkLength = Math.ceil(commentCount / chunkCount);
+  const chunks = [];
+
+  for (let start = 0; start < commentCount; start += chunkLength) {
+    const end = Math.min(commentCount, start + chunkLength);
+    const byCluster = _.groupBy(_.range(start, end), index => clusterOf[index] ?? -1);
+    const queues = Object.keys(byCluster).sort().map(key => spread(byCluster[key], Math.min(byCluster[key].length, sampleSize)));
+    const sample = [];
+    while (sample.length < Math.min(sampleSize, end - start)) {
+      queues.forEach(queue => {
+        if (queue.length > 0 && sample.length < sampleSize) sample.push(queue.shift());
+      });
+    }
+    chunks.push({ start, end, sample: sample.sort((a, b) => a - b) });
+  }
+  return chunks;
+}
+
+// Keep well-formed, uniquely named themes from a themes response, leaving
+// out Uncategorized and any `exclude`d (already existing) theme names
+function normalizeThemes(data, exclude = []) {
+  const list = Array.isArray(data) ? data : (data && data.themes) || [];
+  const excluded = new Set([FALLBACK_THEME, ...exclude].map(name => name.toLowerCase()));
+  return _.uniqBy(list
+    .filter(theme => theme && typeof theme.name === 'string' && theme.name.trim() && !excluded.has(theme.name.trim().toLowerCase()))
+    .map(theme => ({
+      name: theme.name.trim(),
+      description: theme.description || '',
+      keywords: Array.isArray(theme.keywords) ? theme.keywords.map(String) : []
+    })), theme => theme.name.toLowerCase());
+}
+
+function buildProposalPrompt(sampleComments, exclude) {
+  const commentsSample = sampleComments.map((comment, index) =>
+    `${index + 1}. ${comment}`).join('\n');
+
+  return `Analyze these comments and identify 3-8 distinct themes/categories that emerge from the content.
+
+Comments:
+${commentsSample}
+${exclude.length ? `\nThese themes already exist and must not be proposed again: ${exclude.join(', ')}\n` : ''}
+Based on these comments, identify the main themes that appear. For each theme, provide:
+1. Theme name (2-4 words, business-focused)
+2. Brief description
+3. Key indicators/words that signal this theme
+
+Respond in JSON format with an array of themes:
+{
+  "themes": [
+    {
+      "name": "Theme Name",
+      "description": "What this theme represents",
+      "keywords": ["keyword1", "keyword2", "keyword3"]
+    }
+  ]
+}`;
+}
+
+function buildMergePrompt(proposals) {
+  return `These theme lists were proposed independently from different parts of one comment dataset. Merge them into a single final set of 3-${MAX_THEMES} distinct themes: combine themes that mean the same thing, keep themes that only appear in one part, and drop near-empty or overly generic ones.
+
+${proposals.map((themes, chunkIndex) => `Part ${chunkIndex + 1}:
+${themes.map(theme => `- ${theme.name}: ${theme.description} (keywords: ${theme.keywords.join(', ')})`).join('\n')}`).join('\n\n')}
+
+Respond in JSON format with the final themes:
+{
+  "themes": [
+    {
+      "name": "Theme Name",
+      "description": "What this theme represents",
+      "keywords": ["keyword1", "keyword2", "keyword3"]
+    }
+  ]
+}`;
+}
+
+function themeTokens(theme) {
+  const words = `${theme.name} ${theme.keywords.join(' ')}`.toLowerCase().match(/[a-z0-9]+/g) || [];
+  return new Set(words.filter(word => word.length > 2).map(word => natural.PorterStemmer.stem(word)));
+}
+
+function similarity(a, b) {
+  const nameScore = natural.JaroWinklerDistance(a.name.toLowerCase(), b.name.toLowerCase());
+  const tokensA = themeTokens(a);
+  const tokensB = themeTokens(b);
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const union = new Set([...tokensA, ...tokensB]).size;
+  return Math.max(nameScore >= 0.9 ? nameScore : 0, union > 0 ? shared / union : 0);
+}
+
+// Deterministic merge used when the LLM merge fails: themes whose names or
+// keywords overlap are combined, and themes proposed by more chunks rank first
+function mergeThemesLocally(proposals) {
+  const merged = [];
+  proposals.flat().forEach(theme => {
+    const match = merged.find(existing => similarity(existing, theme) >= LOCAL_MERGE_THRESHOLD);
+    if (match) {
+      match.keywords = _.uniq([...match.keywords, ...theme.keywords]).slice(0, 10);
+      match.support++;
+    } else {
+      merged.push({ ...theme, support: 1 });
+    }
+  });
+  return _.sortBy(merged, theme => -theme.support)
+    .slice(0, MAX_THEMES)
+    .map(({ support, ...theme }) => theme);
+}
+
+// Propose themes per chunk and merge them. `clusterOf` (offline topic per
+// comment) diversifies the samples; `sampleSize` is the per-chunk budget;
+// `exclude` lists existing theme names not to propose again; `percent` is
+// the [from, to] range of job progress to report in.
+async function discoverThemes(comments, job, { clusterOf, sampleSize = 50, exclude = [], percent = [5, 16] } = {}) {
+  const chunks = planDiscoverySamples(comments.length, { clusterOf, sampleSize });
+  const llmOptions = {
+    signal: job.signal,
+    usage: job.llmUsage,
+    onWait: (ms, reason) => reportWait(job, 'theme_discovery', ms, reason)
+  };
+  let finished = 0;
+
+  throwIfCancelled(job);
+  reportProgress(job, 'theme_discovery', `Identifying themes in ${chunks.length} part${chunks.length === 1 ? '' : 's'} of the dataset...`,
+    { current: 0, total: chunks.length, percent: percent[0] });
+
+  // Parts are proposed concurrently, within the scheduler's limits
+  const proposeChunk = async (chunk, chunkIndex) => {
+    const sampleComments = chunk.sample.map(index => comments[index]);
+    let themes = [];
+    try {
+      const response = await llm.complete('themes', buildProposalPrompt(sampleComments, exclude), {
+        ...llmOptions,
+        context: { comments: sampleComments, exclude }
+      });
+      themes = normalizeThemes(parseJSONResponse(response), exclude);
+      console.log(`THEME PROPOSALS part ${chunkIndex + 1}/${chunks.length} (comments ${chunk.start + 1}-${chunk.end}):`, themes.map(t => t.name));
+    } catch (error) {
+      throwIfCancelled(job);
+      // One bad chunk shouldn't sink discovery; other chunks still propose themes
+      console.warn(`Theme proposal failed for part ${chunkIndex + 1}:`, error.message);
+    }
+    finished++;
+    reportProgress(job, 'theme_discovery', `Identified themes in part ${finished} of ${chunks.length} (${chunk.sample.length} sample comments)`,
+      { current: finished, total: chunks.length, percent: percent[0] + (finished / chunks.length) * (percent[1] - percent[0]) });
+    return themes;
+  };
+
+  const proposals = (await Promise.all(chunks.map(proposeChunk))).filter(themes => themes.length > 0);
+  throwIfCancelled(job);
+
+  if (proposals.length === 0) {
+    throw new Error('The model did not propose any themes');
+  }
+
+  let themes = proposals[0];
+  let merge = 'none';
+  if (proposals.length > 1) {
+    throwIfCancelled(job);
+    reportProgress(job, 'theme_discovery', `Merging ${proposals.flat().length} proposed themes from ${proposals.length} parts...`, { percent: percent[1] });
+    try {
+      const response = await llm.complete('themes', buildMergePrompt(proposals), {
+        ...llmOptions,
+        context: { proposals }
+      });
+      themes = normalizeThemes(parseJSONResponse(response), exclude).slice(0, MAX_THEMES);
+      if (themes.length === 0) throw new Error('merge returned no themes');
+      merge = 'llm';
+    } catch (error) {
+      throwIfCancelled(job);
+      console.warn('LLM theme merge failed, merging locally:', error.message);
+      themes = mergeThemesLocally(proposals);
+      merge = 'local';
+    }
+  }
+
+  return {
+    themes,
+    discovery: {
+      chunks: chunks.length,
+      sampledComments: _.sumBy(chunks, chunk => chunk.sample.length),
+      proposedThemes: proposals.flat().length,
+      merge
+    }
+  };
+}
+
+module.exports = {
+  spread,
+  planDiscoverySamples,
+  mergeThemesLocally,
+  discoverThemes
+};
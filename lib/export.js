@@ -0,0 +1,139 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// `reviewed` is "yes" for comments an analyst assigned by hand; `translation`
+// is the pivot-language text the comment was analyzed as, if translated
+const CLASSIFICATION_COLUMNS = ['assigned_theme', 'theme_confidence', 'sentiment_label', 'sentiment_score', 'reviewed', 'quality_flag', 'weight', 'language', 'translation'];
+
+// Map each analyzed source row to the theme it was classified into
+function buildAssignments(result) {
+  const assignments = new Map();
+  result.topics.forEach(topic => {
+    topic.comments.forEach(comment => {
+      const key = comment.rowIndex !== undefined ? comment.rowIndex : comment.originalIndex;
+      assignments.set(key, {
+        assigned_theme: topic.title,
+        theme_confidence: Math.round((comment.confidence || 0) * 100) / 100,
+        sentiment_label: comment.sentiment?.label || '',
+        sentiment_score: comment.sentiment?.score ?? '',
+        reviewed: comment.reviewed ? 'yes' : '',
+        quality_flag: comment.quality ? comment.quality.flag : '',
+        weight: comment.weight ?? 1,
+        language: comment.language || '',
+        translation: comment.translation || ''
+      });
+    });
+  });
+  return assignments;
+}
+
+// One output row per analyzed input row: original columns first, then the
+// classification. Rows that never reached the classifier (e.g. comments too
+// short to analyze or excluded by the quality checks) keep empty
+// classification columns.
+function buildClassifiedRows(record) {
+  const assignments = buildAssignments(record.result);
+  const empty = { assigned_theme: '', theme_confidence: '', sentiment_label: '', sentiment_score: '', reviewed: '', quality_flag: '', weight: '', language: '', translation: '' };
+
+  if (record.source && record.source.rows) {
+    const headers = record.source.headers;
+    const rows = record.source.rows.map((row, index) => ({ ...row, ...(assignments.get(index) || empty) }));
+    return { headers: [...headers, ...CLASSIFICATION_COLUMNS], rows };
+  }
+
+  // Analyses stored without their source rows only know the comment text
+  const rows = [];
+  record.result.topics.forEach(topic => {
+    topic.comments.forEach(comment => {
+      const key = comment.rowIndex !== undefined ? comment.rowIndex : comment.originalIndex;
+      rows.push({ comment: comment.text, ...(comment.metadata || {}), ...assignments.get(key) });
+    });
+  });
+  const metadataHeaders = record.result.columns?.metadata || [];
+  return { headers: ['comment', ...metadataHeaders, ...CLASSIFICATION_COLUMNS], rows };
+}
+
+function escapeCSVField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(headers, rows) {
+  const lines = [headers.map(escapeCSVField).join(',')];
+  rows.forEach(row => {
+    lines.push(headers.map(header => escapeCSVField(row[header])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function exportFileName(record, extension) {
+  const base = path.basename(record.fileName || 'analysis', path.extname(record.fileName || ''))
+    .replace(/[^A-Za-z0-9_-]+/g, '_') || 'analysis';
+  return `${base}_classified.${extension}`;
+}
+
+async function writeXLSX(record, headers, rows, res) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+
+  const sheet = workbook.addWorksheet('Classifications');
+  sheet.columns = headers.map(header => ({ header, key: header, width: Math.min(60, Math.max(12, header.length + 2)) }));
+  rows.forEach(row => sheet.addRow(row).commit());
+  sheet.commit();
+
+  const themes = workbook.addWorksheet('Themes');
+  themes.columns = [
+    { header: 'theme', key: 'theme', width: 32 },
+    { header: 'comments', key: 'comments', width: 12 },
+    { header: 'percentage', key: 'percentage', width: 12 },
+    { header: 'sentiment', key: 'sentiment', width: 12 },
+    { header: 'business_impact', key: 'impact', width: 16 },
+    { header: 'description', key: 'description', width: 60 }
+  ];
+  record.result.topics.forEach(topic => {
+    themes.addRow({
+      theme: topic.title,
+      comments: topic.volume,
+      percentage: topic.percentage,
+      sentiment: topic.sentiment?.classification,
+      impact: topic.businessImpact,
+      description: topic.llmDescription
+    }).commit();
+  });
+  themes.commit();
+
+  await workbook.commit();
+}
+
+async function exportAnalysis(record, format, res) {
+  const { headers, rows } = buildClassifiedRows(record);
+
+  if (format === 'json') {
+    res.attachment(exportFileName(record, 'json'));
+    return res.json({
+      analysisId: record.id,
+      fileName: record.fileName,
+      createdAt: record.createdAt,
+      columns: headers,
+      rows
+    });
+  }
+
+  if (format === 'xlsx') {
+    res.attachment(exportFileName(record, 'xlsx'));
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return writeXLSX(record, headers, rows, res);
+  }
+
+  res.attachment(exportFileName(record, 'csv'));
+  res.type('text/csv; charset=utf-8');
+  res.send(toCSV(headers, rows));
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildClassifiedRows,
+  toCSV,
+  exportAnalysis
+};
@@ -0,0 +1,785 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+
+// Server-side reading of uploaded data files: delimited text (comma,
+// semicolon, tab or pipe, detected), Excel workbooks and JSON / NDJSON.
+// Text encodings are detected from the BOM, or as UTF-8 with a Windows-1252
+// fallback. Every file comes back as header-keyed rows plus a parse report
+// that lists the rows that were skipped or repaired with their line numbers
+// (sheet row numbers for workbooks, item numbers for JSON arrays).
+//
+// Every format is streamed (JSON arrays item by item), so memory grows with
+// the rows kept rather than the file; uploads are capped by INGEST_LIMITS.
+const DELIMITERS = [',', ';', '\t', '|'];
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.txt': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+// Characters of a delimited file sampled to detect the delimiter
+const SNIFF_CHARS = 64 * 1024;
+const READ_CHUNK_BYTES = 1024 * 1024;
+// Issues listed individually in the report; the counts cover all of them
+const MAX_REPORTED_ISSUES = 100;
+const PREVIEW_CHARS = 80;
+
+function limitFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  if (process.env[name] && !(value > 0)) {
+    console.warn(`Ignoring ${name}=${process.env[name]}: not a positive number`);
+  }
+  return value > 0 ? value : fallback;
+}
+
+// Upload size in bytes (MAX_UPLOAD_MB) and data rows per file (MAX_UPLOAD_ROWS)
+const INGEST_LIMITS = {
+  maxFileBytes: Math.round(limitFromEnv('MAX_UPLOAD_MB', 100) * 1024 * 1024),
+  maxRows: Math.floor(limitFromEnv('MAX_UPLOAD_ROWS', 200000))
+};
+
+// Encoding of a file from its first bytes: UTF-8/UTF-16 with a BOM, UTF-16
+// without one when every other byte is zero, else UTF-8, or Windows-1252
+// when the start already isn't valid UTF-8 (older Excel CSV exports).
+// `skip` is the length of the BOM.
+function detectEncoding(head) {
+  if (head[0] === 0xEF && head[1] === 0xBB && head[2] === 0xBF) return { encoding: 'utf-8-bom', skip: 3 };
+  if (head[0] === 0xFF && head[1] === 0xFE) return { encoding: 'utf-16le', skip: 2 };
+  if (head[0] === 0xFE && head[1] === 0xFF) return { encoding: 'utf-16be', skip: 2 };
+  const sample = head.subarray(0, 1000);
+  const zerosAt = parity => sample.filter((byte, index) => index % 2 === parity && byte === 0).length;
+  if (sample.length >= 4 && zerosAt(1) > sample.length / 4 && zerosAt(0) === 0) return { encoding: 'utf-16le', skip: 0 };
+  if (sample.length >= 4 && zerosAt(0) > sample.length / 4 && zerosAt(1) === 0) return { encoding: 'utf-16be', skip: 0 };
+  try {
+    // Streaming mode, so a character cut off at the end of the head is fine
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return { encoding: 'utf-8', skip: 0 };
+  } catch (error) {
+    return { encoding: 'windows-1252', skip: 0 };
+  }
+}
+
+function createDecoder(encoding) {
+  return new TextDecoder(encoding === 'utf-8-bom' ? 'utf-8' : encoding, { fatal: encoding === 'utf-8' });
+}
+
+async function readHead(filePath, bytes) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(bytes), 0, bytes, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Stream a text file to `reader` ({ write(text), end() }) made by
+// `createReader(encoding)`. UTF-8 that turns out invalid further in is read
+// again from the start as Windows-1252 with a fresh reader.
+async function streamText(filePath, head, createReader) {
+  const { encoding, skip } = detectEncoding(head);
+  const read = async (encoding, skip) => {
+    const reader = createReader(encoding);
+    const decoder = createDecoder(encoding);
+    for await (const chunk of fs.createReadStream(filePath, { start: skip, highWaterMark: READ_CHUNK_BYTES })) {
+      reader.write(decoder.decode(chunk, { stream: true }));
+    }
+    reader.write(decoder.decode());
+    return reader.end();
+  };
+  try {
+    return await read(encoding, skip);
+  } catch (error) {
+    if (encoding !== 'utf-8' || error.code !== 'ERR_ENCODING_INVALID_ENCODED_DATA') throw error;
+    return read('windows-1252', 0);
+  }
+}
+
+// Incremental parser for delimited text that may contain quoted multi-line
+// fields. Text goes in through write() in chunks of any size; `onRecord`
+// gets { values, line } records, `line` being the 1-based line the record
+// starts on. Blank records are dropped. end() returns { unterminated }: a
+// quote left open at the end of the text, which isn't returned as a record.
+function createDelimitedParser(delimiter, onRecord) {
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+  // A chunk ended on \r (the next may start with its \n) or on a quote
+  // inside a quoted field (the next may start with the second of "")
+  let pendingReturn = false;
+  let pendingQuote = false;
+
+  const endRecord = () => {
+    values.push(field.trim());
+    if (values.some(value => value.length > 0)) {
+      onRecord({ values, line: recordLine });
+    }
+    values = [];
+    field = '';
+  };
+
+  const write = text => {
+    let i = 0;
+    if (pendingReturn && text.length > 0) {
+      pendingReturn = false;
+      if (text[0] === '\n') i = 1;
+    }
+    if (pendingQuote && text.length > 0) {
+      pendingQuote = false;
+      if (text[0] === '"') {
+        field += '"';
+        i = 1;
+      } else {
+        inQuotes = false;
+      }
+    }
+    // Plain characters are copied a run at a time
+    let start = i;
+    for (; i < text.length; i++) {
+      const char = text[i];
+      if (char !== '"' && char !== delimiter && char !== '\n' && char !== '\r') continue;
+      field += text.slice(start, i);
+      if (char === '"') {
+        if (!inQuotes) {
+          inQuotes = true;
+          quoteLine = line;
+        } else if (i + 1 === text.length) {
+          pendingQuote = true;
+        } else if (text[i + 1] === '"') {
+          // Escaped quote inside quoted field
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else if (char === delimiter) {
+        if (inQuotes) {
+          field += char;
+        } else {
+          values.push(field.trim());
+          field = '';
+        }
+      } else {
+        // \r\n and lone \r count as one line break
+        if (char === '\r') {
+          if (i + 1 === text.length) pendingReturn = true;
+          else if (text[i + 1] === '\n') i++;
+        }
+        line++;
+        if (inQuotes) {
+          field += '\n';
+        } else {
+          endRecord();
+          recordLine = line;
+        }
+      }
+      start = i + 1;
+    }
+    field += text.slice(start);
+  };
+
+  const end = () => {
+    if (pendingQuote) {
+      pendingQuote = false;
+      inQuotes = false;
+    }
+    if (inQuotes) {
+      return { unterminated: { line: recordLine, quoteLine } };
+    }
+    if (field || values.length > 0) endRecord();
+    return { unterminated: null };
+  };
+
+  return { write, end };
+}
+
+// Parse a whole delimited text into { records, unterminated }
+function parseDelimited(text, delimiter = ',') {
+  const records = [];
+  const parser = createDelimitedParser(delimiter, record => records.push(record));
+  parser.write(text);
+  return { records, ...parser.end() };
+}
+
+// The candidate delimiter that splits the first records into the most
+// consistent number of fields (and the most fields on a tie); comma when
+// every candidate yields a single column
+function detectDelimiter(text) {
+  let sample = text.substring(0, SNIFF_CHARS);
+  if (text.length > SNIFF_CHARS && sample.lastIndexOf('\n') > 0) {
+    sample = sample.substring(0, sample.lastIndexOf('\n'));
+  }
+  let best = { delimiter: ',', score: 0 };
+  DELIMITERS.forEach(delimiter => {
+    const records = parseDelimited(sample, delimiter).records.slice(0, 50);
+    if (records.length === 0) return;
+    const fieldCount = records[0].values.length;
+    if (fieldCount < 2) return;
+    const consistent = records.filter(record => record.values.length === fieldCount).length / records.length;
+    const score = consistent * 1000 + Math.min(fieldCount, 999);
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+}
+
+function detectFormat(fileName, buffer) {
+  const byExtension = EXTENSION_FORMATS[path.extname(fileName || '').toLowerCase()];
+  if (byExtension) return byExtension;
+  // XLSX files are zip archives
+  if (buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04) return 'xlsx';
+  const start = buffer.subarray(0, 200).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (start.startsWith('[')) return 'json';
+  if (start.startsWith('{')) return 'ndjson';
+  return 'csv';
+}
+
+function createReport(format, details = {}) {
+  return {
+    format,
+    encoding: null,
+    delimiter: null,
+    sheet: null,
+    ...details,
+    records: 0,
+    rows: 0,
+    duplicateRows: 0,
+    skippedRows: 0,
+    repairedRows: 0,
+    // { line | item, action: 'skipped' | 'repaired', reason, preview }
+    issues: [],
+    issuesTruncated: false,
+    warnings: []
+  };
+}
+
+function addIssue(report, issue) {
+  if (issue.action === 'skipped') report.skippedRows++;
+  else report.repairedRows++;
+  if (report.issues.length < MAX_REPORTED_ISSUES) {
+    report.issues.push(issue);
+  } else {
+    report.issuesTruncated = true;
+  }
+}
+
+function preview(values) {
+  const text = values.filter(value => value !== '').join(' | ');
+  return text.length > PREVIEW_CHARS ? text.substring(0, PREVIEW_CHARS - 1) + '…' : text;
+}
+
+// Unique, non-empty header names
+function normalizeHeaders(values, report) {
+  const seen = new Map();
+  return values.map((value, index) => {
+    let name = String(value || '').trim();
+    if (!name) {
+      name = `column_${index + 1}`;
+      report.warnings.push(`Column ${index + 1} has no header and was named "${name}"`);
+    }
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    if (count > 1) {
+      const renamed = `${name}_${count}`;
+      report.warnings.push(`Duplicate header "${name}" in column ${index + 1} was renamed "${renamed}"`);
+      name = renamed;
+    }
+    return name;
+  });
+}
+
+function tooManyRows(maxRows) {
+  const error = new Error(`The file has more than ${maxRows} rows; split it or raise MAX_UPLOAD_ROWS`);
+  error.status = 413;
+  return error;
+}
+
+// Where parsed rows go: every row counts against `maxRows`, only the first
+// `sampleRows` are kept. With `dedupe`, rows that repeat an earlier row in
+// every column are dropped as they arrive and counted in
+// report.duplicateRows; only a hash (`key`) of each distinct row is held.
+function createRowSink(report, { maxRows, sampleRows, dedupe }, key = rowHash) {
+  const rows = [];
+  const seen = dedupe ? new Set() : null;
+  return {
+    rows,
+    push(row) {
+      report.rows++;
+      if (report.rows > maxRows) throw tooManyRows(maxRows);
+      if (seen) {
+        const hash = key(row);
+        if (seen.has(hash)) {
+          report.duplicateRows++;
+          return;
+        }
+        seen.add(hash);
+      }
+      if (rows.length < sampleRows) rows.push(row);
+    }
+  };
+}
+
+// Header-keyed rows from { values, line } records, the first being the
+// header. Short rows are padded (and reported unless `padSilently`, as for
+// sheets whose trailing cells are simply empty); rows with extra non-empty
+// fields are skipped and reported.
+function createRecordRows(report, sink, { padSilently = false } = {}) {
+  let headers = null;
+  return {
+    add({ values, line }) {
+      if (!headers) {
+        headers = normalizeHeaders(values, report);
+        return;
+      }
+      report.records++;
+      const extra = values.slice(headers.length);
+      if (extra.some(value => value !== '')) {
+        addIssue(report, {
+          line,
+          action: 'skipped',
+          reason: `${values.length} fields, expected ${headers.length}`,
+          preview: preview(values)
+        });
+        return;
+      }
+      if (values.length < headers.length && !padSilently) {
+        addIssue(report, {
+          line,
+          action: 'repaired',
+          reason: `${values.length} fields, expected ${headers.length}; missing fields left empty`,
+          preview: preview(values)
+        });
+      }
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index] || '';
+      });
+      sink.push(row);
+    },
+    headers() {
+      if (!headers) {
+        throw new Error('The file appears to be empty or invalid');
+      }
+      return headers;
+    }
+  };
+}
+
+function readDelimited(filePath, head, format, limits) {
+  const tsv = format === 'tsv';
+  return streamText(filePath, head, encoding => {
+    const report = createReport(tsv ? 'tsv' : 'csv', { encoding });
+    const sink = createRowSink(report, limits);
+    const rows = createRecordRows(report, sink);
+    let parser = null;
+    let sample = '';
+    const start = () => {
+      report.delimiter = tsv ? '\t' : detectDelimiter(sample);
+      parser = createDelimitedParser(report.delimiter, record => rows.add(record));
+      parser.write(sample);
+      sample = '';
+    };
+    return {
+      write(text) {
+        if (parser) return parser.write(text);
+        // Parsing starts once there is enough text to detect the delimiter
+        sample += text;
+        if (sample.length > SNIFF_CHARS) start();
+      },
+      end() {
+        if (!parser) start();
+        const { unterminated } = parser.end();
+        if (unterminated) {
+          addIssue(report, {
+            line: unterminated.line,
+            action: 'skipped',
+            reason: `quote opened on line ${unterminated.quoteLine} is never closed; the rest of the file was skipped`,
+            preview: ''
+          });
+        }
+        return { headers: rows.headers(), rows: sink.rows, report };
+      }
+    };
+  });
+}
+
+// Cell values as text; dates at midnight become YYYY-MM-DD
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.substring(0, 10) : iso;
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return cellText(value.text);
+    if ('error' in value) return '';
+    return JSON.stringify(value);
+  }
+  return String(value).trim();
+}
+
+// A row's cell texts; trailing empty cells are formatting, not fields
+function rowValues(row) {
+  const values = Array.from(row.values.slice(1), cellText);
+  while (values.length > 0 && values[values.length - 1] === '') values.pop();
+  return values;
+}
+
+// The first worksheet with data, read row by row; its first non-empty row
+// is the header
+async function readWorkbook(filePath, limits) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    entries: 'ignore'
+  });
+  let sheet = null;
+  let report = null;
+  let sink = null;
+  let rows = null;
+  let otherSheetsWithData = false;
+  try {
+    for await (const worksheet of workbook) {
+      // Later sheets are still read through, the workbook is one stream
+      for await (const row of worksheet) {
+        const values = rowValues(row);
+        if (values.length === 0) continue;
+        if (!sheet) {
+          sheet = worksheet;
+          report = createReport('xlsx', { sheet: worksheet.name });
+          sink = createRowSink(report, limits);
+          rows = createRecordRows(report, sink, { padSilently: true });
+        }
+        if (worksheet !== sheet) {
+          otherSheetsWithData = true;
+          continue;
+        }
+        rows.add({ values, line: row.number });
+      }
+    }
+  } catch (error) {
+    if (error.status) throw error;
+    throw new Error('Could not read the Excel workbook: ' + error.message);
+  }
+  if (!sheet) {
+    throw new Error('The workbook has no sheet with data');
+  }
+  if (otherSheetsWithData) {
+    report.warnings.push(`Only the first sheet with data ("${sheet.name}") was read`);
+  }
+  return { headers: rows.headers(), rows: sink.rows, report };
+}
+
+// Nested objects become dotted columns ("author.name"); arrays are joined
+function flattenObject(object, prefix = '', flat = {}) {
+  Object.entries(object).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenObject(value, name, flat);
+    } else if (Array.isArray(value)) {
+      flat[name] = value.map(item => (item && typeof item === 'object' ? JSON.stringify(item) : String(item ?? ''))).join('; ');
+    } else {
+      flat[name] = value === null || value === undefined ? '' : String(value).trim();
+    }
+  });
+  return flat;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Header-keyed rows from parsed JSON items, `position` being { item } or
+// { line } for the report; columns are the union of the flattened keys in
+// order of first appearance, so rows are completed in finish()
+function createObjectRows(report, sink) {
+  const headers = [];
+  const known = new Set();
+  return {
+    add(item, position) {
+      report.records++;
+      if (!isObject(item)) {
+        addIssue(report, { ...position, action: 'skipped', reason: 'not a JSON object', preview: preview([JSON.stringify(item) || '']) });
+        return;
+      }
+      const flat = flattenObject(item);
+      Object.keys(flat).forEach(key => {
+        if (!known.has(key)) {
+          known.add(key);
+          headers.push(key);
+        }
+      });
+      if (Object.values(flat).some(value => value !== '')) sink.push(flat);
+    },
+    finish() {
+      if (headers.length === 0) {
+        throw new Error('The file has no JSON objects with fields');
+      }
+      sink.rows.forEach((flat, index) => {
+        const row = {};
+        headers.forEach(header => {
+          row[header] = flat[header] ?? '';
+        });
+        sink.rows[index] = row;
+      });
+      return { headers, rows: sink.rows, report };
+    }
+  };
+}
+
+function jsonShapeError() {
+  return new Error('JSON must be an array of objects, or an object with an array of objects');
+}
+
+// Incremental reader of the items of a JSON array: the document itself, or
+// the first member array of a root object whose first item is an object
+// ({ "reviews": [...] }). Text goes in through write() in chunks of any
+// size; each item is cut out and parsed on its own once it is complete, so
+// only one item's text is held at a time. `onItem(value, index)` gets the
+// items in order and `onArray(key)` the member array they come from.
+// Anything after a root object (one object per line) throws with `ndjson`.
+function createJSONItemParser({ onItem, onArray }) {
+  // Open containers, '{' or '['
+  const stack = [];
+  let root = null;
+  let closed = false;
+  let inString = false;
+  let escaped = false;
+  // Whether the next string of the root object is a member name
+  let expectKey = false;
+  let lastKey = null;
+  // The array being read: { depth, key, index, rejected }
+  let array = null;
+  let chosen = false;
+  // Text being cut out, an item or a member name: { kind, text, start, primitive }
+  let capture = null;
+  let chunk = '';
+
+  const startCapture = (kind, position, primitive = false) => {
+    capture = { kind, text: '', start: position, primitive };
+  };
+
+  const endCapture = position => {
+    const text = capture.text + chunk.slice(capture.start, position);
+    const { kind } = capture;
+    capture = null;
+    if (kind === 'key') {
+      lastKey = JSON.parse(text);
+      return;
+    }
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON in item ${array.index + 1}: ${error.message}`);
+    }
+    // A member array is only read when its first item is an object
+    if (array.key !== null && array.index === 0) {
+      if (!isObject(value)) {
+        array.rejected = true;
+        return;
+      }
+      chosen = true;
+      onArray(array.key);
+    }
+    onItem(value, array.index++);
+  };
+
+  const atItemLevel = () => array && !array.rejected && stack.length === array.depth;
+
+  const write = text => {
+    chunk = text;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (capture && !capture.primitive && (capture.kind === 'key' || stack.length === array.depth)) endCapture(i + 1);
+        }
+        continue;
+      }
+      if (closed) {
+        if (!/\s/.test(char)) {
+          const error = new Error('Invalid JSON: more than one value in the document');
+          error.ndjson = root === '{';
+          throw error;
+        }
+        continue;
+      }
+      if (capture && capture.primitive && (char === ',' || char === ']' || char === '}' || /\s/.test(char))) {
+        endCapture(i);
+      }
+      if (/\s/.test(char)) continue;
+
+      if (char === '"') {
+        if (root === null) throw jsonShapeError();
+        inString = true;
+        if (root === '{' && stack.length === 1 && expectKey) {
+          startCapture('key', i);
+        } else if (atItemLevel() && !capture) {
+          startCapture('item', i);
+        }
+      } else if (char === '{' || char === '[') {
+        if (root === null) {
+          root = char;
+          expectKey = char === '{';
+          if (char === '[') array = { depth: 1, key: null, index: 0, rejected: false };
+        } else if (atItemLevel() && !capture) {
+          startCapture('item', i);
+        } else if (char === '[' && root === '{' && stack.length === 1 && !chosen) {
+          array = { depth: 2, key: lastKey, index: 0, rejected: false };
+        }
+        stack.push(char);
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+        if (capture && array && stack.length === array.depth) endCapture(i + 1);
+        if (array && stack.length < array.depth) array = null;
+        if (stack.length === 0) closed = true;
+      } else if (char === ',') {
+        if (root === '{' && stack.length === 1) expectKey = true;
+      } else if (char === ':') {
+        if (root === '{' && stack.length === 1) expectKey = false;
+      } else if (root === null) {
+        throw jsonShapeError();
+      } else if (atItemLevel() && !capture) {
+        startCapture('item', i, true);
+      }
+    }
+    if (capture) {
+      capture.text += text.slice(capture.start);
+      capture.start = 0;
+    }
+  };
+
+  const end = () => {
+    chunk = '';
+    if (root === null) throw new Error('Invalid JSON: the file is empty');
+    if (!closed || inString) throw new Error('Invalid JSON: the document ends before it is complete');
+    if (root === '{' && !chosen) throw jsonShapeError();
+  };
+
+  return { write, end };
+}
+
+// A JSON array of objects, or an object holding one (e.g. { "reviews": [...] }),
+// streamed item by item
+async function readJSON(filePath, head, limits) {
+  try {
+    return await streamText(filePath, head, encoding => {
+      const report = createReport('json', { encoding });
+      const objects = createObjectRows(report, createRowSink(report, limits, objectRowHash));
+      const parser = createJSONItemParser({
+        onItem: (item, index) => objects.add(item, { item: index + 1 }),
+        onArray: key => report.warnings.push(`Rows were read from the "${key}" array`)
+      });
+      return {
+        write: text => parser.write(text),
+        end() {
+          parser.end();
+          return objects.finish();
+        }
+      };
+    });
+  } catch (error) {
+    // One object per line is NDJSON even when named .json
+    if (error.ndjson) return readNDJSON(filePath, head, limits);
+    throw error;
+  }
+}
+
+// One JSON object per line, streamed; lines that don't parse are skipped
+// and reported
+function readNDJSON(filePath, head, limits) {
+  return streamText(filePath, head, encoding => {
+    const report = createReport('ndjson', { encoding });
+    const objects = createObjectRows(report, createRowSink(report, limits, objectRowHash));
+    // The last, possibly partial line of the text so far
+    let pending = '';
+    let line = 0;
+    const readLine = content => {
+      line++;
+      if (!content.trim()) return;
+      let item;
+      try {
+        item = JSON.parse(content);
+      } catch (error) {
+        report.records++;
+        addIssue(report, { line, action: 'skipped', reason: 'invalid JSON: ' + error.message, preview: preview([content.trim()]) });
+        return;
+      }
+      objects.add(item, { line });
+    };
+    return {
+      write(text) {
+        // A \r at the very end may be the first half of \r\n
+        const lines = (pending + text).split(/\r\n|\n|\r(?!$)/);
+        pending = lines.pop();
+        lines.forEach(readLine);
+      },
+      end() {
+        readLine(pending);
+        return objects.finish();
+      }
+    };
+  });
+}
+
+// Read an uploaded file into { headers, rows, report }. `fileName` (the
+// original upload name) picks the format by extension; without a known
+// extension the content is sniffed. Files with more than `maxRows` data rows
+// are refused with a 413 error. Only the first `sampleRows` rows are kept
+// (for previews); report.rows always counts them all. `dedupe` drops rows
+// that repeat an earlier row while reading (see createRowSink).
+async function readUpload(filePath, fileName, { maxRows = INGEST_LIMITS.maxRows, sampleRows = Infinity, dedupe = false } = {}) {
+  const head = await readHead(filePath, SNIFF_CHARS);
+  const format = detectFormat(fileName, head);
+  const limits = { maxRows, sampleRows, dedupe };
+  let parsed;
+  if (format === 'xlsx') {
+    parsed = await readWorkbook(filePath, limits);
+  } else if (format === 'json') {
+    parsed = await readJSON(filePath, head, limits);
+  } else if (format === 'ndjson') {
+    parsed = await readNDJSON(filePath, head, limits);
+  } else {
+    parsed = await readDelimited(filePath, head, format, limits);
+  }
+  const { report } = parsed;
+  console.log(`INGEST: ${fileName || 'upload'} read as ${report.format}${report.delimiter ? ` (delimiter ${JSON.stringify(report.delimiter)})` : ''}` +
+    `${report.encoding ? `, ${report.encoding}` : ''}: ${report.rows} rows, ${report.duplicateRows} duplicate, ${report.skippedRows} skipped, ${report.repairedRows} repaired`);
+  return parsed;
+}
+
+// Identity of a row for deduplication: a hash of its columns and values, so
+// a seen-set holds fixed-size keys instead of whole rows
+function rowHash(row) {
+  return crypto.createHash('sha1').update(JSON.stringify(row)).digest('base64');
+}
+
+// rowHash of a flattened JSON object as its completed row would have it:
+// absent and empty fields are the same, key order doesn't matter
+function objectRowHash(flat) {
+  return rowHash(Object.keys(flat).sort().filter(key => flat[key] !== '').map(key => [key, flat[key]]));
+}
+
+module.exports = {
+  INGEST_LIMITS,
+  readUpload,
+  rowHash
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-memory registry of analysis jobs. Jobs run in the background so the
+// upload request can return immediately instead of holding the connection
+// open through every classification batch and rate-limit backoff.
+const jobs = new Map();
+
+// Finished jobs are kept around long enough for the browser to pick up the result
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function createJob(meta = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    stage: 'queued',
+    message: 'Waiting to start...',
+    progress: { current: 0, total: 0, percent: 0 },
+    meta,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    finishedAt: null,
+    controller: new AbortController(),
+    emitter: new EventEmitter()
+  };
+  job.signal = job.controller.signal;
+  jobs.set(job.id, job);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function isFinished(job) {
+  return FINAL_STATUSES.includes(job.status);
+}
+
+// Public view of a job - never expose the controller/emitter
+function serializeJob(job, { includeResult = true } = {}) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    message: job.message,
+    progress: job.progress,
+    meta: job.meta,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    result: includeResult ? job.result : undefined
+  };
+}
+
+function emitUpdate(job) {
+  job.updatedAt = new Date().toISOString();
+  job.emitter.emit('update', job);
+}
+
+// Report the stage the pipeline is currently in. `current`/`total` describe
+// work inside the stage (e.g. batch 3 of 8) and `percent` the overall run.
+function reportProgress(job, stage, message, { current = 0, total = 0, percent } = {}) {
+  if (!job || isFinished(job)) return;
+  job.status = 'running';
+  job.stage = stage;
+  job.message = message;
+  job.progress = {
+    current,
+    total,
+    percent: percent !== undefined ? Math.round(percent) : job.progress.percent
+  };
+  console.log(`JOB ${job.id}: [${stage}] ${message}`);
+  emitUpdate(job);
+}
+
+// Note a wait (rate limits, retries) without moving the progress bar
+function reportWait(job, stage, ms, reason) {
+  if (!job || isFinished(job)) return;
+  reportProgress(job, stage, `Waiting ${Math.ceil(ms / 1000)}s (${reason})...`, job.progress);
+}
+
+function finishJob(job, status, { result = null, error = null } = {}) {
+  if (isFinished(job)) return;
+  job.status = status;
+  job.stage = status === 'completed' ? 'done' : status;
+  job.message = status === 'completed' ? 'Analysis complete' :
+    status === 'cancelled' ? 'Analysis cancelled' : error;
+  job.result = result;
+  job.error = error;
+  job.finishedAt = new Date().toISOString();
+  if (status === 'completed') {
+    job.progress = { ...job.progress, percent: 100 };
+  }
+  emitUpdate(job);
+  job.emitter.removeAllListeners();
+
+  const timer = setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS);
+  timer.unref();
+}
+
+// Cancel a running job; like abortJob it finishes once its task has unwound,
+// so a cancelled run never saves its result. Cancelling twice is harmless.
+function cancelJob(job) {
+  if (isFinished(job)) return false;
+  if (!job.signal.aborted) {
+    job.controller.abort();
+    reportProgress(job, 'cancelling', 'Cancelling...', job.progress);
+  }
+  return true;
+}
+
+// Stop a running job as failed with `message` (e.g. out of quota); it
+// finishes once its task has unwound
+function abortJob(job, message) {
+  if (isFinished(job) || job.signal.aborted) return;
+  job.abortMessage = message;
+  job.controller.abort();
+}
+
+// Run `task(job)` in the background and record its outcome on the job
+function runJob(job, task) {
+  setImmediate(async () => {
+    try {
+      const result = await task(job);
+      if (job.abortMessage) {
+        finishJob(job, 'failed', { error: job.abortMessage });
+      } else {
+        finishJob(job, 'completed', { result });
+      }
+    } catch (error) {
+      if (job.abortMessage) {
+        finishJob(job, 'failed', { error: job.abortMessage });
+      } else if (job.signal.aborted) {
+        finishJob(job, 'cancelled');
+      } else {
+        console.error(`JOB ${job.id} failed:`, error);
+        finishJob(job, 'failed', { error: error.message });
+      }
+    }
+  });
+  return job;
+}
+
+function throwIfCancelled(job) {
+  if (job && job.signal.aborted) {
+    throw new Error('Analysis cancelled');
+  }
+}
+
+// Cancellable replacement for `await new Promise(resolve => setTimeout(...))`
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('Analysis cancelled'));
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new Error('Analysis cancelled'));
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  isFinished,
+  serializeJob,
+  reportProgress,
+  reportWait,
+  cancelJob,
+  abortJob,
+  runJob,
+  throwIfCancelled,
+  sleep
+};
@@ -0,0 +1,225 @@
+const natural = require('natural');
+const stopword = require('stopword');
+const { PLACEHOLDER_PATTERN } = require('./redaction');
+
+// Per-comment language detection and the language-specific pieces of the
+// pipeline: tokenization, stop words, stemming and the sentiment lexicon.
+// Detection counts each language's common function words (plus letters only
+// one language uses), so it needs no model and works on short comments;
+// comments with no clear winner get the dataset's most common language.
+// English keeps the `sentiment` library; the other languages score with the
+// lexicons bundled with `natural` (AFINN for Spanish and Portuguese,
+// pattern polarity for the rest).
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    stopwords: stopword.eng,
+    stemmer: natural.PorterStemmer,
+    markers: ['the', 'and', 'was', 'were', 'is', 'are', 'with', 'not', 'but', 'very', 'this', 'that', 'have', 'had', 'they',
+      'we', 'our', 'my', 'it', 'of', 'to', 'for', 'would', 'there', 'from', 'been', 'too', 'i']
+  },
+  fr: {
+    name: 'French',
+    stopwords: stopword.fra,
+    stemmer: natural.PorterStemmerFr,
+    lexicon: { language: 'French', type: 'pattern' },
+    negations: ['pas', 'jamais', 'ni', 'aucun', 'aucune', 'rien'],
+    markers: ['le', 'la', 'les', 'et', 'est', 'était', 'très', 'pas', 'une', 'des', 'du', 'avec', 'pour', 'nous', 'mais', 'que',
+      'qui', 'dans', 'sur', 'il', 'elle', 'ce', 'cette', 'au', 'aux', 'trop', 'été', 'avons', 'je', 'ont', 'c', 'j', 'n', 'l', 'd', 'qu'],
+    letters: /[çœêëîïûù]/
+  },
+  es: {
+    name: 'Spanish',
+    stopwords: stopword.spa,
+    stemmer: natural.PorterStemmerEs,
+    lexicon: { language: 'Spanish', type: 'afinn' },
+    markers: ['el', 'la', 'los', 'las', 'y', 'es', 'muy', 'con', 'para', 'pero', 'que', 'una', 'del', 'por', 'fue', 'estaba',
+      'nos', 'lo', 'al', 'todo', 'también', 'más', 'hay', 'son', 'eran', 'nuestra', 'nuestro', 'estuvo', 'bien'],
+    letters: /[ñ¿¡]/
+  },
+  de: {
+    name: 'German',
+    stopwords: stopword.deu,
+    stemmer: natural.PorterStemmerDe,
+    lexicon: { language: 'German', type: 'pattern' },
+    markers: ['der', 'die', 'das', 'und', 'ist', 'war', 'sehr', 'nicht', 'mit', 'für', 'aber', 'ein', 'eine', 'wir', 'ich', 'es',
+      'zu', 'auf', 'den', 'dem', 'des', 'auch', 'hat', 'haben', 'waren', 'uns', 'kein', 'keine'],
+    letters: /[äöüß]/
+  },
+  it: {
+    name: 'Italian',
+    stopwords: stopword.ita,
+    stemmer: natural.PorterStemmerIt,
+    lexicon: { language: 'Italian', type: 'pattern' },
+    negations: ['non', 'mai', 'nessun', 'nessuno', 'niente'],
+    markers: ['il', 'lo', 'la', 'gli', 'le', 'e', 'è', 'era', 'molto', 'con', 'per', 'non', 'ma', 'che', 'una', 'del', 'della',
+      'siamo', 'abbiamo', 'anche', 'sono', 'nel', 'troppo', 'ci', 'un', 'di'],
+    letters: /[ìò]/
+  },
+  pt: {
+    name: 'Portuguese',
+    stopwords: stopword.por,
+    stemmer: natural.PorterStemmerPt,
+    lexicon: { language: 'Portuguese', type: 'afinn' },
+    markers: ['o', 'os', 'a', 'as', 'e', 'é', 'era', 'muito', 'com', 'para', 'não', 'mas', 'que', 'uma', 'do', 'da', 'dos',
+      'das', 'foi', 'estava', 'também', 'nós', 'em', 'no', 'na', 'tem', 'um'],
+    letters: /[ãõ]/
+  },
+  nl: {
+    name: 'Dutch',
+    stopwords: stopword.nld,
+    stemmer: natural.PorterStemmerNl,
+    lexicon: { language: 'Dutch', type: 'pattern' },
+    markers: ['de', 'het', 'een', 'en', 'is', 'was', 'erg', 'zeer', 'niet', 'met', 'voor', 'maar', 'dat', 'wij', 'we', 'ik',
+      'van', 'op', 'ook', 'heel', 'geen', 'waren', 'hebben', 'er', 'naar'],
+    letters: /ij/
+  }
+};
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+const DEFAULT_LANGUAGE = 'en';
+// Lexicon weights are put on the AFINN scale (-5..5) of the `sentiment`
+// library, so one threshold works for every language
+const LEXICON_SCALE = { afinn: 1, pattern: 5 };
+
+const markerSets = mapLanguages(language => new Set(language.markers));
+// Marker words are function words too
+const stopwordSets = mapLanguages(language => new Set([...language.stopwords, ...language.markers]));
+
+function mapLanguages(mapper) {
+  const mapped = {};
+  LANGUAGE_CODES.forEach(code => { mapped[code] = mapper(LANGUAGES[code]); });
+  return mapped;
+}
+
+function languageError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Lowercased words of a text, split at apostrophes ("l'hôtel" -> l, hôtel),
+// with redaction placeholders left out
+function words(text) {
+  return String(text || '').replace(PLACEHOLDER_PATTERN, ' ').toLowerCase().match(/\p{L}+/gu) || [];
+}
+
+// { language, confidence } of one text; language is null when no language
+// has more marker hits than the others
+function detectLanguage(text) {
+  const tokens = words(text);
+  const lower = String(text || '').toLowerCase();
+  const scores = LANGUAGE_CODES.map(code => {
+    const hits = tokens.filter(token => markerSets[code].has(token)).length;
+    return { code, score: hits + (LANGUAGES[code].letters && LANGUAGES[code].letters.test(lower) ? 1 : 0) };
+  }).sort((a, b) => b.score - a.score);
+  const [best, second] = scores;
+  if (best.score === 0 || best.score === second.score) return { language: null, confidence: 0 };
+  return { language: best.code, confidence: Math.round((best.score - second.score) / best.score * 100) / 100 };
+}
+
+// Language settings for a run: `language` is 'auto' (detect per comment) or
+// a code every comment is taken to be in; `translate` sends comments in other
+// languages to the LLM to be translated into `pivot` for theme discovery and
+// classification
+function resolveLanguageOptions(options = {}) {
+  const language = String(options.language || process.env.COMMENT_LANGUAGE || 'auto').toLowerCase();
+  const pivot = String(options.pivot || process.env.PIVOT_LANGUAGE || DEFAULT_LANGUAGE).toLowerCase();
+  if (language !== 'auto' && !LANGUAGES[language]) {
+    throw languageError(`language must be auto or one of: ${LANGUAGE_CODES.join(', ')}`);
+  }
+  if (!LANGUAGES[pivot]) {
+    throw languageError(`pivotLanguage must be one of: ${LANGUAGE_CODES.join(', ')}`);
+  }
+  const translate = options.translate !== undefined ? options.translate : ['on', 'true', '1'].includes((process.env.TRANSLATE_COMMENTS || '').toLowerCase());
+  return { language, pivot, translate: !!translate };
+}
+
+// Language code per text, in input order, and a summary of the counts.
+// Undetermined texts get the most common detected language.
+function detectLanguages(texts, options = {}) {
+  const settings = resolveLanguageOptions(options);
+  if (settings.language !== 'auto') {
+    return {
+      languages: texts.map(() => settings.language),
+      summary: { mode: 'fixed', counts: { [settings.language]: texts.length }, undetermined: 0 }
+    };
+  }
+  const detected = texts.map(text => detectLanguage(text).language);
+  const counts = {};
+  detected.forEach(code => { if (code) counts[code] = (counts[code] || 0) + 1; });
+  const dominant = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || settings.pivot;
+  const undetermined = detected.filter(code => !code).length;
+  if (undetermined > 0) counts[dominant] = (counts[dominant] || 0) + undetermined;
+  return {
+    languages: detected.map(code => code || dominant),
+    summary: { mode: 'auto', counts, undetermined, dominant }
+  };
+}
+
+function languageName(code) {
+  return LANGUAGES[code] ? LANGUAGES[code].name : code;
+}
+
+// Content words of a comment in `language`: letters only, at least three of
+// them, without that language's stop words (or English ones, which mixed
+// comments often contain)
+function tokenize(text, language = DEFAULT_LANGUAGE) {
+  const stops = stopwordSets[language] || stopwordSets[DEFAULT_LANGUAGE];
+  return words(text).filter(word => word.length > 2 && !stops.has(word) && !stopwordSets[DEFAULT_LANGUAGE].has(word));
+}
+
+function stem(word, language = DEFAULT_LANGUAGE) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).stemmer.stem(word);
+}
+
+// Lexicon-based scorer for a non-English language, built on first use:
+// text -> { score, comparative, positive, negative } like the `sentiment`
+// library's analyze(), or null for English and unknown languages
+const lexiconScorers = {};
+function lexiconScorer(code) {
+  const language = LANGUAGES[code];
+  if (!language || !language.lexicon) return null;
+  if (!lexiconScorers[code]) {
+    const analyzer = new natural.SentimentAnalyzer(language.lexicon.language, language.stemmer, language.lexicon.type);
+    const scale = LEXICON_SCALE[language.lexicon.type];
+    const negations = new Set([...(analyzer.negations || []), ...(language.negations || [])]);
+    const polarity = word => {
+      const value = analyzer.vocabulary[word] ?? analyzer.vocabulary[language.stemmer.stem(word)];
+      return value === undefined ? 0 : Number(value) * scale;
+    };
+    // `extras` (word -> weight) win over the lexicon; a negation flips the
+    // words after it, as in natural's analyzer
+    lexiconScorers[code] = (text, extras = {}) => {
+      const tokens = words(text);
+      let negator = 1;
+      let score = 0;
+      const positive = [];
+      const negative = [];
+      tokens.forEach(token => {
+        if (negations.has(token)) {
+          negator = -1;
+          return;
+        }
+        const value = negator * (extras[token] ?? polarity(token));
+        if (value > 0) positive.push(token);
+        if (value < 0) negative.push(token);
+        score += value;
+      });
+      return { score, comparative: tokens.length ? score / tokens.length : 0, positive, negative };
+    };
+  }
+  return lexiconScorers[code];
+}
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_CODES,
+  detectLanguage,
+  detectLanguages,
+  languageName,
+  lexiconScorer,
+  resolveLanguageOptions,
+  stem,
+  tokenize,
+  words
+};
@@ -0,0 +1,202 @@
+const createAnthropicProvider = require('./providers/anthropic');
+const createOpenAIProvider = require('./providers/openai');
+const createMockProvider = require('./providers/mock');
+const { createScheduler } = require('./scheduler');
+const { createRedactor } = require('./redaction');
+
+// LLM provider layer used by theme identification, batch classification and
+// chat. LLM_PROVIDER selects the adapter; model, max tokens and temperature
+// come from the environment with per-task defaults below. Every request goes
+// through one shared scheduler (rate budgets, concurrency, retries) and its
+// token usage is recorded on the caller's usage tracker, and every prompt is
+// redacted (lib/redaction.js) before it is sent.
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+const TASK_DEFAULTS = {
+  themes: { maxTokens: 1000, temperature: 0.3 },
+  classification: { maxTokens: 3000, temperature: 0.1 },
+  sentiment: { maxTokens: 4000, temperature: 0 },
+  translation: { maxTokens: 4000, temperature: 0 },
+  chat: { maxTokens: 500, temperature: 0.3 }
+};
+
+function numberFromEnv(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    console.warn(`Ignoring ${name}=${value}: not a number`);
+    return undefined;
+  }
+  return number;
+}
+
+function createProvider(name) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    return {
+      name,
+      configured: false,
+      configurationError: `Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`
+    };
+  }
+  return factory();
+}
+
+const provider = createProvider((process.env.LLM_PROVIDER || 'anthropic').toLowerCase());
+
+// Task-specific settings (e.g. LLM_CLASSIFICATION_MAX_TOKENS) win over the
+// global ones (LLM_MAX_TOKENS), which win over the defaults
+function taskSettings(task) {
+  const defaults = TASK_DEFAULTS[task] || TASK_DEFAULTS.chat;
+  const prefix = `LLM_${task.toUpperCase()}_`;
+  return {
+    model: process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || provider.defaultModel,
+    maxTokens: numberFromEnv(`${prefix}MAX_TOKENS`) ?? numberFromEnv('LLM_MAX_TOKENS') ?? defaults.maxTokens,
+    temperature: numberFromEnv(`${prefix}TEMPERATURE`) ?? numberFromEnv('LLM_TEMPERATURE') ?? defaults.temperature
+  };
+}
+
+const defaultLimits = provider.defaultLimits || { rpm: 0, tpm: 0, concurrency: 2 };
+
+const config = {
+  provider: provider.name,
+  model: process.env.LLM_MODEL || provider.defaultModel || null,
+  limits: {
+    rpm: numberFromEnv('LLM_RPM') ?? defaultLimits.rpm,
+    tpm: numberFromEnv('LLM_TPM') ?? defaultLimits.tpm,
+    concurrency: Math.max(1, numberFromEnv('LLM_CONCURRENCY') ?? defaultLimits.concurrency),
+    maxRetries: Math.max(0, numberFromEnv('LLM_MAX_RETRIES') ?? 5)
+  },
+  tasks: Object.keys(TASK_DEFAULTS).reduce((tasks, task) => ({ ...tasks, [task]: taskSettings(task) }), {})
+};
+
+const scheduler = createScheduler(config.limits);
+
+// Rough token count for reserving budget before the real usage is known
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// USD per million input/output tokens for a model: LLM_INPUT_COST_PER_MTOK /
+// LLM_OUTPUT_COST_PER_MTOK, else the provider's price list; null if unknown
+function pricing(model) {
+  const input = numberFromEnv('LLM_INPUT_COST_PER_MTOK');
+  const output = numberFromEnv('LLM_OUTPUT_COST_PER_MTOK');
+  if (input !== undefined || output !== undefined) {
+    return { input: input || 0, output: output || 0 };
+  }
+  return provider.pricing ? provider.pricing(model) : null;
+}
+
+function estimateCost(model, inputTokens, outputTokens) {
+  const price = pricing(model);
+  if (!price) return null;
+  return Math.round((inputTokens * price.input + outputTokens * price.output) / 1e6 * 10000) / 10000;
+}
+
+// Per-run usage tracker; pass it to complete() as `usage`. With a `quota`
+// guard (auth.quotaGuard()) every request is held against the caller's
+// quotas before it is sent and charged when it returns.
+function createUsage({ quota = null } = {}) {
+  return { requests: 0, retries: 0, failedRequests: 0, inputTokens: 0, outputTokens: 0, costUnknown: false, estimatedCost: 0, byTask: {}, quota };
+}
+
+// Add one request to a tracker; returns the request's own usage
+function recordUsage(usage, task, model, { inputTokens, outputTokens, retries = 0, failed = false }) {
+  const cost = estimateCost(model, inputTokens, outputTokens);
+  const request = { requests: 1, inputTokens, outputTokens, estimatedCost: cost || 0 };
+  if (!usage) return request;
+  const entry = usage.byTask[task] || (usage.byTask[task] = { requests: 0, inputTokens: 0, outputTokens: 0 });
+  usage.requests++;
+  usage.retries += retries;
+  if (failed) usage.failedRequests++;
+  usage.inputTokens += inputTokens;
+  usage.outputTokens += outputTokens;
+  entry.requests++;
+  entry.inputTokens += inputTokens;
+  entry.outputTokens += outputTokens;
+  if (cost === null) {
+    usage.costUnknown = true;
+  } else {
+    usage.estimatedCost = Math.round((usage.estimatedCost + cost) * 10000) / 10000;
+  }
+  return request;
+}
+
+// Public summary of a usage tracker
+function summarizeUsage(usage) {
+  return {
+    provider: config.provider,
+    model: config.model,
+    requests: usage.requests,
+    retries: usage.retries,
+    failedRequests: usage.failedRequests,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    // USD; null when the model's price isn't known
+    estimatedCost: usage.costUnknown ? null : usage.estimatedCost,
+    byTask: usage.byTask
+  };
+}
+
+function isConfigured() {
+  return !!provider.configured;
+}
+
+function configurationError() {
+  return provider.configurationError;
+}
+
+// Sends a single-turn prompt through the scheduler and resolves to the
+// response text. `context` is the structured data the prompt was built from
+// (only the local mock provider uses it), `usage` a tracker from createUsage()
+// and `onWait(ms, reason)` is called while waiting on budgets or retries.
+// The prompt is redacted with `redactor` (e.g. one seeded with an analysis'
+// placeholders) or a fresh one; the response keeps any placeholders.
+async function complete(task, prompt, { signal, context, usage, onWait, redactor } = {}) {
+  if (!provider.configured) {
+    throw new Error(provider.configurationError);
+  }
+  const settings = config.tasks[task] || taskSettings(task);
+  const sent = (redactor || createRedactor()).redact(prompt);
+  const inputEstimate = estimateTokens(sent);
+  // Throws with `status` 429 when the run's quotas can't cover the request
+  const hold = usage && usage.quota ? await usage.quota.hold({
+    requests: 1,
+    tokens: inputEstimate + settings.maxTokens,
+    cost: estimateCost(settings.model, inputEstimate, settings.maxTokens) || 0
+  }) : null;
+  let request = null;
+  try {
+    const response = await scheduler.schedule(inputEstimate + settings.maxTokens,
+      () => provider.complete({ task, prompt: sent, context, signal, ...settings }), { signal, onWait });
+    request = recordUsage(usage, task, settings.model, {
+      inputTokens: response.usage ? response.usage.inputTokens : inputEstimate,
+      outputTokens: response.usage ? response.usage.outputTokens : estimateTokens(response.text),
+      retries: response.retries
+    });
+    return response.text;
+  } catch (error) {
+    // Failed attempts are billed for nothing, but count the request and retries
+    request = recordUsage(usage, task, settings.model, { inputTokens: 0, outputTokens: 0, retries: error.retries || 0, failed: true });
+    throw error;
+  } finally {
+    if (hold) await hold.charge(request);
+  }
+}
+
+module.exports = {
+  config,
+  isConfigured,
+  configurationError,
+  estimateTokens,
+  estimateCost,
+  createUsage,
+  summarizeUsage,
+  complete
+};
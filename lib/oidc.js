@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const express = require('express');
+const { SECURE_COOKIES, readCookie } = require('./auth');
+
+// Optional single sign-on through an OpenID Connect provider, with the
+// authorization code flow and PKCE. Set OIDC_ISSUER (the provider's issuer
+// URL), OIDC_CLIENT_ID and OIDC_CLIENT_SECRET, and register
+// <PUBLIC_URL>/api/auth/oidc/callback as the redirect URI. The identity comes
+// from the provider's userinfo endpoint, called server-side with the access
+// token, and needs an email address that isn't marked unverified. The
+// browser that started a sign-in carries a hash of its state in a short-lived
+// cookie, and only that browser can finish it (so nobody can sign a victim
+// into their own account by sending them a callback link).
+// OIDC_ISSUER=mock serves a local stand-in provider under /mock-oidc that
+// signs in whoever enters an email address, for trying the flow without one;
+// with NODE_ENV=production it is refused unless OIDC_ALLOW_MOCK=true.
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const MOCK_PATH = '/mock-oidc';
+const mockRequested = (process.env.OIDC_ISSUER || '').toLowerCase() === 'mock';
+const mock = mockRequested && (process.env.NODE_ENV !== 'production' || process.env.OIDC_ALLOW_MOCK === 'true');
+// Sign-ins that went to the provider and haven't come back yet
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_PATH = '/api/auth/oidc';
+const REQUEST_TIMEOUT_MS = 10000;
+
+const config = {
+  enabled: mock || !!(!mockRequested && process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+  mock,
+  issuer: mock ? PUBLIC_URL + MOCK_PATH : (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: mock ? 'mock-client' : process.env.OIDC_CLIENT_ID,
+  clientSecret: mock ? 'mock-secret' : process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri: `${PUBLIC_URL}/api/auth/oidc/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  label: process.env.OIDC_LABEL || (mock ? 'Mock single sign-on' : 'Single sign-on')
+};
+
+if (mockRequested && !mock) {
+  console.error('OIDC: the mock provider signs in anyone and is refused with NODE_ENV=production; single sign-on is off (set OIDC_ALLOW_MOCK=true to override)');
+}
+
+const pendingLogins = new Map();
+let discovery = null;
+
+function oidcError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function randomSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function challengeFor(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+async function fetchJSON(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  const text = await response.text();
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    body = null;
+  }
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`${url} answered ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  if (!body) {
+    throw new Error(`${url} did not answer with JSON`);
+  }
+  return body;
+}
+
+// The provider's endpoints, fetched once (again after a failure)
+function discover() {
+  if (!discovery) {
+    discovery = fetchJSON(`${config.issuer}/.well-known/openid-configuration`).then(document => {
+      if (document.issuer && document.issuer.replace(/\/$/, '') !== config.issuer) {
+        throw new Error(`The provider reports issuer ${document.issuer}, not ${config.issuer}`);
+      }
+      return document;
+    });
+    discovery.catch(() => { discovery = null; });
+  }
+  return discovery;
+}
+
+// URL of the provider's sign-in page for a new sign-in; sets the state
+// cookie on `res`
+async function authorizationUrl(res) {
+  const provider = await discover();
+  const now = Date.now();
+  pendingLogins.forEach((login, state) => {
+    if (now - login.createdAt > LOGIN_TTL_MS) pendingLogins.delete(state);
+  });
+  const state = randomSecret();
+  const verifier = randomSecret();
+  pendingLogins.set(state, { verifier, createdAt: now });
+
+  const url = new URL(provider.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    code_challenge: challengeFor(verifier),
+    code_challenge_method: 'S256'
+  }).toString();
+  res.cookie(STATE_COOKIE, challengeFor(state), {
+    httpOnly: true, sameSite: 'lax', secure: SECURE_COOKIES, path: STATE_COOKIE_PATH, maxAge: LOGIN_TTL_MS
+  });
+  return url.toString();
+}
+
+// Finish a sign-in from the callback request, and clear its state cookie.
+// Resolves to { issuer, subject, email, name }; a refused or stale sign-in,
+// or one this browser didn't start, throws with `status` 400.
+async function completeLogin(req, res) {
+  const query = req.query || {};
+  const stateHash = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+  if (query.error) {
+    throw oidcError(`The sign-in provider refused: ${query.error_description || query.error}`);
+  }
+  const state = typeof query.state === 'string' ? query.state : '';
+  const login = pendingLogins.get(state);
+  pendingLogins.delete(state);
+  if (!login || Date.now() - login.createdAt > LOGIN_TTL_MS || !query.code) {
+    throw oidcError('This sign-in has expired or was already used; please sign in again');
+  }
+  if (stateHash !== challengeFor(state)) {
+    throw oidcError('This sign-in was started in another browser; please sign in again');
+  }
+
+  const provider = await discover();
+  const tokenSet = await fetchJSON(provider.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(query.code),
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      code_verifier: login.verifier
+    }).toString()
+  });
+  if (!tokenSet.access_token) {
+    throw new Error('The provider returned no access token');
+  }
+  const info = await fetchJSON(provider.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokenSet.access_token}` } });
+  if (!info.sub || !info.email) {
+    throw oidcError('The provider did not share an email address (is the "email" scope allowed?)');
+  }
+  if (info.email_verified === false) {
+    throw oidcError('The provider has not verified this email address');
+  }
+  return { issuer: config.issuer, subject: String(info.sub), email: info.email, name: info.name || info.preferred_username };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// Local stand-in provider, mounted at MOCK_PATH with OIDC_ISSUER=mock. Its
+// sign-in page asks for an email address (or takes ?login_hint=) and trusts
+// it; codes and access tokens live in memory and work once.
+function mockIssuer() {
+  const router = express.Router();
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: config.issuer,
+      authorization_endpoint: `${config.issuer}/authorize`,
+      token_endpoint: `${config.issuer}/token`,
+      userinfo_endpoint: `${config.issuer}/userinfo`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  router.get('/authorize', (req, res) => {
+    if (req.query.client_id !== config.clientId || req.query.redirect_uri !== config.redirectUri) {
+      return res.status(400).send('Unknown client or redirect URI');
+    }
+    const email = String(req.query.login_hint || req.query.email || '').trim();
+    if (!email) {
+      const hidden = Object.entries(req.query)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('');
+      return res.send(`<!DOCTYPE html><html><body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto;">
+<h3>Mock single sign-on</h3><p>Any email address signs in. For local testing only.</p>
+<form method="get">${hidden}<p><input name="email" type="email" placeholder="Email" required style="width: 100%;"></p>
+<p><input name="name" placeholder="Name (optional)" style="width: 100%;"></p><button type="submit">Sign in</button></form></body></html>`);
+    }
+    const code = randomSecret();
+    codes.set(code, { email, name: String(req.query.name || '').trim(), challenge: req.query.code_challenge, createdAt: Date.now() });
+    const redirect = new URL(config.redirectUri);
+    redirect.search = new URLSearchParams({ code, state: String(req.query.state || '') }).toString();
+    res.redirect(redirect.toString());
+  });
+
+  router.post('/token', express.urlencoded({ extended: false }), (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (req.body.client_id !== config.clientId || req.body.client_secret !== config.clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!grant || Date.now() - grant.createdAt > LOGIN_TTL_MS || challengeFor(String(req.body.code_verifier || '')) !== grant.challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    const accessToken = randomSecret();
+    accessTokens.set(accessToken, grant);
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 600 });
+  });
+
+  router.get('/userinfo', (req, res) => {
+    // Access tokens are good for one userinfo call, which is all the client makes
+    const accessToken = (req.headers.authorization || '').replace(/^bearer /i, '');
+    const grant = accessTokens.get(accessToken);
+    accessTokens.delete(accessToken);
+    if (!grant) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json({ sub: `mock-${grant.email.toLowerCase()}`, email: grant.email, email_verified: true, name: grant.name || undefined });
+  });
+
+  return router;
+}
+
+module.exports = {
+  MOCK_PATH,
+  config,
+  authorizationUrl,
+  completeLogin,
+  mockIssuer
+};
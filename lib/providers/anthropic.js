@@ -0,0 +1,48 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+// USD per million input/output tokens, matched by model name prefix
+const PRICING = [
+  ['claude-3-haiku', { input: 0.25, output: 1.25 }],
+  ['claude-3-5-haiku', { input: 0.8, output: 4 }],
+  ['claude-haiku-4', { input: 1, output: 5 }],
+  ['claude-3-5-sonnet', { input: 3, output: 15 }],
+  ['claude-3-7-sonnet', { input: 3, output: 15 }],
+  ['claude-sonnet-4', { input: 3, output: 15 }],
+  ['claude-3-opus', { input: 15, output: 75 }],
+  ['claude-opus-4', { input: 15, output: 75 }]
+];
+
+// Anthropic Claude adapter (requires ANTHROPIC_API_KEY environment variable)
+function createAnthropicProvider({ apiKey = process.env.ANTHROPIC_API_KEY } = {}) {
+  // Retries are left to the shared scheduler so they count against its budgets
+  const client = apiKey ? new Anthropic({ apiKey, maxRetries: 0 }) : null;
+
+  return {
+    name: 'anthropic',
+    defaultModel: 'claude-3-haiku-20240307',
+    // Conservative defaults for a low-tier account; raise with LLM_RPM/LLM_TPM
+    defaultLimits: { rpm: 50, tpm: 40000, concurrency: 4 },
+    configured: !!client,
+    configurationError: client ? null : 'ANTHROPIC_API_KEY environment variable required (or set LLM_PROVIDER=openai or LLM_PROVIDER=mock)',
+
+    pricing(model) {
+      const match = PRICING.find(([prefix]) => model.startsWith(prefix));
+      return match ? match[1] : null;
+    },
+
+    async complete({ prompt, model, maxTokens, temperature, signal }) {
+      const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [{ role: 'user', content: prompt }]
+      }, { signal });
+      return {
+        text: response.content[0].text,
+        usage: { inputTokens: response.usage.input_tokens, outputTokens: response.usage.output_tokens }
+      };
+    }
+  };
+}
+
+module.exports = createAnthropicProvider;
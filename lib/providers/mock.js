@@ -0,0 +1,180 @@
+// Deterministic offline provider for CI, demos and air-gapped environments.
+// Responses are canned and keyword-driven, so the same input always produces
+// the same themes and classifications. Callers pass the structured data the
+// prompt was built from as `context`, which saves parsing the prompt back.
+const CANNED_THEMES = [
+  {
+    name: 'Pricing & Value',
+    description: 'Comments about price, cost and value for money',
+    keywords: ['price', 'cost', 'expensive', 'cheap', 'value', 'money', 'pay', 'overpriced', 'afford']
+  },
+  {
+    name: 'Customer Service',
+    description: 'Interactions with staff and support teams',
+    keywords: ['staff', 'service', 'support', 'helpful', 'rude', 'friendly', 'team', 'manager', 'polite']
+  },
+  {
+    name: 'Product Quality',
+    description: 'Quality, reliability and condition of the product',
+    keywords: ['quality', 'broken', 'product', 'reliable', 'durable', 'defect', 'faulty', 'works', 'damaged']
+  },
+  {
+    name: 'Speed & Wait Times',
+    description: 'Delivery times, queues and how long things take',
+    keywords: ['delivery', 'shipping', 'wait', 'slow', 'late', 'fast', 'quick', 'queue', 'delay']
+  },
+  {
+    name: 'Ease of Use',
+    description: 'How easy the website, app or process is to use',
+    keywords: ['easy', 'app', 'website', 'confusing', 'simple', 'interface', 'navigate', 'login', 'checkout']
+  },
+  {
+    name: 'Cleanliness & Environment',
+    description: 'Cleanliness, comfort and atmosphere of the location',
+    keywords: ['clean', 'dirty', 'noise', 'noisy', 'comfortable', 'atmosphere', 'smell', 'tidy', 'space']
+  }
+];
+
+const GENERAL_THEME = {
+  name: 'General Feedback',
+  description: 'Comments that do not fit a more specific theme',
+  keywords: []
+};
+
+function keywordScore(text, keywords) {
+  const lower = (text || '').toLowerCase();
+  return (keywords || []).reduce((score, keyword) => score + (lower.includes(keyword.toLowerCase()) ? 1 : 0), 0);
+}
+
+// Themes with at least one keyword hit in the sample, in canned order, plus
+// the general catch-all so every comment has somewhere to go. `exclude`d
+// (already existing) theme names are never proposed.
+function identifyThemes(comments, exclude = []) {
+  const available = [...CANNED_THEMES, GENERAL_THEME].filter(theme => !exclude.includes(theme.name));
+  const matched = available.filter(theme =>
+    comments.some(comment => keywordScore(comment, theme.keywords) > 0));
+  if (exclude.length > 0) return { themes: matched.length > 0 ? matched : available.slice(-1) };
+  const themes = matched.length >= 2 ? matched : CANNED_THEMES.slice(0, 3);
+  return { themes: [...themes, GENERAL_THEME] };
+}
+
+function classify(themes, comments) {
+  const fallback = themes.find(theme => theme.name === GENERAL_THEME.name);
+  return {
+    classifications: comments.map(({ index, text }) => {
+      let best = null;
+      let bestScore = 0;
+      themes.forEach(theme => {
+        const score = keywordScore(text, [...(theme.keywords || []), ...theme.name.toLowerCase().split(/\W+/).filter(word => word.length > 3)]);
+        if (score > bestScore) {
+          best = theme;
+          bestScore = score;
+        }
+      });
+      return {
+        commentIndex: index,
+        themeName: (best || fallback)?.name || 'Uncategorized',
+        confidence: best ? Math.min(0.95, 0.6 + bestScore * 0.1) : 0.5
+      };
+    })
+  };
+}
+
+const POSITIVE_WORDS = ['good', 'great', 'excellent', 'friendly', 'helpful', 'clean', 'love', 'fast', 'easy'];
+const NEGATIVE_WORDS = ['bad', 'poor', 'rude', 'dirty', 'slow', 'expensive', 'broken', 'terrible', 'cold'];
+
+function labelSentiments({ comments = [], positiveWords = [], negativeWords = [] }) {
+  return {
+    sentiments: comments.map(({ index, text }) => {
+      const positive = keywordScore(text, [...POSITIVE_WORDS, ...positiveWords]);
+      const negative = keywordScore(text, [...NEGATIVE_WORDS, ...negativeWords]);
+      const label = positive > negative ? 'positive' : negative > positive ? 'negative' : 'neutral';
+      return { commentIndex: index, label, reason: `Mock: ${positive} positive and ${negative} negative keywords` };
+    })
+  };
+}
+
+// Word-for-word glossary from French, Spanish, German, Italian, Portuguese
+// and Dutch into English, enough for the canned theme keywords to match
+const GLOSSARY = {
+  chambre: 'room', habitación: 'room', zimmer: 'room', camera: 'room', quarto: 'room', kamer: 'room',
+  sale: 'dirty', sucia: 'dirty', sucio: 'dirty', schmutzig: 'dirty', sporca: 'dirty', sujo: 'dirty', vies: 'dirty',
+  propre: 'clean', limpia: 'clean', sauber: 'clean', pulita: 'clean', limpo: 'clean', schoon: 'clean',
+  bruyant: 'noisy', bruyante: 'noisy', ruidosa: 'noisy', laut: 'noisy', rumorosa: 'noisy', barulhento: 'noisy', lawaaierig: 'noisy',
+  personnel: 'staff', personal: 'staff', personale: 'staff', funcionários: 'staff', personeel: 'staff',
+  aimable: 'friendly', amable: 'friendly', freundlich: 'friendly', gentile: 'friendly', simpáticos: 'friendly', vriendelijk: 'friendly',
+  impoli: 'rude', grosero: 'rude', unhöflich: 'rude', scortese: 'rude', rude: 'rude', onbeleefd: 'rude',
+  cher: 'expensive', caro: 'expensive', cara: 'expensive', teuer: 'expensive', duur: 'expensive',
+  prix: 'price', precio: 'price', preis: 'price', prezzo: 'price', preço: 'price', prijs: 'price',
+  attente: 'wait', espera: 'wait', wartezeit: 'wait', attesa: 'wait', wachten: 'wait',
+  lent: 'slow', lento: 'slow', langsam: 'slow', traag: 'slow'
+};
+
+function translate({ comments = [] }) {
+  return {
+    translations: comments.map(({ index, text }) => ({
+      commentIndex: index,
+      text: String(text).split(/(\p{L}+)/u).map(part => GLOSSARY[part.toLowerCase()] || part).join('')
+    }))
+  };
+}
+
+function chatReply({ message, analysis, evidence = [], history = [] }) {
+  if (!analysis || !analysis.themes || analysis.themes.length === 0) {
+    return 'No analysis data available yet. Upload and analyze a CSV file first, then ask me about the results.';
+  }
+  const largest = analysis.themes.reduce((top, theme) => (theme.volume > top.volume ? theme : top));
+  const cited = evidence.slice(0, 3);
+  return `(Mock provider) You asked: "${message}". The analysis covers ${analysis.totalComments} comments across ${analysis.themes.length} themes. ` +
+    `The largest theme is ${largest.name} with ${largest.volume} comments (${largest.percentage}%), and its overall sentiment is ${largest.sentiment}.` +
+    (cited.length ? ` The most relevant comments are ${cited.map(doc => `[#${doc.id}] "${doc.text.substring(0, 60)}"`).join(', ')}.` : ' No comments matched the question.') +
+    (history.length ? ` (${history.length} earlier messages in this conversation.)` : '');
+}
+
+// Canned response text for a task
+function respond(task, context) {
+  if (task === 'themes' && context.proposals) {
+    // Merge step: the union of the proposed themes, first spelling wins
+    const seen = new Set();
+    const themes = context.proposals.flat().filter(theme => !seen.has(theme.name) && seen.add(theme.name));
+    return JSON.stringify({ themes });
+  }
+  if (task === 'themes') {
+    return JSON.stringify(identifyThemes(context.comments || [], context.exclude));
+  }
+  if (task === 'classification') {
+    return JSON.stringify(classify(context.themes || [GENERAL_THEME], context.comments || []));
+  }
+  if (task === 'sentiment') {
+    return JSON.stringify(labelSentiments(context));
+  }
+  if (task === 'translation') {
+    return JSON.stringify(translate(context));
+  }
+  if (task === 'chat') {
+    return chatReply(context);
+  }
+  throw new Error(`Mock provider has no canned response for task "${task}"`);
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    defaultModel: 'mock',
+    defaultLimits: { rpm: 0, tpm: 0, concurrency: 4 },
+    configured: true,
+    configurationError: null,
+
+    pricing() {
+      return { input: 0, output: 0 };
+    },
+
+    async complete({ task, prompt, context = {} }) {
+      const text = respond(task, context);
+      // Rough token counts so usage accounting can be exercised offline
+      return { text, usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) } };
+    }
+  };
+}
+
+module.exports = createMockProvider;
@@ -0,0 +1,61 @@
+// OpenAI-compatible chat completions adapter. Works with local servers that
+// expose the /v1/chat/completions API, e.g. Ollama or llama.cpp's server.
+function createOpenAIProvider({
+  baseUrl = process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+  apiKey = process.env.LLM_API_KEY
+} = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    defaultModel: 'llama3.1',
+    // Local models have no shared rate limit, only limited parallelism
+    defaultLimits: { rpm: 0, tpm: 0, concurrency: 2 },
+    configured: true,
+    configurationError: null,
+
+    // Local models cost nothing per token; hosted ones can set LLM_*_COST_PER_MTOK
+    pricing() {
+      return { input: 0, output: 0 };
+    },
+
+    async complete({ prompt, model, maxTokens, temperature, signal }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          temperature,
+          messages: [{ role: 'user', content: prompt }]
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const error = new Error(`${response.status} from ${endpoint}: ${body.substring(0, 200)}`);
+        error.status = response.status;
+        error.headers = response.headers;
+        throw error;
+      }
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error(`Unexpected response from ${endpoint}: no message content`);
+      }
+      return {
+        text: content,
+        usage: data.usage ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 } : null
+      };
+    }
+  };
+}
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,333 @@
+// Comment quality checks that run before classification. Each comment gets
+// at most one flag:
+//   spam          - promotional phrases, several links or one word repeated
+//   lowSignal     - no-content answers ("n/a", "none", "good"), no words at
+//                   all, or fewer than `minWords` words
+//   nearDuplicate - a copy of an earlier comment with small edits (templated
+//                   complaints, copy-paste), found with MinHash over word
+//                   shingles; the earliest comment of a cluster is unflagged
+// and per flag the run decides to exclude the comment, down-weight it (it
+// counts `downweight` of a comment in theme percentages) or keep it as is.
+const QUALITY_ACTIONS = ['exclude', 'downweight', 'keep'];
+const QUALITY_FLAGS = ['spam', 'lowSignal', 'nearDuplicate'];
+const DEFAULT_ACTIONS = { spam: 'exclude', lowSignal: 'exclude', nearDuplicate: 'downweight' };
+const DEFAULT_DOWNWEIGHT = 0.25;
+const DEFAULT_SIMILARITY = 0.8;
+
+const LOW_SIGNAL_PHRASES = [
+  'n/a', 'na', 'none', 'nothing', 'nil', 'no', 'nope', 'yes', 'ok', 'okay', 'fine', 'good', 'great', 'nice',
+  'no comment', 'no comments', 'nothing to add', 'nothing else', 'not applicable', 'idk', "don't know", 'no idea', 'same', 'see above',
+  // French, Spanish, German, Italian, Portuguese and Dutch
+  'rien', 'ras', 'sans commentaire', 'nada', 'sin comentarios', 'nichts', 'kein kommentar', 'niente', 'nessun commento',
+  'sem comentários', 'niets', 'geen commentaar'
+];
+const SPAM_PHRASES = [
+  'click here', 'buy now', 'free money', 'free gift', 'casino', 'viagra', 'crypto', 'promo code', 'discount code', 'work from home', 'earn money'
+];
+// More links than this is spam
+const MAX_LINKS = 1;
+// One word making up more than this share of a comment of REPEAT_MIN_WORDS+
+const REPEAT_SHARE = 0.5;
+const REPEAT_MIN_WORDS = 6;
+
+// Short comments repeat by nature ("great service"), so only comments of at
+// least this many words are compared for near-duplicates
+const MIN_DUPLICATE_WORDS = 6;
+const SHINGLE_WORDS = 3;
+// 16 bands of 4 hashes: pairs from ~50% similarity up become candidates,
+// which are then checked against the configured similarity
+const BANDS = 16;
+const ROWS_PER_BAND = 4;
+// Candidates a comment is checked against per bucket, so huge buckets stay linear
+const MAX_BUCKET_COMPARISONS = 20;
+const MAX_EXAMPLES = 5;
+const PREVIEW_CHARS = 120;
+
+function listFromEnv(name) {
+  return (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Lowercase words and numbers only, so "N/A." and "n/a" compare equal
+function normalize(text) {
+  return String(text || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}\s]+/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function qualityError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Resolve the actions and rules for a run; phrases given with the request
+// are added to the defaults and to QUALITY_SPAM_PHRASES /
+// QUALITY_LOW_SIGNAL_PHRASES from the environment, and no-content phrases in
+// `lowSignalExceptions` (or QUALITY_LOW_SIGNAL_EXCEPTIONS, e.g. "good,fine"
+// for surveys where a one-word verdict is an answer) are taken out
+function resolveQualityOptions(options = {}) {
+  const actions = {};
+  QUALITY_FLAGS.forEach(flag => {
+    const action = options[flag] || DEFAULT_ACTIONS[flag];
+    if (!QUALITY_ACTIONS.includes(action)) {
+      throw qualityError(`${flag} action must be one of: ${QUALITY_ACTIONS.join(', ')}`);
+    }
+    actions[flag] = action;
+  });
+  const number = (value, fallback, name, valid) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const parsed = Number(value);
+    if (!valid(parsed)) throw qualityError(`Invalid ${name}: ${value}`);
+    return parsed;
+  };
+  const phrases = list => [...new Set(list.map(normalize).filter(Boolean))];
+  const exceptions = new Set(phrases([...listFromEnv('QUALITY_LOW_SIGNAL_EXCEPTIONS'), ...(options.lowSignalExceptions || [])]));
+  return {
+    actions,
+    downweight: number(options.downweight, DEFAULT_DOWNWEIGHT, 'downweight (use a number between 0 and 1)', value => value > 0 && value < 1),
+    similarity: number(options.similarity, DEFAULT_SIMILARITY, 'duplicate similarity (use a number between 0.5 and 1)', value => value >= 0.5 && value <= 1),
+    minWords: number(options.minWords, 1, 'minimum words', value => Number.isInteger(value) && value >= 1),
+    spamPhrases: phrases([...SPAM_PHRASES, ...listFromEnv('QUALITY_SPAM_PHRASES'), ...(options.spamPhrases || [])]),
+    lowSignalPhrases: phrases([...LOW_SIGNAL_PHRASES, ...listFromEnv('QUALITY_LOW_SIGNAL_PHRASES'), ...(options.lowSignalPhrases || [])])
+      .filter(phrase => !exceptions.has(phrase))
+  };
+}
+
+function spamReason(text, words, padded, settings) {
+  const links = (text.match(/https?:\/\/|www\./g) || []).length;
+  if (links > MAX_LINKS) return `${links} links`;
+  const phrase = settings.spamPhrases.find(candidate => padded.includes(` ${candidate} `));
+  if (phrase) return `spam phrase "${phrase}"`;
+  if (words.length >= REPEAT_MIN_WORDS) {
+    const counts = new Map();
+    words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    const [word, count] = [...counts.entries()].reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+    if (count / words.length > REPEAT_SHARE) return `"${word}" repeated ${count} times`;
+  }
+  return null;
+}
+
+function lowSignalReason(normalized, words, settings) {
+  if (!/\p{L}/u.test(normalized)) return 'no words';
+  if (settings.lowSignalPhrases.includes(normalized)) return `no-content answer "${normalized}"`;
+  if (words.length < settings.minWords) return `fewer than ${settings.minWords} words`;
+  return null;
+}
+
+// 32-bit FNV-1a of a string
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 finalizer: a cheap bijective mix of a 32-bit value
+function mix(value) {
+  let x = value;
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85EBCA6B);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xC2B2AE35);
+  x ^= x >>> 16;
+  return x >>> 0;
+}
+
+const HASH_SEEDS = Array.from({ length: BANDS * ROWS_PER_BAND }, (_, index) => mix(index + 1));
+
+function shingles(words) {
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    set.add(hashString(words.slice(i, i + SHINGLE_WORDS).join(' ')));
+  }
+  return set;
+}
+
+function minHash(shingleSet) {
+  const signature = new Uint32Array(HASH_SEEDS.length).fill(0xFFFFFFFF);
+  shingleSet.forEach(shingle => {
+    for (let index = 0; index < HASH_SEEDS.length; index++) {
+      const value = mix(shingle ^ HASH_SEEDS[index]);
+      if (value < signature[index]) signature[index] = value;
+    }
+  });
+  return signature;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  a.forEach(value => { if (b.has(value)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// Near-duplicate clusters among `entries` ([{ index, normalized, words }]):
+// a Map of comment index -> index of the earliest comment of its cluster,
+// for every comment but the earliest. Identical texts are joined directly;
+// the rest go through MinHash buckets and a Jaccard check on their shingles.
+function findNearDuplicates(entries, similarity) {
+  const parent = entries.map((_, position) => position);
+  const find = position => {
+    while (parent[position] !== position) {
+      parent[position] = parent[parent[position]];
+      position = parent[position];
+    }
+    return position;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    // The earlier comment stays the representative
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+
+  const firstByText = new Map();
+  const distinct = [];
+  entries.forEach((entry, position) => {
+    if (firstByText.has(entry.normalized)) {
+      union(firstByText.get(entry.normalized), position);
+    } else {
+      firstByText.set(entry.normalized, position);
+      distinct.push({ position, shingles: shingles(entry.words) });
+    }
+  });
+
+  const buckets = Array.from({ length: BANDS }, () => new Map());
+  distinct.forEach((item, slot) => {
+    const signature = minHash(item.shingles);
+    for (let band = 0; band < BANDS; band++) {
+      let key = band;
+      for (let row = 0; row < ROWS_PER_BAND; row++) {
+        key = mix(key ^ signature[band * ROWS_PER_BAND + row]);
+      }
+      const bucket = buckets[band].get(key);
+      if (!bucket) {
+        buckets[band].set(key, [slot]);
+        continue;
+      }
+      for (const other of bucket.slice(0, MAX_BUCKET_COMPARISONS)) {
+        if (find(distinct[other].position) === find(item.position)) break;
+        if (jaccard(item.shingles, distinct[other].shingles) >= similarity) {
+          union(distinct[other].position, item.position);
+          break;
+        }
+      }
+      bucket.push(slot);
+    }
+  });
+
+  const duplicateOf = new Map();
+  entries.forEach((entry, position) => {
+    const root = find(position);
+    if (root !== position) duplicateOf.set(entry.index, entries[root].index);
+  });
+  return duplicateOf;
+}
+
+function preview(text) {
+  return text.length > PREVIEW_CHARS ? text.substring(0, PREVIEW_CHARS - 1) + '…' : text;
+}
+
+// Check `texts` against the quality rules. Returns the comments to analyze,
+// as { index, weight, quality } with `index` into `texts` and `quality` the
+// flag for flagged comments ({ flag, reason, action, duplicateOf }), where
+// duplicateOf is the comment id (1-based position among the kept comments)
+// of the cluster's earliest comment; and a summary of the decisions.
+function assessComments(texts, options = {}) {
+  const settings = resolveQualityOptions(options);
+  const flags = new Array(texts.length).fill(null);
+  const duplicateCandidates = [];
+
+  texts.forEach((text, index) => {
+    const normalized = normalize(text);
+    const words = normalized ? normalized.split(' ') : [];
+    const spam = spamReason(String(text), words, ` ${normalized} `, settings);
+    if (spam) {
+      flags[index] = { flag: 'spam', reason: spam };
+      return;
+    }
+    const lowSignal = lowSignalReason(normalized, words, settings);
+    if (lowSignal) {
+      flags[index] = { flag: 'lowSignal', reason: lowSignal };
+      return;
+    }
+    if (words.length >= MIN_DUPLICATE_WORDS) {
+      duplicateCandidates.push({ index, normalized, words });
+    }
+  });
+
+  const duplicateOf = findNearDuplicates(duplicateCandidates, settings.similarity);
+  duplicateOf.forEach((original, index) => {
+    flags[index] = { flag: 'nearDuplicate', reason: 'near-duplicate of an earlier comment', original };
+  });
+
+  const kept = [];
+  const keptPosition = new Map();
+  const summary = {
+    actions: settings.actions,
+    downweight: settings.downweight,
+    similarity: settings.similarity,
+    checked: texts.length,
+    flagged: { spam: 0, lowSignal: 0, nearDuplicate: 0 },
+    excluded: 0,
+    downweighted: 0,
+    duplicateClusters: 0,
+    largestClusters: [],
+    examples: { spam: [], lowSignal: [], nearDuplicate: [] }
+  };
+  texts.forEach((text, index) => {
+    const flagged = flags[index];
+    if (!flagged) {
+      keptPosition.set(index, kept.length);
+      kept.push({ index, weight: 1 });
+      return;
+    }
+    const action = settings.actions[flagged.flag];
+    summary.flagged[flagged.flag]++;
+    const examples = summary.examples[flagged.flag];
+    const example = preview(String(text));
+    if (examples.length < MAX_EXAMPLES && !examples.some(other => other.text === example)) {
+      examples.push({ text: example, reason: flagged.reason, action });
+    }
+    if (action === 'exclude') {
+      summary.excluded++;
+      return;
+    }
+    if (action === 'downweight') summary.downweighted++;
+    keptPosition.set(index, kept.length);
+    kept.push({
+      index,
+      weight: action === 'downweight' ? settings.downweight : 1,
+      quality: { flag: flagged.flag, reason: flagged.reason, action },
+      original: flagged.original
+    });
+  });
+
+  // Representatives are never flagged, so they are always kept
+  kept.forEach(item => {
+    if (item.original !== undefined) item.quality.duplicateOf = keptPosition.get(item.original) + 1;
+    delete item.original;
+  });
+
+  const clusterSizes = new Map();
+  duplicateOf.forEach(original => clusterSizes.set(original, (clusterSizes.get(original) || 1) + 1));
+  summary.duplicateClusters = clusterSizes.size;
+  summary.largestClusters = [...clusterSizes.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_EXAMPLES)
+    .map(([original, size]) => ({ size, text: preview(String(texts[original])) }));
+
+  console.log(`QUALITY: ${texts.length} comments checked, ${summary.flagged.spam} spam, ${summary.flagged.lowSignal} low-signal, ` +
+    `${summary.flagged.nearDuplicate} near-duplicates in ${summary.duplicateClusters} clusters; ${summary.excluded} excluded, ${summary.downweighted} down-weighted`);
+  return { kept, summary };
+}
+
+// How much a comment counts in theme percentages
+function commentWeight(comment) {
+  return comment.weight ?? 1;
+}
+
+module.exports = {
+  QUALITY_ACTIONS,
+  assessComments,
+  commentWeight,
+  resolveQualityOptions
+};
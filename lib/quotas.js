@@ -0,0 +1,118 @@
+// Monthly usage quotas of workspaces and API tokens. Usage is counted per
+// calendar month (UTC) from the LLM usage of the analyses, appends, split
+// proposals and chats they start; a limit of 0 or none means unlimited.
+//   analyses - analyses and appends started
+//   requests - LLM requests
+//   tokens   - LLM input plus output tokens
+//   cost     - estimated LLM cost in USD
+// Defaults come from WORKSPACE_QUOTA_<FIELD> and API_TOKEN_QUOTA_<FIELD>.
+// A run is charged its analysis when it starts and each LLM request as it
+// returns; a request that could take usage over a limit is refused and stops
+// the run (lib/auth.js).
+const QUOTA_FIELDS = ['analyses', 'requests', 'tokens', 'cost'];
+// Months of usage kept on a record
+const USAGE_MONTHS = 12;
+
+function quotaError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function currentPeriod(now = new Date()) {
+  return now.toISOString().substring(0, 7);
+}
+
+function emptyUsage() {
+  return { analyses: 0, requests: 0, tokens: 0, cost: 0 };
+}
+
+// Limits from the environment, e.g. defaultQuota('API_TOKEN_QUOTA') reads
+// API_TOKEN_QUOTA_TOKENS and API_TOKEN_QUOTA_COST
+function defaultQuota(prefix) {
+  const quota = {};
+  QUOTA_FIELDS.forEach(field => {
+    const value = Number(process.env[`${prefix}_${field.toUpperCase()}`]);
+    if (Number.isFinite(value) && value > 0) quota[field] = value;
+  });
+  return quota;
+}
+
+// Validate limits from a request body ({ tokens: 2000000, cost: 50 });
+// fields left out keep their value in `current`, null or 0 removes a limit.
+// Throws with `status` 400.
+function normalizeQuota(body, current = {}) {
+  if (body === undefined || body === null) return { ...current };
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    throw quotaError(`quota must be an object with any of: ${QUOTA_FIELDS.join(', ')}`);
+  }
+  const unknown = Object.keys(body).filter(field => !QUOTA_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw quotaError(`Unknown quota fields: ${unknown.join(', ')}. Use any of: ${QUOTA_FIELDS.join(', ')}`);
+  }
+  const quota = { ...current };
+  Object.entries(body).forEach(([field, value]) => {
+    if (value === null || value === '' || Number(value) === 0) {
+      delete quota[field];
+      return;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw quotaError(`quota.${field} must be a non-negative number`);
+    }
+    quota[field] = field === 'cost' ? number : Math.round(number);
+  });
+  return quota;
+}
+
+function usageFor(record, period = currentPeriod()) {
+  return { ...emptyUsage(), ...((record.usage || {})[period] || {}) };
+}
+
+// A record's usage by month after adding `analyses` started and LLM usage
+// (a usage tracker from llm.createUsage(), or one request's usage)
+function addUsage(usage = {}, { analyses = 0, llmUsage = null } = {}, period = currentPeriod()) {
+  const month = { ...emptyUsage(), ...(usage[period] || {}) };
+  month.analyses += analyses;
+  if (llmUsage) {
+    month.requests += llmUsage.requests;
+    month.tokens += llmUsage.inputTokens + llmUsage.outputTokens;
+    month.cost = Math.round((month.cost + (llmUsage.estimatedCost || 0)) * 10000) / 10000;
+  }
+  const months = Object.keys(usage).filter(key => key !== period).sort().slice(-(USAGE_MONTHS - 1));
+  const kept = {};
+  months.forEach(key => { kept[key] = usage[key]; });
+  return { ...kept, [period]: month };
+}
+
+// { field, limit, used } of the first limit among `fields` the month's usage
+// has reached, or null
+function exceededQuota(quota = {}, usage = emptyUsage(), fields = QUOTA_FIELDS) {
+  const field = fields.find(name => quota[name] > 0 && usage[name] >= quota[name]);
+  return field ? { field, limit: quota[field], used: usage[field] } : null;
+}
+
+// Per-field limit, use and remainder of this month, for display
+function quotaStatus(quota = {}, usage = emptyUsage(), period = currentPeriod()) {
+  const fields = {};
+  QUOTA_FIELDS.forEach(field => {
+    const limit = quota[field] > 0 ? quota[field] : null;
+    fields[field] = {
+      limit,
+      used: usage[field],
+      remaining: limit === null ? null : Math.max(0, Math.round((limit - usage[field]) * 10000) / 10000)
+    };
+  });
+  return { period, ...fields };
+}
+
+module.exports = {
+  QUOTA_FIELDS,
+  currentPeriod,
+  defaultQuota,
+  normalizeQuota,
+  usageFor,
+  addUsage,
+  exceededQuota,
+  quotaStatus
+};
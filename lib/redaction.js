@@ -0,0 +1,212 @@
+const stopword = require('stopword');
+
+// Redaction of personal data before text leaves the server. Detected values
+// are replaced by placeholders such as [EMAIL_1]; the same value always gets
+// the same placeholder within a redactor, and its `vault` maps placeholders
+// back to the originals so the UI can show them to the analysis owner.
+// Analyses redact their comments up front (the vault is stored with the
+// source rows, never in the result); every LLM prompt passes through a
+// redactor again in llm.complete(), which catches chat questions, history
+// and codebook examples.
+//   email   - email addresses
+//   phone   - 9 to 15 digit numbers with optional +, spaces, dots, dashes
+//             and parentheses; dates and times ("2024-01-15 10:30") are not
+//             phone numbers
+//   card    - 13 to 19 digit numbers passing the Luhn check, and card
+//             fragments ("**** 1234", "card ending in 1234")
+//   booking - codes with digits after "booking", "reservation",
+//             "confirmation" or "ref" ("booking ref AB12345")
+//   name    - the word after a title ("mr smith") or "my name is", and the
+//             names listed in REDACT_NAMES or sent with the analysis. "Miss"
+//             is left out: comments are lowercased before redaction, and "i
+//             miss the breakfast" is far more common than "miss smith"
+// REDACT_PATTERNS adds custom detectors as a JSON object of placeholder label
+// to regular expression, e.g. {"MEMBER": "\\bm\\d{8}\\b"}. REDACTION=off
+// turns the layer off.
+const REDACTION_DETECTORS = ['email', 'phone', 'card', 'booking', 'name'];
+const PLACEHOLDER_PATTERN = /\[[A-Z][A-Z0-9]*_\d+\]/g;
+
+const NOT_NAMES = new Set(stopword.eng);
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const digitCount = text => text.replace(/\D/g, '').length;
+const DATE_SHAPE = /\d{4}[-.]\d{1,2}[-.]\d{1,2}(?!\d)|(?<!\d)\d{1,2}[-.]\d{1,2}[-.]\d{4}/;
+
+// Built-in detectors in the order they run: { label, pattern, accept }. With a
+// capture group only the group is replaced ("ending in [CARD_1]").
+const DETECTORS = {
+  email: [{ label: 'EMAIL', pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi }],
+  card: [
+    { label: 'CARD', pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g, accept: match => luhnValid(match.replace(/\D/g, '')) },
+    { label: 'CARD', pattern: /(?:\*{2,}|x{4,}|#{2,})[ -]?(\d{4})\b/gi },
+    { label: 'CARD', pattern: /\b(?:card|visa|mastercard|amex)\b[^.\n]{0,20}?\b(?:ending|ends)(?: in| with)?:? ?(\d{4})\b/gi }
+  ],
+  // Never next to a colon (a time) and never containing a date
+  phone: [{
+    label: 'PHONE',
+    pattern: /(?<![\w+:])\+?\(?\d[\d ().-]{6,}\d(?![\w:])/g,
+    accept: match => digitCount(match) >= 9 && digitCount(match) <= 15 && !DATE_SHAPE.test(match)
+  }],
+  booking: [{
+    label: 'BOOKING',
+    pattern: /\b(?:booking|reservation|confirmation|conf|ref|reference)(?: (?:number|no|code|id))?\.?\s*[:#]?\s*([a-z0-9][a-z0-9-]{4,})/gi,
+    accept: (match, value) => /\d/.test(value)
+  }],
+  name: [
+    { label: 'NAME', pattern: /\b(?:mr|mrs|ms|dr|mx)\.?\s+([\p{L}][\p{L}'-]+)/giu, accept: (match, value) => !NOT_NAMES.has(value.toLowerCase()) },
+    { label: 'NAME', pattern: /\bmy name is\s+([\p{L}][\p{L}'-]+)/giu, accept: (match, value) => !NOT_NAMES.has(value.toLowerCase()) }
+  ]
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word matcher for a list of literal values, longest first
+function literalPattern(values) {
+  const sorted = [...new Set(values.map(value => value.trim()).filter(value => value.length >= 2))]
+    .sort((a, b) => b.length - a.length);
+  if (sorted.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${sorted.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function listFromEnv(name) {
+  return (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function patternsFromEnv() {
+  if (!process.env.REDACT_PATTERNS) return [];
+  try {
+    return Object.entries(JSON.parse(process.env.REDACT_PATTERNS)).map(([label, source]) => ({
+      label: label.toUpperCase().replace(/[^A-Z0-9]/g, '') || 'CUSTOM',
+      pattern: new RegExp(source, 'gi')
+    }));
+  } catch (error) {
+    console.warn(`Ignoring REDACT_PATTERNS: ${error.message}`);
+    return [];
+  }
+}
+
+const envSettings = {
+  enabled: !['off', 'false', '0'].includes((process.env.REDACTION || '').toLowerCase()),
+  detectors: (() => {
+    const listed = listFromEnv('REDACT_DETECTORS').map(name => name.toLowerCase());
+    const unknown = listed.filter(name => !REDACTION_DETECTORS.includes(name));
+    if (unknown.length > 0) console.warn(`Ignoring unknown REDACT_DETECTORS: ${unknown.join(', ')}`);
+    return listed.length > 0 ? REDACTION_DETECTORS.filter(name => listed.includes(name)) : REDACTION_DETECTORS;
+  })(),
+  patterns: patternsFromEnv(),
+  names: listFromEnv('REDACT_NAMES')
+};
+
+// Settings for a run: the environment's, plus `names` sent with the request
+function resolveRedactionOptions(options = {}) {
+  return {
+    ...envSettings,
+    names: [...envSettings.names, ...(options.names || []).map(String)]
+  };
+}
+
+// A redactor for one analysis or prompt. `vault` (placeholder -> original)
+// seeds it with an analysis' placeholders, so the values already redacted
+// there get the same placeholders wherever they appear.
+function createRedactor(options = {}, vault = {}) {
+  const settings = resolveRedactionOptions(options);
+  const state = { vault: { ...vault }, counts: {}, redactedTexts: 0 };
+  // `${label}:${lowercased value}` -> placeholder, and lowercased value ->
+  // label of the vault's own values
+  const byValue = new Map();
+  const knownValues = new Map();
+  const nextNumber = {};
+  Object.entries(state.vault).forEach(([placeholder, original]) => {
+    const [, label, number] = placeholder.match(/^\[([A-Z0-9]+)_(\d+)\]$/) || [];
+    if (!label) return;
+    byValue.set(`${label}:${original.toLowerCase()}`, placeholder);
+    knownValues.set(original.toLowerCase(), label);
+    nextNumber[label] = Math.max(nextNumber[label] || 0, Number(number));
+  });
+
+  const rules = [];
+  if (settings.enabled) {
+    // Cards before phones, so long card numbers are not taken for phones
+    Object.keys(DETECTORS).filter(name => settings.detectors.includes(name)).forEach(name => rules.push(...DETECTORS[name]));
+    settings.patterns.forEach(rule => rules.push(rule));
+    const names = literalPattern(settings.detectors.includes('name') ? settings.names : []);
+    if (names) rules.push({ label: 'NAME', pattern: names });
+    // Values the vault already knows, wherever they appear
+    const knownPattern = literalPattern([...knownValues.keys()].filter(value => value.length >= 3));
+    if (knownPattern) rules.push({ known: true, pattern: knownPattern });
+  }
+
+  const placeholderFor = (label, original) => {
+    const value = original.trim();
+    const key = `${label}:${value.toLowerCase()}`;
+    let placeholder = byValue.get(key);
+    if (!placeholder) {
+      nextNumber[label] = (nextNumber[label] || 0) + 1;
+      placeholder = `[${label}_${nextNumber[label]}]`;
+      byValue.set(key, placeholder);
+      state.vault[placeholder] = value;
+    }
+    state.counts[label] = (state.counts[label] || 0) + 1;
+    return placeholder;
+  };
+
+  const redact = text => {
+    if (rules.length === 0 || !text) return text;
+    let redacted = String(text);
+    rules.forEach(({ label, pattern, accept, known }) => {
+      redacted = redacted.replace(pattern, (match, ...groups) => {
+        const value = typeof groups[0] === 'string' ? groups[0] : match;
+        if (accept && !accept(match, value)) return match;
+        const placeholder = placeholderFor(known ? knownValues.get(value.trim().toLowerCase()) : label, value);
+        return value === match ? placeholder : match.replace(value, placeholder);
+      });
+    });
+    if (redacted !== text) state.redactedTexts++;
+    return redacted;
+  };
+
+  // Redaction report of the texts redacted so far; no original values
+  const report = () => ({
+    enabled: settings.enabled,
+    detectors: settings.enabled ? [...settings.detectors, ...settings.patterns.map(rule => rule.label.toLowerCase())] : [],
+    names: settings.names.length,
+    redactedTexts: state.redactedTexts,
+    placeholders: Object.keys(state.vault).length,
+    counts: { ...state.counts }
+  });
+
+  return { redact, report, vault: state.vault };
+}
+
+// Put the originals of `vault` back in place of their placeholders
+function restorePlaceholders(text, vault) {
+  return String(text).replace(PLACEHOLDER_PATTERN, placeholder => vault[placeholder] ?? placeholder);
+}
+
+// Text for a log line, redacted on its own
+function redactForLog(text) {
+  return createRedactor().redact(String(text || ''));
+}
+
+module.exports = {
+  REDACTION_DETECTORS,
+  PLACEHOLDER_PATTERN,
+  createRedactor,
+  redactForLog,
+  resolveRedactionOptions,
+  restorePlaceholders
+};
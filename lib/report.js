@@ -0,0 +1,355 @@
+const _ = require('lodash');
+const PDFDocument = require('pdfkit');
+
+// Server-side PDF report for a stored analysis: summary stats, key insights
+// derived from the results, sentiment charts, the theme table ranked by
+// business impact and representative quotes per theme.
+
+const COLORS = {
+  text: '#1e293b',
+  muted: '#64748b',
+  border: '#e2e8f0',
+  accent: '#3b82f6',
+  positive: '#10b981',
+  neutral: '#9ca3af',
+  negative: '#ef4444',
+  high: '#dc2626',
+  medium: '#f59e0b',
+  low: '#64748b'
+};
+
+const PAGE_MARGIN = 50;
+
+// Standard PDF fonts only cover WinAnsi - drop anything they can't draw
+function pdfSafe(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF–—‘’“”•…€]/g, '');
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 1).trim() + '…' : text;
+}
+
+function sentimentTotals(result) {
+  return result.topics.reduce((totals, topic) => {
+    const distribution = topic.sentiment?.distribution || {};
+    totals.positive += distribution.positive || 0;
+    totals.negative += distribution.negative || 0;
+    totals.neutral += distribution.neutral || 0;
+    return totals;
+  }, { positive: 0, negative: 0, neutral: 0 });
+}
+
+function percentOf(count, total) {
+  return total > 0 ? Math.round((count / total) * 100) : 0;
+}
+
+// Observations computed from the analysis itself rather than canned text
+function generateInsights(result) {
+  const topics = result.topics || [];
+  const insights = [];
+  if (topics.length === 0) {
+    return ['No themes were identified in this analysis.'];
+  }
+
+  const total = result.totalComments || topics.reduce((sum, topic) => sum + topic.volume, 0);
+  const totals = sentimentTotals(result);
+  const classified = totals.positive + totals.negative + totals.neutral;
+  insights.push(`Across ${total.toLocaleString()} comments, sentiment is ${percentOf(totals.positive, classified)}% positive, ` +
+    `${percentOf(totals.negative, classified)}% negative and ${percentOf(totals.neutral, classified)}% neutral.`);
+
+  const themed = topics.filter(topic => topic.title !== 'Uncategorized');
+  const largest = _.maxBy(themed, topic => topic.volume);
+  if (largest) {
+    insights.push(`${largest.title} is the largest theme with ${largest.volume.toLocaleString()} comments (${largest.percentage}% of feedback).`);
+  }
+
+  const highImpact = themed.filter(topic => topic.businessImpact === 'high');
+  if (highImpact.length > 0) {
+    insights.push(`${highImpact.length} theme${highImpact.length === 1 ? ' needs' : 's need'} priority attention: ` +
+      highImpact.map(topic => `${topic.title} (${topic.sentiment?.distribution?.negativePercentage || 0}% negative)`).join(', ') + '.');
+  }
+
+  // Ignore tiny themes so a single angry comment doesn't top the list
+  const minVolume = Math.max(3, Math.round(total * 0.03));
+  const sizeable = themed.filter(topic => topic.volume >= minVolume);
+  const mostNegative = _.maxBy(sizeable, topic => topic.sentiment?.distribution?.negativePercentage || 0);
+  if (mostNegative && (mostNegative.sentiment?.distribution?.negativePercentage || 0) > 0) {
+    insights.push(`${mostNegative.title} has the highest share of negative comments ` +
+      `(${mostNegative.sentiment.distribution.negativePercentage}% of ${mostNegative.volume}).`);
+  }
+  const mostPositive = _.maxBy(sizeable, topic => topic.sentiment?.distribution?.positivePercentage || 0);
+  if (mostPositive && mostPositive !== mostNegative && (mostPositive.sentiment?.distribution?.positivePercentage || 0) > 0) {
+    insights.push(`${mostPositive.title} is the strongest positive theme ` +
+      `(${mostPositive.sentiment.distribution.positivePercentage}% positive) and a candidate to highlight.`);
+  }
+
+  const uncategorized = topics.find(topic => topic.title === 'Uncategorized');
+  if (uncategorized && uncategorized.percentage >= 10) {
+    insights.push(`${uncategorized.percentage}% of comments did not fit any theme and may hide an emerging topic.`);
+  }
+
+  return insights;
+}
+
+// Highest-confidence comments, leading with the theme's dominant sentiment
+function pickRepresentativeQuotes(topic, count = 3) {
+  const dominant = topic.sentiment?.classification;
+  const seen = new Set();
+  return [...(topic.comments || [])]
+    .sort((a, b) => {
+      const aMatch = a.sentiment?.label === dominant ? 1 : 0;
+      const bMatch = b.sentiment?.label === dominant ? 1 : 0;
+      return bMatch - aMatch || (b.confidence || 0) - (a.confidence || 0) || b.text.length - a.text.length;
+    })
+    .filter(comment => {
+      const key = comment.text.trim();
+      if (key.length < 10 || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, count)
+    .map(comment => ({ text: truncate(comment.text.trim(), 280), sentiment: comment.sentiment?.label || 'neutral' }));
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function sectionHeading(doc, title) {
+  ensureSpace(doc, 60);
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(15).fillColor(COLORS.text).text(title, PAGE_MARGIN);
+  doc.moveDown(0.4);
+}
+
+function drawStatBoxes(doc, stats) {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const gap = 10;
+  const boxWidth = (width - gap * (stats.length - 1)) / stats.length;
+  const top = doc.y;
+
+  stats.forEach((stat, index) => {
+    const x = PAGE_MARGIN + index * (boxWidth + gap);
+    doc.roundedRect(x, top, boxWidth, 58, 6).lineWidth(1).strokeColor(COLORS.border).stroke();
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.accent)
+      .text(stat.value, x, top + 10, { width: boxWidth, align: 'center' });
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(stat.label.toUpperCase(), x, top + 36, { width: boxWidth, align: 'center' });
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + 70;
+}
+
+// Horizontal stacked bar of positive / neutral / negative counts
+function drawSentimentBar(doc, x, y, width, height, distribution) {
+  const total = (distribution.positive || 0) + (distribution.neutral || 0) + (distribution.negative || 0);
+  if (total === 0) {
+    doc.rect(x, y, width, height).fill(COLORS.border);
+    return;
+  }
+  let offset = 0;
+  ['positive', 'neutral', 'negative'].forEach(key => {
+    const segment = (distribution[key] || 0) / total * width;
+    if (segment > 0) {
+      doc.rect(x + offset, y, segment, height).fill(COLORS[key]);
+      offset += segment;
+    }
+  });
+}
+
+function drawLegend(doc) {
+  const y = doc.y;
+  let x = PAGE_MARGIN;
+  ['positive', 'neutral', 'negative'].forEach(key => {
+    doc.rect(x, y + 2, 8, 8).fill(COLORS[key]);
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(key, x + 12, y, { lineBreak: false });
+    x += 70;
+  });
+  doc.x = PAGE_MARGIN;
+  doc.y = y + 16;
+}
+
+function drawThemeTable(doc, topics) {
+  const columns = [
+    { label: '#', width: 25 },
+    { label: 'Theme', width: 185 },
+    { label: 'Comments', width: 65, align: 'right' },
+    { label: 'Share', width: 50, align: 'right' },
+    { label: 'Sentiment', width: 80 },
+    { label: 'Impact', width: 90 }
+  ];
+
+  const drawHeader = () => {
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted);
+    columns.forEach(column => {
+      doc.text(column.label, x, y, { width: column.width - 6, align: column.align || 'left' });
+      x += column.width;
+    });
+    doc.moveTo(PAGE_MARGIN, y + 14).lineTo(PAGE_MARGIN + 495, y + 14).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+    doc.y = y + 20;
+  };
+
+  drawHeader();
+  topics.forEach((topic, index) => {
+    const title = pdfSafe(topic.title);
+    doc.font('Helvetica').fontSize(10);
+    const rowHeight = Math.max(16, doc.heightOfString(title, { width: columns[1].width - 6 }) + 6);
+    if (doc.y + rowHeight > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      drawHeader();
+    }
+
+    const y = doc.y;
+    const values = [
+      String(index + 1),
+      title,
+      topic.volume.toLocaleString(),
+      `${topic.percentage}%`,
+      topic.sentiment?.classification || 'neutral',
+      (topic.businessImpact || 'low').toUpperCase()
+    ];
+    let x = PAGE_MARGIN;
+    values.forEach((value, columnIndex) => {
+      const column = columns[columnIndex];
+      const color = columnIndex === 4 ? COLORS[value] || COLORS.text :
+        columnIndex === 5 ? COLORS[topic.businessImpact] || COLORS.text : COLORS.text;
+      doc.font(columnIndex === 5 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(color)
+        .text(value, x, y, { width: column.width - 6, align: column.align || 'left' });
+      x += column.width;
+    });
+    doc.y = y + rowHeight;
+  });
+  doc.x = PAGE_MARGIN;
+}
+
+function drawThemeSentimentChart(doc, topics) {
+  const labelWidth = 170;
+  const barWidth = doc.page.width - PAGE_MARGIN * 2 - labelWidth - 60;
+  drawLegend(doc);
+  topics.forEach(topic => {
+    ensureSpace(doc, 20);
+    const y = doc.y;
+    const distribution = topic.sentiment?.distribution || {};
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.text)
+      .text(truncate(pdfSafe(topic.title), 34), PAGE_MARGIN, y + 1, { width: labelWidth - 8, lineBreak: false });
+    drawSentimentBar(doc, PAGE_MARGIN + labelWidth, y, barWidth, 11, distribution);
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(`${distribution.negativePercentage || 0}% neg`, PAGE_MARGIN + labelWidth + barWidth + 6, y + 1, { lineBreak: false });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + 18;
+  });
+}
+
+function drawThemeDetails(doc, topic, index) {
+  ensureSpace(doc, 90);
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text)
+    .text(`${index + 1}. ${pdfSafe(topic.title)}`, PAGE_MARGIN);
+  const distribution = topic.sentiment?.distribution || {};
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(`${topic.volume.toLocaleString()} comments (${topic.percentage}%) • ${distribution.positivePercentage || 0}% positive, ` +
+      `${distribution.negativePercentage || 0}% negative • ${(topic.businessImpact || 'low')} impact`);
+  if (topic.llmDescription) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(pdfSafe(topic.llmDescription));
+  }
+
+  const quotes = pickRepresentativeQuotes(topic);
+  quotes.forEach(quote => {
+    const text = `“${pdfSafe(quote.text)}”`;
+    doc.font('Helvetica-Oblique').fontSize(9);
+    const height = doc.heightOfString(text, { width: 475 }) + 6;
+    ensureSpace(doc, height);
+    const y = doc.y + 3;
+    doc.rect(PAGE_MARGIN, y, 3, height - 3).fill(COLORS[quote.sentiment] || COLORS.neutral);
+    doc.fillColor(COLORS.text).text(text, PAGE_MARGIN + 10, y, { width: 475 });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + height;
+  });
+}
+
+function renderReport(record, stream) {
+  const result = record.result;
+  const topics = result.topics || [];
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: 'Guest Comment Analysis Report', Subject: pdfSafe(record.fileName || '') }
+  });
+  doc.pipe(stream);
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.text).text('Guest Comment Analysis Report');
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+    .text(`Source: ${pdfSafe(record.fileName || 'upload')} • analyzed ${new Date(record.createdAt).toLocaleString('en-US')} • ` +
+      `report generated ${new Date().toLocaleString('en-US')}`);
+  if (result.review) {
+    doc.text(`Reviewed by hand: ${result.review.changes} change${result.review.changes === 1 ? '' : 's'}, ` +
+      `${result.review.reviewedComments} comment${result.review.reviewedComments === 1 ? '' : 's'} reassigned • ` +
+      `last ${new Date(result.review.lastReviewedAt).toLocaleString('en-US')}`);
+  }
+  if (result.quality && result.quality.excluded + result.quality.downweighted > 0) {
+    doc.text(`Quality checks: ${result.quality.excluded} comment${result.quality.excluded === 1 ? '' : 's'} excluded, ` +
+      `${result.quality.downweighted} down-weighted (${result.quality.flagged.spam} spam, ${result.quality.flagged.lowSignal} low-signal, ` +
+      `${result.quality.flagged.nearDuplicate} near-duplicates)`);
+  }
+  if (result.languages && result.languages.breakdown.length > 1) {
+    doc.text(`Languages: ${result.languages.breakdown.map(entry => `${entry.name} ${Math.round(entry.comments / result.totalComments * 100)}%`).join(', ')}` +
+      (result.languages.translation ? ` (translated into ${result.languages.pivot} for theme discovery)` : ''));
+  }
+  if (result.redaction && result.redaction.placeholders > 0) {
+    doc.text(`Personal data redacted: ${Object.entries(result.redaction.counts).map(([label, count]) => `${count} ${label.toLowerCase()}`).join(', ')}`);
+  }
+  doc.moveDown(1);
+
+  drawStatBoxes(doc, [
+    { label: 'Comments', value: (result.totalComments || 0).toLocaleString() },
+    { label: 'Source rows', value: (result.originalRowCount || 0).toLocaleString() },
+    { label: 'Themes', value: String(topics.length) },
+    { label: 'High priority', value: String(topics.filter(topic => topic.businessImpact === 'high').length) },
+    { label: 'Avg words', value: String(result.avgWordCount || 0) }
+  ]);
+
+  sectionHeading(doc, 'Key Insights');
+  generateInsights(result).forEach(insight => {
+    ensureSpace(doc, 30);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+      .text(`•  ${pdfSafe(insight)}`, PAGE_MARGIN, doc.y, { width: 495 });
+    doc.moveDown(0.3);
+  });
+
+  sectionHeading(doc, 'Overall Sentiment');
+  const totals = sentimentTotals(result);
+  const classified = totals.positive + totals.negative + totals.neutral;
+  drawLegend(doc);
+  drawSentimentBar(doc, PAGE_MARGIN, doc.y, 495, 18, totals);
+  doc.y += 24;
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(`${totals.positive} positive (${percentOf(totals.positive, classified)}%) • ${totals.neutral} neutral ` +
+      `(${percentOf(totals.neutral, classified)}%) • ${totals.negative} negative (${percentOf(totals.negative, classified)}%)`, PAGE_MARGIN);
+
+  sectionHeading(doc, 'Themes by Business Impact');
+  drawThemeTable(doc, topics);
+
+  sectionHeading(doc, 'Sentiment by Theme');
+  drawThemeSentimentChart(doc, topics);
+
+  sectionHeading(doc, 'Representative Comments');
+  topics.forEach((topic, index) => drawThemeDetails(doc, topic, index));
+
+  doc.end();
+  return new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+module.exports = {
+  generateInsights,
+  pickRepresentativeQuotes,
+  renderReport
+};
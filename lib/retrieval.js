@@ -0,0 +1,88 @@
+const natural = require('natural');
+const stopword = require('stopword');
+
+// BM25 search over the comments of an analysis, used to ground chat answers
+// in what people actually wrote. Terms (any script) are lowercased, stop
+// words removed and Porter-stemmed, so "rooms" finds "room".
+const K1 = 1.2;
+const B = 0.75;
+const MAX_CACHED_INDEXES = 20;
+
+// Built indexes by analysis id and version, oldest first
+const indexCache = new Map();
+
+function tokenize(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:'\p{L}+)?/gu) || [];
+  return stopword.removeStopwords(words)
+    .filter(word => word.length > 1)
+    .map(word => natural.PorterStemmer.stem(word));
+}
+
+// `documents` are { id, text, ... }; everything but the text is passed through
+function buildIndex(documents) {
+  const postings = new Map(); // term -> [[docPosition, termFrequency]]
+  const lengths = documents.map((document, position) => {
+    const counts = new Map();
+    const tokens = tokenize(document.text);
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    counts.forEach((frequency, term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([position, frequency]);
+    });
+    return tokens.length;
+  });
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+  return { documents, postings, lengths, averageLength };
+}
+
+// BM25 score per document position for a query
+function scoreQuery(index, query) {
+  const scores = new Map();
+  const total = index.documents.length;
+  [...new Set(tokenize(query))].forEach(term => {
+    const postings = index.postings.get(term);
+    if (!postings) return;
+    const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+    postings.forEach(([position, frequency]) => {
+      const norm = frequency + K1 * (1 - B + B * (index.lengths[position] / (index.averageLength || 1)));
+      scores.set(position, (scores.get(position) || 0) + idf * (frequency * (K1 + 1)) / norm);
+    });
+  });
+  return scores;
+}
+
+// Top `limit` documents for the query. `context` (e.g. the previous question)
+// is searched too at `contextWeight`, so follow-ups like "and the negative
+// ones?" stay on topic.
+function search(index, query, { limit = 12, context = '', contextWeight = 0.5 } = {}) {
+  const scores = scoreQuery(index, query);
+  if (context) {
+    scoreQuery(index, context).forEach((score, position) => {
+      scores.set(position, (scores.get(position) || 0) + score * contextWeight);
+    });
+  }
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([position, score]) => ({ ...index.documents[position], score: Math.round(score * 100) / 100 }));
+}
+
+// Index for a stored analysis, rebuilt when `version` (its updatedAt) changes
+function indexFor(key, version, documents) {
+  const cached = indexCache.get(key);
+  if (cached && cached.version === version) return cached.index;
+  const index = buildIndex(documents());
+  indexCache.delete(key);
+  indexCache.set(key, { version, index });
+  if (indexCache.size > MAX_CACHED_INDEXES) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+  return index;
+}
+
+module.exports = {
+  tokenize,
+  buildIndex,
+  search,
+  indexFor
+};
@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+const llm = require('./llm');
+const cache = require('./cache');
+const { analyses } = require('./analyses');
+const { FALLBACK_THEME } = require('./classification');
+const { discoverThemes } = require('./discovery');
+const { scoreGrouping } = require('./topics');
+const { buildTrends } = require('./trends');
+const { buildSegments } = require('./segments');
+const { reportProgress, throwIfCancelled } = require('./jobs');
+const { buildTopic, classifyComments, rankTopics, rememberClassifications } = require('./analysis');
+const { commentWeight } = require('./quality');
+const { tokenize } = require('./language');
+
+// Human review of a stored analysis: analysts move comments between themes,
+// rename, merge and split themes. Every change rebuilds the topics (counts,
+// percentages, sentiment, business impact, coherence), trends and segments
+// from the regrouped comments and is recorded in the analysis' review log.
+// Comments are addressed by id, their 1-based position in the analysis
+// (originalIndex + 1), as in chat citations.
+const REVIEW_ACTIONS = ['reassign', 'rename', 'merge', 'split'];
+const MAX_THEME_NAME_LENGTH = 80;
+// Fewest comments a theme needs before the LLM proposes a split
+const MIN_SPLIT_COMMENTS = 6;
+
+function reviewError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function themeName(value, field) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) throw reviewError(`"${field}" must be a theme name`);
+  if (name.length > MAX_THEME_NAME_LENGTH) throw reviewError(`"${field}" must be at most ${MAX_THEME_NAME_LENGTH} characters`);
+  return name;
+}
+
+function optionalText(value, field) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string') throw reviewError(`"${field}" must be a string`);
+  return value.trim();
+}
+
+function commentIdList(value, field) {
+  if (!Array.isArray(value) || value.length === 0 || !value.every(id => Number.isInteger(id) && id > 0)) {
+    throw reviewError(`"${field}" must be a non-empty array of comment ids`);
+  }
+  return _.uniq(value);
+}
+
+// Theme name -> { name, description, words, examples, candidate, comments }
+function groupTopics(result) {
+  const examples = new Map(((result.themeSet && result.themeSet.themes) || []).map(theme => [theme.name, theme.examples]));
+  return new Map(result.topics.map(topic => [topic.title, {
+    name: topic.title,
+    description: topic.llmDescription,
+    words: topic.words || [],
+    examples: examples.get(topic.title),
+    candidate: !!topic.candidate,
+    comments: topic.comments.map(comment => ({ ...comment }))
+  }]));
+}
+
+function findGroup(groups, name) {
+  const group = groups.get(name);
+  if (!group) throw reviewError(`Theme "${name}" not found`);
+  return group;
+}
+
+function newGroup(name, description, keywords = []) {
+  return {
+    name,
+    description: description || '',
+    words: keywords.map(keyword => ({ term: keyword, weight: 1, probability: 1 })),
+    comments: []
+  };
+}
+
+// Remove the comments with these ids from `groups` (only from `within` when
+// given) and return them, each marked as set by hand
+function takeComments(groups, ids, within = null) {
+  const wanted = new Set(ids);
+  const taken = [];
+  const from = {};
+  (within ? [within] : [...groups.values()]).forEach(group => {
+    group.comments = group.comments.filter(comment => {
+      if (!wanted.has(comment.originalIndex + 1)) return true;
+      wanted.delete(comment.originalIndex + 1);
+      from[group.name] = (from[group.name] || 0) + 1;
+      const { fallback, ...rest } = comment;
+      taken.push({ ...rest, confidence: 1, reviewed: true });
+      return false;
+    });
+  });
+  if (wanted.size > 0) {
+    throw reviewError(`Unknown comment id(s)${within ? ` in theme "${within.name}"` : ''}: ${[...wanted].slice(0, 10).join(', ')}`);
+  }
+  return { taken, from };
+}
+
+// Keywords of merged themes: summed weights, strongest first
+function mergeWords(groups) {
+  const weights = {};
+  groups.forEach(group => group.words.forEach(word => {
+    weights[word.term] = (weights[word.term] || 0) + (word.weight || 0);
+  }));
+  return _.sortBy(Object.entries(weights), ([, weight]) => -weight)
+    .slice(0, 15)
+    .map(([term, weight]) => ({ term, weight, probability: weight }));
+}
+
+// Apply one action to the theme groups; returns the audit log details
+const ACTIONS = {
+  reassign(groups, body) {
+    const ids = commentIdList(body.commentIds, 'commentIds');
+    const target = themeName(body.toTheme, 'toTheme');
+    const created = !groups.has(target);
+    const { taken, from } = takeComments(groups, ids);
+    if (created) groups.set(target, newGroup(target, optionalText(body.description, 'description')));
+    groups.get(target).comments.push(...taken);
+    return { commentIds: ids, toTheme: target, fromThemes: from, ...(created ? { createdTheme: true } : {}) };
+  },
+
+  rename(groups, body) {
+    const name = themeName(body.theme, 'theme');
+    const newName = themeName(body.newName, 'newName');
+    const description = optionalText(body.description, 'description');
+    const group = findGroup(groups, name);
+    if (name === FALLBACK_THEME || newName === FALLBACK_THEME) {
+      throw reviewError(`${FALLBACK_THEME} cannot be renamed; reassign its comments instead`);
+    }
+    if (newName !== name && groups.has(newName)) {
+      throw reviewError(`A theme named "${newName}" already exists; merge the themes instead`);
+    }
+    const previousDescription = group.description;
+    groups.delete(name);
+    groups.set(newName, { ...group, name: newName, description: description ?? group.description });
+    return {
+      theme: name,
+      newName,
+      ...(description !== undefined ? { previousDescription, description } : {})
+    };
+  },
+
+  merge(groups, body) {
+    if (!Array.isArray(body.themes) || body.themes.length === 0) {
+      throw reviewError('"themes" must be a non-empty array of theme names');
+    }
+    const sources = _.uniq(body.themes.map(name => themeName(name, 'themes')));
+    const into = themeName(body.into, 'into');
+    if ([...sources, into].includes(FALLBACK_THEME)) {
+      throw reviewError(`${FALLBACK_THEME} cannot be merged; reassign its comments instead`);
+    }
+    const merged = sources.map(name => findGroup(groups, name));
+    const existing = groups.get(into);
+    if (existing && !sources.includes(into)) merged.push(existing);
+    if (merged.length < 2) throw reviewError('Merging needs at least two themes');
+
+    const description = optionalText(body.description, 'description');
+    const target = {
+      name: into,
+      description: description ?? (existing ? existing.description : merged[0].description),
+      words: mergeWords(merged),
+      examples: existing ? existing.examples : undefined,
+      // Still a candidate only if every merged theme was one
+      candidate: merged.every(group => group.candidate),
+      comments: merged.flatMap(group => group.comments)
+    };
+    merged.forEach(group => groups.delete(group.name));
+    groups.set(into, target);
+    return { themes: sources, into, volumes: _.fromPairs(merged.map(group => [group.name, group.comments.length])) };
+  },
+
+  split(groups, body) {
+    const name = themeName(body.theme, 'theme');
+    const group = findGroup(groups, name);
+    if (!Array.isArray(body.subthemes) || body.subthemes.length === 0) {
+      throw reviewError('"subthemes" must be a non-empty array of { name, description, commentIds }');
+    }
+    const subthemes = body.subthemes.map((subtheme, index) => ({
+      name: themeName(subtheme && subtheme.name, `subthemes[${index}].name`),
+      description: optionalText(subtheme.description, `subthemes[${index}].description`),
+      keywords: Array.isArray(subtheme.keywords) ? subtheme.keywords.filter(keyword => typeof keyword === 'string').slice(0, 15) : [],
+      commentIds: commentIdList(subtheme.commentIds, `subthemes[${index}].commentIds`)
+    }));
+    const names = subthemes.map(subtheme => subtheme.name);
+    const clash = names.find((subName, index) => names.indexOf(subName) !== index || (subName !== name && groups.has(subName)) || subName === FALLBACK_THEME);
+    if (clash) throw reviewError(`Sub-theme name "${clash}" is already in use`);
+    const ids = subthemes.flatMap(subtheme => subtheme.commentIds);
+    if (_.uniq(ids).length !== ids.length) throw reviewError('A comment can only go to one sub-theme');
+
+    // Comments not listed in any sub-theme stay in the original theme
+    const moved = subthemes.map(subtheme => ({ subtheme, ...takeComments(groups, subtheme.commentIds, group) }));
+    moved.forEach(({ subtheme, taken }) => {
+      const target = subtheme.name === name ? group : newGroup(subtheme.name, subtheme.description, subtheme.keywords);
+      if (subtheme.name === name && subtheme.description !== undefined) target.description = subtheme.description;
+      target.comments.push(...taken);
+      groups.set(subtheme.name, target);
+    });
+    return {
+      theme: name,
+      subthemes: subthemes.map(subtheme => ({ name: subtheme.name, commentIds: subtheme.commentIds })),
+      remaining: group.comments.length
+    };
+  }
+};
+
+// Rebuild a stored analysis' result from regrouped comments, the way
+// analyzeRows builds it
+function rebuildResult(record, groups) {
+  const result = record.result;
+  const options = record.options || {};
+  const list = [...groups.values()].filter(group => group.comments.length > 0);
+  const placed = _.sortBy(list.flatMap(group => group.comments.map(comment => ({ comment, theme: group.name }))),
+    entry => entry.comment.originalIndex);
+
+  // Translated comments are scored on their translation, as in analyzeRows
+  const pivot = result.languages ? result.languages.pivot : undefined;
+  const tokenLists = [];
+  const labels = [];
+  const languages = [];
+  placed.forEach(({ comment, theme }) => {
+    const language = comment.translation ? pivot : comment.language;
+    const tokens = tokenize(comment.translation || comment.text, language);
+    if (tokens.length === 0) return;
+    tokenLists.push(tokens);
+    labels.push(theme === FALLBACK_THEME ? null : theme);
+    languages.push(language);
+  });
+  const grouping = scoreGrouping(tokenLists, labels, { languages });
+
+  const enhancedByAI = !!(result.themeDiscovery && result.themeDiscovery.method === 'llm');
+  const totalWeight = _.sumBy(placed, ({ comment }) => commentWeight(comment));
+  const topics = rankTopics(list.map((group, index) => buildTopic(group, index, totalWeight, {
+    coherence: grouping.perTopic[group.name] ?? null,
+    enhancedByAI
+  })));
+  const themeNames = list.map(group => group.name);
+
+  let { trends, segments } = result;
+  const rows = record.source && record.source.rows;
+  if (rows && options.dateColumn && trends) {
+    trends = buildTrends(placed.map(({ comment, theme }) => ({
+      date: rows[comment.rowIndex][options.dateColumn],
+      theme,
+      sentiment: comment.sentiment
+    })), themeNames, { column: options.dateColumn, interval: options.trendInterval });
+  }
+  if (rows && options.segmentColumns && options.segmentColumns.length > 0 && segments) {
+    segments = buildSegments(placed.map(({ comment, theme }) => ({
+      commentIndex: comment.originalIndex,
+      theme,
+      sentiment: comment.sentiment,
+      segments: _.pick(rows[comment.rowIndex], options.segmentColumns)
+    })), themeNames, options.segmentColumns);
+  }
+
+  // The reviewed themes become the theme set appends classify into
+  let themeSet = result.themeSet;
+  if (themeSet) {
+    const themes = list.filter(group => group.name !== FALLBACK_THEME).map(group => ({
+      name: group.name,
+      description: group.description || '',
+      keywords: group.words.slice(0, 10).map(word => word.term),
+      ...(group.examples ? { examples: group.examples } : {}),
+      ...(group.candidate ? { candidate: true } : {})
+    }));
+    themeSet = { version: cache.themeSetVersion(themes), themes };
+  }
+
+  return {
+    ...result,
+    coherenceScore: Math.round(grouping.coherenceScore * 100) / 100,
+    codebook: result.codebook ? { ...result.codebook, candidates: topics.filter(topic => topic.candidate).map(topic => topic.title) } : null,
+    themeSet,
+    trends,
+    segments,
+    topics,
+    metadata: {
+      ...result.metadata,
+      totalTopics: topics.length,
+      highPriorityCount: topics.filter(topic => topic.businessImpact === 'high').length
+    }
+  };
+}
+
+// Apply a review action to a stored analysis and log it. Resolves to the
+// updated record, or null for an unknown id; invalid actions throw with
+// `status` 400.
+async function reviewAnalysis(id, body = {}) {
+  if (!REVIEW_ACTIONS.includes(body.action)) {
+    throw reviewError(`"action" must be one of: ${REVIEW_ACTIONS.join(', ')}`);
+  }
+  const reviewer = optionalText(body.reviewer, 'reviewer');
+
+  const updated = await analyses.update(id, record => {
+    const groups = groupTopics(record.result);
+    const details = ACTIONS[body.action](groups, body);
+    const entry = {
+      id: crypto.randomUUID(),
+      action: body.action,
+      at: new Date().toISOString(),
+      ...(reviewer ? { reviewer: reviewer.substring(0, MAX_THEME_NAME_LENGTH) } : {}),
+      details
+    };
+    const result = rebuildResult(record, groups);
+    const reviewLog = [...(record.reviewLog || []), entry];
+    result.review = {
+      changes: reviewLog.length,
+      reviewedComments: _.sumBy(result.topics, topic => topic.comments.filter(comment => comment.reviewed).length),
+      lastReviewedAt: entry.at
+    };
+    console.log(`REVIEW: ${body.action} on analysis ${id}`, JSON.stringify(details).substring(0, 200));
+    return { ...record, result, reviewLog };
+  });
+
+  // Cache the reviewed classifications under the new theme set, in the
+  // analysis' workspace only, so its appended rows are classified into it
+  // and reviewed comments keep their theme
+  if (updated && updated.result.themeSet) {
+    const texts = [];
+    const classifications = [];
+    updated.result.topics.forEach(topic => topic.comments.forEach(comment => {
+      texts[comment.originalIndex] = comment.translation || comment.text;
+      classifications.push({
+        commentIndex: comment.originalIndex + 1,
+        themeName: topic.title,
+        confidence: comment.confidence,
+        ...(comment.fallback ? { fallback: true } : {}),
+        ...(comment.reviewed ? { reviewed: true } : {})
+      });
+    }));
+    try {
+      await rememberClassifications(updated.result.themeSet.themes, classifications, texts, updated.workspaceId);
+    } catch (error) {
+      console.warn('REVIEW: could not cache reviewed classifications:', error.message);
+    }
+  }
+  return updated;
+}
+
+// The topic of a stored analysis that a split can be proposed for; throws
+// with `status` 400 when the theme is unknown or too small
+function splitCandidate(record, name) {
+  const topic = record.result.topics.find(candidate => candidate.title === name);
+  if (!topic) throw reviewError(`Theme "${name}" not found`);
+  if (topic.comments.length < MIN_SPLIT_COMMENTS) {
+    throw reviewError(`Theme "${name}" has only ${topic.comments.length} comments; splitting needs at least ${MIN_SPLIT_COMMENTS}`);
+  }
+  return topic;
+}
+
+// Background job: have the LLM propose sub-themes for one theme and assign
+// its comments to them. Nothing changes until the proposal is applied with a
+// "split" action.
+async function proposeSplit(record, name, job) {
+  const topic = splitCandidate(record, name);
+
+  job.llmUsage = llm.createUsage({ quota: job.quota });
+  reportProgress(job, 'theme_discovery', `Proposing sub-themes for "${name}"...`, { percent: 2 });
+  const texts = topic.comments.map(comment => comment.translation || comment.text);
+  const { themes } = await discoverThemes(texts, job, {
+    exclude: record.result.topics.map(other => other.title),
+    percent: [5, 45]
+  });
+  throwIfCancelled(job);
+
+  const items = texts.map((text, index) => ({ index: index + 1, text }));
+  const { commentClassifications } = await classifyComments(items, themes, job, { percent: [45, 95] });
+  const idsByTheme = _.groupBy(commentClassifications, c => c.themeName);
+  const commentId = c => topic.comments[c.commentIndex - 1].originalIndex + 1;
+
+  const subthemes = themes
+    .map(theme => ({
+      name: theme.name,
+      description: theme.description || '',
+      keywords: theme.keywords || [],
+      commentIds: (idsByTheme[theme.name] || []).map(commentId)
+    }))
+    .filter(subtheme => subtheme.commentIds.length > 0);
+  if (subthemes.length < 2) {
+    throw new Error(`The model found no distinct sub-themes in "${name}"`);
+  }
+
+  reportProgress(job, 'finalizing', `Proposed ${subthemes.length} sub-themes`, { percent: 98 });
+  return {
+    theme: name,
+    subthemes,
+    // Comments that fit no sub-theme; they stay in the theme when applied
+    unassignedCommentIds: (idsByTheme[FALLBACK_THEME] || []).map(commentId),
+    llmUsage: job.llmUsage.requests > 0 ? llm.summarizeUsage(job.llmUsage) : null
+  };
+}
+
+module.exports = {
+  REVIEW_ACTIONS,
+  reviewAnalysis,
+  splitCandidate,
+  proposeSplit
+};
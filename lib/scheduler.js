@@ -0,0 +1,165 @@
+const { sleep } = require('./jobs');
+
+// Shared scheduler for LLM requests. Every call goes through one instance so
+// concurrent jobs share the provider's budgets:
+//   rpm         - requests started per rolling minute (0 = unlimited)
+//   tpm         - tokens per rolling minute; each request reserves an
+//                 estimate that is corrected to the real usage afterwards
+//   concurrency - requests in flight at once
+// Failed requests with a retryable status are retried with exponential
+// backoff, or after the provider's retry-after when it sends one; a 429 also
+// pauses every other request until then, since the limit is account-wide.
+const WINDOW_MS = 60 * 1000;
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60 * 1000;
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+function errorStatus(error) {
+  const status = error && (error.status ?? error.statusCode);
+  if (status) return Number(status);
+  const match = String((error && error.message) || '').match(/^(\d{3})\b/);
+  return match ? Number(match[1]) : null;
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+// Milliseconds the provider asked us to wait, from `retryAfterMs` set by an
+// adapter or the retry-after-ms / retry-after (seconds or HTTP date) headers
+function retryAfterMs(error) {
+  if (!error) return null;
+  if (Number.isFinite(error.retryAfterMs)) return error.retryAfterMs;
+  const ms = Number(headerValue(error.headers, 'retry-after-ms'));
+  if (Number.isFinite(ms) && ms > 0) return ms;
+  const value = headerValue(error.headers, 'retry-after');
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status) return RETRYABLE_STATUSES.includes(status);
+  // Connection resets and timeouts have no status
+  return /ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|socket hang up|fetch failed|Connection error/i.test(String(error && error.message));
+}
+
+function createScheduler({ rpm = 0, tpm = 0, concurrency = 4, maxRetries = 5 } = {}) {
+  const started = []; // { at, tokens } per request started in the window
+  const waiting = [];
+  let active = 0;
+  let pausedUntil = 0;
+
+  function prune(now) {
+    while (started.length > 0 && now - started[0].at >= WINDOW_MS) {
+      started.shift();
+    }
+  }
+
+  // Milliseconds until a request reserving `tokens` fits every budget
+  function delayFor(tokens) {
+    const now = Date.now();
+    prune(now);
+    let delay = Math.max(0, pausedUntil - now);
+    if (rpm > 0 && started.length >= rpm) {
+      delay = Math.max(delay, started[started.length - rpm].at + WINDOW_MS - now);
+    }
+    if (tpm > 0) {
+      // A request larger than the whole budget still runs once the window is empty
+      const budget = Math.max(0, tpm - Math.min(tokens, tpm));
+      let used = started.reduce((sum, entry) => sum + entry.tokens, 0);
+      for (const entry of started) {
+        if (used <= budget) break;
+        used -= entry.tokens;
+        delay = Math.max(delay, entry.at + WINDOW_MS - now);
+      }
+    }
+    return delay;
+  }
+
+  async function acquireSlot(signal) {
+    if (signal && signal.aborted) throw new Error('Analysis cancelled');
+    if (active < concurrency) {
+      active++;
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = waiting.indexOf(waiter);
+        if (index >= 0) waiting.splice(index, 1);
+        reject(new Error('Analysis cancelled'));
+      };
+      const waiter = {
+        resolve: () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve();
+        }
+      };
+      waiting.push(waiter);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      active--;
+    }
+  }
+
+  // Run `request()` within the budgets. `estimatedTokens` is reserved up
+  // front; `request` resolves to { usage } (plus anything else) so the
+  // reservation can be corrected. `onWait(ms, reason)` reports long waits.
+  async function schedule(estimatedTokens, request, { signal, onWait } = {}) {
+    await acquireSlot(signal);
+    try {
+      for (let attempt = 0; ; attempt++) {
+        let delay = delayFor(estimatedTokens);
+        while (delay > 0) {
+          if (onWait && delay >= 1000) onWait(delay, 'rate limit budget');
+          await sleep(delay, signal);
+          delay = delayFor(estimatedTokens);
+        }
+
+        const entry = { at: Date.now(), tokens: estimatedTokens };
+        started.push(entry);
+        try {
+          const response = await request();
+          const usage = response && response.usage;
+          if (usage) entry.tokens = (usage.inputTokens || 0) + (usage.outputTokens || 0);
+          return { ...response, retries: attempt };
+        } catch (error) {
+          if ((signal && signal.aborted) || attempt >= maxRetries || !isRetryable(error)) {
+            error.retries = attempt;
+            throw error;
+          }
+          const requested = retryAfterMs(error);
+          const backoff = requested ?? Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+          if (errorStatus(error) === 429) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + backoff);
+          }
+          console.warn(`LLM request failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${Math.round(backoff / 1000)}s${requested !== null ? ' (retry-after)' : ''}`);
+          if (onWait) onWait(backoff, errorStatus(error) === 429 ? 'rate limited' : 'retrying after an error');
+          await sleep(backoff, signal);
+        }
+      }
+    } finally {
+      releaseSlot();
+    }
+  }
+
+  return { schedule, limits: { rpm, tpm, concurrency, maxRetries } };
+}
+
+module.exports = {
+  createScheduler,
+  retryAfterMs,
+  isRetryable
+};
@@ -0,0 +1,78 @@
+const _ = require('lodash');
+const { Z_THRESHOLD, round } = require('./stats');
+
+// Theme x segment breakdowns for metadata columns such as property, region or
+// channel. Each cell holds the theme's comments within one segment value, its
+// share of that segment, sentiment, and a lift score: the theme's share of
+// the segment divided by its share of all comments (above 1 = over-indexes).
+const MAX_SEGMENTS = 60;
+const OTHER_SEGMENT = '(other)';
+const BLANK_SEGMENT = '(blank)';
+// Fewest comments in a segment before its cells are tested for significance
+const MIN_SEGMENT_COMMENTS = 10;
+
+// Segment values by size; past MAX_SEGMENTS the smallest are grouped together
+function segmentValues(records, column) {
+  const counts = _.countBy(records, record => record.segments[column]);
+  const ordered = _.sortBy(Object.keys(counts), value => -counts[value]);
+  const kept = new Set(ordered.length > MAX_SEGMENTS ? ordered.slice(0, MAX_SEGMENTS - 1) : ordered);
+  return { distinct: ordered.length, kept, valueOf: value => (kept.has(value) ? value : OTHER_SEGMENT) };
+}
+
+function buildMatrix(records, themeNames, column) {
+  const { distinct, kept, valueOf } = segmentValues(records, column);
+  const bySegment = _.groupBy(records, record => valueOf(record.segments[column]));
+  const segments = _.sortBy(Object.keys(bySegment), value => -bySegment[value].length)
+    .map(value => ({ value, total: bySegment[value].length }));
+  const themeTotals = _.countBy(records, record => record.theme);
+
+  const cells = themeNames.map(theme => {
+    const overallShare = (themeTotals[theme] || 0) / records.length;
+    return segments.map(segment => {
+      const inCell = bySegment[segment.value].filter(record => record.theme === theme);
+      const share = inCell.length / segment.total;
+      const negative = inCell.filter(record => record.sentiment.label === 'negative').length;
+      // One-sample proportion test of the segment's share against the overall share
+      const standardError = Math.sqrt(overallShare * (1 - overallShare) / segment.total);
+      const z = standardError ? (share - overallShare) / standardError : 0;
+      return {
+        count: inCell.length,
+        percentage: Math.round(share * 100),
+        negative,
+        negativePercentage: inCell.length ? Math.round((negative / inCell.length) * 100) : 0,
+        avgSentiment: inCell.length ? round(_.meanBy(inCell, record => record.sentiment.score), 2) : null,
+        lift: overallShare ? round(share / overallShare, 2) : null,
+        z: round(z, 2),
+        significant: segment.total >= MIN_SEGMENT_COMMENTS && Math.abs(z) >= Z_THRESHOLD,
+        commentIndices: inCell.map(record => record.commentIndex)
+      };
+    });
+  });
+
+  return {
+    column,
+    segments,
+    // Number of small segment values grouped into "(other)"
+    otherGrouped: distinct - kept.size,
+    themes: themeNames,
+    cells
+  };
+}
+
+// `records` is one { commentIndex, theme, sentiment, segments } per comment,
+// where `segments` maps each segment column to the row's value
+function buildSegments(records, themeNames, columns) {
+  const normalized = records.map(record => ({
+    ...record,
+    segments: _.mapValues(record.segments, value => String(value || '').trim() || BLANK_SEGMENT)
+  }));
+  return columns.map(column => {
+    const matrix = buildMatrix(normalized, themeNames, column);
+    console.log(`SEGMENTS: ${column} has ${matrix.segments.length} segments, ${matrix.cells.flat().filter(cell => cell.significant).length} significant cells`);
+    return matrix;
+  });
+}
+
+module.exports = {
+  buildSegments
+};
@@ -0,0 +1,285 @@
+const _ = require('lodash');
+const Sentiment = require('sentiment');
+const llm = require('./llm');
+const { parseEntries } = require('./classification');
+const { reportProgress, reportWait, throwIfCancelled } = require('./jobs');
+const cache = require('./cache');
+const { redactForLog } = require('./redaction');
+const { lexiconScorer, stem, words } = require('./language');
+
+// Per-comment sentiment. Every method returns { label, score, reason } for
+// each comment, where score is the comparative lexicon score (the `sentiment`
+// library for English, the comment language's lexicon otherwise, see
+// lib/language.js) and reason says why the label was chosen.
+//   rules   - business keyword overrides first, then the library score (default)
+//   library - the library score only, with domain words added to its lexicon
+//   llm     - the configured LLM labels each comment; rules fill any gaps
+const SENTIMENT_METHODS = ['rules', 'library', 'llm'];
+
+// `sentiment` exports a constructor - calling it directly returns undefined
+const sentimentAnalyzer = new Sentiment();
+
+const NEGATIVE_KEYWORDS = ['expensive', 'costly', 'overpriced', 'disappointed', 'terrible', 'awful', 'bad', 'worst', 'hate'];
+const POSITIVE_KEYWORDS = ['great', 'excellent', 'amazing', 'love', 'perfect', 'wonderful', 'best', 'fantastic'];
+// Keyword rules for the other languages, by language code
+const LANGUAGE_KEYWORDS = {
+  fr: {
+    negative: ['cher', 'trop cher', 'déçu', 'décevant', 'horrible', 'affreux', 'sale', 'pire', 'déteste'],
+    positive: ['excellent', 'parfait', 'magnifique', 'génial', 'merveilleux', 'formidable', 'adoré', 'superbe']
+  },
+  es: {
+    negative: ['caro', 'decepcionado', 'decepcionante', 'terrible', 'horrible', 'sucio', 'sucia', 'peor', 'pésimo', 'odio'],
+    positive: ['excelente', 'perfecto', 'maravilloso', 'increíble', 'fantástico', 'encantó', 'estupendo', 'genial']
+  },
+  de: {
+    negative: ['teuer', 'überteuert', 'enttäuscht', 'enttäuschend', 'schrecklich', 'furchtbar', 'schmutzig', 'schlecht', 'schlimmste'],
+    positive: ['ausgezeichnet', 'perfekt', 'wunderbar', 'fantastisch', 'hervorragend', 'toll', 'super', 'großartig']
+  },
+  it: {
+    negative: ['caro', 'costoso', 'deluso', 'deludente', 'terribile', 'orribile', 'sporco', 'sporca', 'peggiore', 'pessimo'],
+    positive: ['eccellente', 'perfetto', 'meraviglioso', 'fantastico', 'ottimo', 'ottima', 'stupendo', 'bellissimo']
+  },
+  pt: {
+    negative: ['caro', 'decepcionado', 'decepcionante', 'terrível', 'horrível', 'sujo', 'suja', 'pior', 'péssimo', 'odeio'],
+    positive: ['excelente', 'perfeito', 'maravilhoso', 'incrível', 'fantástico', 'adorei', 'ótimo', 'ótima']
+  },
+  nl: {
+    negative: ['te duur', 'teleurgesteld', 'teleurstellend', 'verschrikkelijk', 'vreselijk', 'vies', 'smerig', 'slecht', 'slechtste'],
+    positive: ['uitstekend', 'perfect', 'geweldig', 'fantastisch', 'prachtig', 'heerlijk', 'super']
+  }
+};
+const LIBRARY_THRESHOLD = 0.1;
+// Lexicon weight given to domain words in library mode (the AFINN scale is -5..5)
+const DOMAIN_WORD_WEIGHT = 3;
+const LLM_BATCH_SIZE = 100;
+
+function wordsFromEnv(name) {
+  return (process.env[name] || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+}
+
+function roundScore(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+// Resolve the method and domain word lists for a run. Words given with the
+// request are added to the ones configured in the environment.
+function resolveSentimentOptions(options = {}) {
+  const method = options.method || process.env.SENTIMENT_METHOD || 'rules';
+  if (!SENTIMENT_METHODS.includes(method)) {
+    throw new Error(`sentimentMethod must be one of: ${SENTIMENT_METHODS.join(', ')}`);
+  }
+  const clean = words => [...new Set((words || []).map(word => String(word).trim().toLowerCase()).filter(Boolean))];
+  return {
+    method,
+    positiveWords: clean([...wordsFromEnv('SENTIMENT_POSITIVE_WORDS'), ...(options.positiveWords || [])]),
+    negativeWords: clean([...wordsFromEnv('SENTIMENT_NEGATIVE_WORDS'), ...(options.negativeWords || [])])
+  };
+}
+
+function libraryExtras({ positiveWords, negativeWords }) {
+  const extras = {};
+  positiveWords.forEach(word => { extras[word] = DOMAIN_WORD_WEIGHT; });
+  negativeWords.forEach(word => { extras[word] = -DOMAIN_WORD_WEIGHT; });
+  return extras;
+}
+
+function libraryResult(analysis) {
+  const comparative = analysis?.comparative || 0;
+  const label = comparative > LIBRARY_THRESHOLD ? 'positive' : comparative < -LIBRARY_THRESHOLD ? 'negative' : 'neutral';
+  const words = [
+    analysis?.positive?.length ? `+${analysis.positive.join(', +')}` : '',
+    analysis?.negative?.length ? `-${analysis.negative.join(', -')}` : ''
+  ].filter(Boolean).join(', ');
+  return {
+    label,
+    score: roundScore(comparative),
+    reason: label === 'neutral'
+      ? `Library score ${roundScore(comparative)} within ±${LIBRARY_THRESHOLD}${words ? ` (${words})` : ''}`
+      : `Library score ${roundScore(comparative)}${words ? ` (${words})` : ''}`
+  };
+}
+
+// Word stems of a text or keyword in `language`, so keywords match whole
+// words and their inflections ("déçue" for "déçu") but not other words that
+// contain them ("salle" for "sale", "chercher" for "cher")
+function stems(text, language) {
+  return words(text).map(word => stem(word, language));
+}
+
+// Whether the stems of a keyword or phrase appear in a comment's stems, in
+// order and next to each other
+function containsPhrase(tokens, phrase) {
+  if (phrase.length === 0) return false;
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((part, offset) => tokens[i + offset] === part)) return true;
+  }
+  return false;
+}
+
+// Scores one comment in `language` (default English) with the rules or
+// library method
+function createScorer(settings) {
+  const extras = libraryExtras(settings);
+  const keywordsFor = _.memoize(language => {
+    const own = LANGUAGE_KEYWORDS[language];
+    const prepare = list => list.map(word => ({ word, stems: stems(word, language) }));
+    return {
+      negative: prepare([...settings.negativeWords, ...NEGATIVE_KEYWORDS, ...(own ? own.negative : [])]),
+      positive: prepare([...settings.positiveWords, ...POSITIVE_KEYWORDS, ...(own ? own.positive : [])])
+    };
+  });
+
+  return function scoreComment(text, language) {
+    try {
+      const scorer = lexiconScorer(language);
+      const analysis = scorer ? scorer(text, extras) : sentimentAnalyzer.analyze(text || '', { extras });
+      if (settings.method === 'library') {
+        return libraryResult(analysis);
+      }
+
+      // Business context rules: negative keywords win over positive ones
+      const { negative: negativeKeywords, positive: positiveKeywords } = keywordsFor(language);
+      const tokens = stems(text, language);
+      const negative = negativeKeywords.find(keyword => containsPhrase(tokens, keyword.stems));
+      if (negative) {
+        return { label: 'negative', score: roundScore(analysis?.comparative), reason: `Keyword rule: "${negative.word}"` };
+      }
+      const positive = positiveKeywords.find(keyword => containsPhrase(tokens, keyword.stems));
+      if (positive) {
+        return { label: 'positive', score: roundScore(analysis?.comparative), reason: `Keyword rule: "${positive.word}"` };
+      }
+      return libraryResult(analysis);
+    } catch (error) {
+      console.warn('Sentiment analysis failed for comment:', redactForLog(text).substring(0, 50), error.message);
+      return { label: 'neutral', score: 0, reason: 'Sentiment analysis error' };
+    }
+  };
+}
+
+function buildSentimentPrompt(items, settings) {
+  const domainWords = [
+    settings.negativeWords.length ? `Treat these words as negative in this domain: ${settings.negativeWords.join(', ')}.` : '',
+    settings.positiveWords.length ? `Treat these words as positive in this domain: ${settings.positiveWords.join(', ')}.` : ''
+  ].filter(Boolean).join('\n');
+
+  return `Label the sentiment of each of these comments as positive, negative or neutral, with a short reason (under 12 words).
+${domainWords}
+
+Comments:
+${items.map(item => `${item.index}. ${item.text}`).join('\n')}
+
+Respond in JSON format:
+{
+  "sentiments": [
+    {
+      "commentIndex": 1,
+      "label": "negative",
+      "reason": "Complains about the price"
+    }
+  ]
+}`;
+}
+
+function sentimentNamespace(settings, workspaceId) {
+  const words = cache.commentHash(JSON.stringify([settings.positiveWords, settings.negativeWords]));
+  return `sentiment:${cache.scope(workspaceId)}:${llm.config.provider}:${llm.config.tasks.sentiment.model}:${words}`;
+}
+
+// LLM labels for every comment, in batches sent as fast as the scheduler's
+// limits allow. Comments labelled before with the same domain words reuse
+// the cached label of the workspace's cache unless `useCache` is off;
+// comments the model skips or labels invalidly keep their rules-based
+// sentiment.
+async function llmSentiments(comments, languages, job, settings, fallback, { useCache = true, workspaceId = null } = {}) {
+  const results = comments.map((text, index) => fallback(text, languages[index]));
+  const namespace = sentimentNamespace(settings, workspaceId);
+  const hashes = comments.map(text => cache.commentHash(text));
+  const cached = useCache ? await cache.lookup(namespace, hashes) : new Map();
+  const pending = [];
+  comments.forEach((text, index) => {
+    const entry = cached.get(hashes[index]);
+    if (entry) {
+      results[index] = { label: entry.label, score: results[index].score, reason: entry.reason };
+    } else {
+      pending.push(index);
+    }
+  });
+  if (job.llmCache) {
+    job.llmCache.sentiment.hits += comments.length - pending.length;
+    job.llmCache.sentiment.misses += pending.length;
+  }
+
+  const totalBatches = Math.ceil(pending.length / LLM_BATCH_SIZE);
+  const fresh = [];
+  let finished = 0;
+
+  if (pending.length > 0) {
+    reportProgress(job, 'sentiment', `Labelling sentiment of ${pending.length} comments in ${totalBatches} batch${totalBatches === 1 ? '' : 'es'}...`,
+      { current: 0, total: totalBatches, percent: 86 });
+  }
+
+  const labelBatch = async start => {
+    const batchNumber = start / LLM_BATCH_SIZE + 1;
+    const items = pending.slice(start, start + LLM_BATCH_SIZE).map(index => ({ index: index + 1, text: comments[index] }));
+    const inBatch = new Set(items.map(item => item.index - 1));
+    try {
+      const response = await llm.complete('sentiment', buildSentimentPrompt(items, settings), {
+        signal: job.signal,
+        usage: job.llmUsage,
+        onWait: (ms, reason) => reportWait(job, 'sentiment', ms, reason),
+        context: { comments: items, positiveWords: settings.positiveWords, negativeWords: settings.negativeWords }
+      });
+      parseEntries(response).forEach(entry => {
+        const index = Number(entry?.commentIndex ?? entry?.index) - 1;
+        const label = String(entry?.label || entry?.sentiment || '').toLowerCase();
+        if (!inBatch.has(index) || !['positive', 'negative', 'neutral'].includes(label)) return;
+        results[index] = {
+          label,
+          score: results[index].score,
+          reason: `LLM: ${String(entry.reason || 'no reason given').substring(0, 200)}`
+        };
+        fresh.push(index);
+      });
+    } catch (error) {
+      throwIfCancelled(job);
+      console.warn(`LLM sentiment batch ${batchNumber} failed, keeping rules-based sentiment:`, error.message);
+    }
+    finished++;
+    reportProgress(job, 'sentiment', `Labelled sentiment, batch ${finished} of ${totalBatches}`,
+      { current: finished, total: totalBatches, percent: 86 + (finished / totalBatches) * 2 });
+  };
+
+  const starts = [];
+  for (let start = 0; start < pending.length; start += LLM_BATCH_SIZE) starts.push(start);
+  await Promise.all(starts.map(labelBatch));
+  throwIfCancelled(job);
+  await cache.remember(namespace, fresh.map(index => [hashes[index], { label: results[index].label, reason: results[index].reason }]));
+
+  console.log(`LLM SENTIMENT: labelled ${fresh.length} of ${comments.length} comments, ${comments.length - pending.length} from the cache, rules used for the rest`);
+  return results;
+}
+
+// One { label, score, reason } per comment, in input order. `languages` are
+// the comments' language codes (English when left out); `options.workspaceId`
+// picks the LLM label cache.
+async function analyzeSentiments(comments, job, options = {}, languages = []) {
+  const settings = resolveSentimentOptions(options);
+  if (settings.method === 'llm') {
+    if (!llm.isConfigured()) {
+      throw new Error(`LLM sentiment needs a configured LLM provider: ${llm.configurationError()}`);
+    }
+    return llmSentiments(comments, languages, job, settings, createScorer({ ...settings, method: 'rules' }), {
+      useCache: options.useCache !== false,
+      workspaceId: options.workspaceId
+    });
+  }
+  const scoreComment = createScorer(settings);
+  return comments.map((text, index) => scoreComment(text, languages[index]));
+}
+
+module.exports = {
+  SENTIMENT_METHODS,
+  LLM_SENTIMENT_BATCH_SIZE: LLM_BATCH_SIZE,
+  resolveSentimentOptions,
+  analyzeSentiments
+};
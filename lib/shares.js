@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+// Read-only share links for stored analyses. The token is the record id, so
+// a share can be looked up directly from the /shared/:token URL. Shared
+// results leave out the comments' metadata columns (which may hold names or
+// contact details) unless the share was created with `includeMetadata`.
+const shares = createStore('shares', {
+  summarize: share => ({
+    id: share.id,
+    workspaceId: share.workspaceId,
+    analysisId: share.analysisId,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    includeMetadata: !!share.includeMetadata,
+    revokedAt: share.revokedAt || null
+  })
+});
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+
+function shareStatus(share) {
+  if (share.revokedAt) return 'revoked';
+  if (new Date(share.expiresAt).getTime() <= Date.now()) return 'expired';
+  return 'active';
+}
+
+function createShare(analysisId, { expiresInDays, workspaceId, includeMetadata = false } = {}) {
+  const days = expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+    throw new Error(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+
+  return shares.save({
+    id: crypto.randomBytes(24).toString('base64url'),
+    ...(workspaceId ? { workspaceId } : {}),
+    analysisId,
+    includeMetadata: includeMetadata === true || includeMetadata === 'true',
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null
+  });
+}
+
+async function listShares(analysisId) {
+  const all = await shares.list();
+  return all
+    .filter(share => share.analysisId === analysisId)
+    .map(share => ({ ...share, status: shareStatus(share) }));
+}
+
+function revokeShare(token) {
+  return shares.update(token, share => {
+    share.revokedAt = share.revokedAt || new Date().toISOString();
+  });
+}
+
+// The analysis result as a share shows it
+function sharedResult(result, share) {
+  if (share.includeMetadata) return result;
+  return {
+    ...result,
+    topics: result.topics.map(topic => ({
+      ...topic,
+      comments: topic.comments.map(({ metadata, ...comment }) => comment)
+    }))
+  };
+}
+
+// Resolves to the share and its status, or null for an unknown token
+async function findShare(token) {
+  const share = await shares.get(token);
+  if (!share) return null;
+  return { share, status: shareStatus(share) };
+}
+
+module.exports = {
+  shares,
+  createShare,
+  listShares,
+  revokeShare,
+  findShare,
+  sharedResult
+};
@@ -0,0 +1,25 @@
+// Small statistics helpers shared by trends, segments and comparisons
+
+// Two-sided 95% confidence
+const Z_THRESHOLD = 1.96;
+
+// Two-proportion z statistic for a change from x1/n1 to x2/n2 (positive when
+// the proportion rose)
+function twoProportionZ(x1, n1, x2, n2) {
+  if (!n1 || !n2) return 0;
+  const pooled = (x1 + x2) / (n1 + n2);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (!standardError) return 0;
+  return (x2 / n2 - x1 / n1) / standardError;
+}
+
+function round(value, places = 3) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  Z_THRESHOLD,
+  twoProportionZ,
+  round
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local file-based storage. Each collection is a directory of JSON documents
+// (one file per record) plus an index.json of small summaries so listing
+// doesn't have to read every document.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+async function writeJSONAtomic(filePath, value) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(value));
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+async function readJSON(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// `summarize(record)` picks the fields kept in the index for list views
+function createStore(name, { summarize = record => ({ id: record.id }) } = {}) {
+  const dir = path.join(DATA_DIR, name);
+  const indexPath = path.join(dir, 'index.json');
+  // Writes are chained so concurrent requests can't clobber the index
+  let queue = Promise.resolve();
+
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function recordPath(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`Invalid ${name} id`);
+    }
+    return path.join(dir, `${id}.json`);
+  }
+
+  async function ensureDir() {
+    await fs.promises.mkdir(dir, { recursive: true });
+  }
+
+  async function list() {
+    return readJSON(indexPath, []);
+  }
+
+  async function get(id) {
+    if (!ID_PATTERN.test(id || '')) return null;
+    return readJSON(recordPath(id), null);
+  }
+
+  function save(record) {
+    return enqueue(async () => {
+      await ensureDir();
+      const now = new Date().toISOString();
+      const stored = {
+        ...record,
+        id: record.id || crypto.randomUUID(),
+        createdAt: record.createdAt || now,
+        updatedAt: now
+      };
+      await writeJSONAtomic(recordPath(stored.id), stored);
+
+      const index = (await list()).filter(entry => entry.id !== stored.id);
+      index.unshift(summarize(stored));
+      await writeJSONAtomic(indexPath, index);
+      return stored;
+    });
+  }
+
+  // Read-modify-write of a single record; `mutator` may return a new record
+  // or modify the one it is given. Resolves to null when the id is unknown.
+  function update(id, mutator) {
+    return enqueue(async () => {
+      const existing = await get(id);
+      if (!existing) return null;
+      const changed = (await mutator(existing)) || existing;
+      const stored = { ...changed, id, updatedAt: new Date().toISOString() };
+      await writeJSONAtomic(recordPath(id), stored);
+
+      const index = (await list()).map(entry => entry.id === id ? summarize(stored) : entry);
+      await writeJSONAtomic(indexPath, index);
+      return stored;
+    });
+  }
+
+  function remove(id) {
+    return enqueue(async () => {
+      const existing = await get(id);
+      if (!existing) return false;
+      await fs.promises.unlink(recordPath(id));
+      const index = (await list()).filter(entry => entry.id !== id);
+      await writeJSONAtomic(indexPath, index);
+      return true;
+    });
+  }
+
+  // Run `task` in the write queue, so nothing is written to this store while
+  // it runs. It must not write to this store itself.
+  function lock(task) {
+    return enqueue(task);
+  }
+
+  return { name, list, get, save, update, remove, lock };
+}
+
+module.exports = {
+  DATA_DIR,
+  createStore
+};
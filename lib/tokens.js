@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { defaultQuota, normalizeQuota, addUsage } = require('./quotas');
+
+// Per-workspace API tokens for scripts, sent as "Authorization: Bearer
+// <token>". Only a SHA-256 hash of the token is stored (it is the record id),
+// so the token itself is shown once, when it is created. Every token has a
+// monthly quota of its own on top of its workspace's.
+const TOKEN_PREFIX = 'cmt_';
+const MAX_NAME_LENGTH = 100;
+
+const apiTokens = createStore('api-tokens', {
+  summarize: token => ({
+    id: token.id,
+    workspaceId: token.workspaceId,
+    name: token.name,
+    hint: token.hint,
+    createdAt: token.createdAt,
+    lastUsedAt: token.lastUsedAt || null,
+    revokedAt: token.revokedAt || null
+  })
+});
+
+function tokenError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokenName(value) {
+  const name = typeof value === 'string' ? value.trim().substring(0, MAX_NAME_LENGTH) : '';
+  if (!name) {
+    throw tokenError('Token name is required');
+  }
+  return name;
+}
+
+// Token quota from the request, on top of API_TOKEN_QUOTA_* defaults; a
+// token can't be created without at least one limit
+function tokenQuota(body, current) {
+  const quota = normalizeQuota(body, current);
+  if (Object.keys(quota).length === 0) {
+    throw tokenError('API tokens need a quota: set at least one of analyses, requests, tokens or cost');
+  }
+  return quota;
+}
+
+// Resolves to { token, record }; `token` is the only copy of the secret
+async function createToken(workspaceId, { name, quota } = {}, createdBy = null) {
+  const record = {
+    workspaceId,
+    name: tokenName(name),
+    quota: tokenQuota(quota, defaultQuota('API_TOKEN_QUOTA')),
+    usage: {},
+    createdBy,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const stored = await apiTokens.save({ ...record, id: hashToken(token), hint: `${token.substring(0, TOKEN_PREFIX.length + 4)}…` });
+  return { token, record: stored };
+}
+
+async function listTokens(workspaceId) {
+  const all = await Promise.all((await apiTokens.list())
+    .filter(entry => entry.workspaceId === workspaceId)
+    .map(entry => apiTokens.get(entry.id)));
+  return all.filter(Boolean);
+}
+
+// The active token record for a secret, or null
+async function findToken(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+  const record = await apiTokens.get(hashToken(token));
+  return record && !record.revokedAt ? record : null;
+}
+
+// Name and quota changes; resolves to null for an unknown token
+function updateToken(id, body = {}) {
+  return apiTokens.update(id, token => ({
+    ...token,
+    name: body.name === undefined ? token.name : tokenName(body.name),
+    quota: body.quota === undefined ? token.quota : tokenQuota(body.quota, token.quota)
+  }));
+}
+
+function revokeToken(id) {
+  return apiTokens.update(id, token => {
+    token.revokedAt = token.revokedAt || new Date().toISOString();
+  });
+}
+
+function touchToken(id) {
+  return apiTokens.update(id, token => {
+    token.lastUsedAt = new Date().toISOString();
+  });
+}
+
+function recordTokenUsage(id, delta) {
+  return apiTokens.update(id, token => ({ ...token, usage: addUsage(token.usage, delta) }));
+}
+
+module.exports = {
+  apiTokens,
+  createToken,
+  listTokens,
+  findToken,
+  updateToken,
+  revokeToken,
+  touchToken,
+  recordTokenUsage
+};
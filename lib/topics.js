@@ -0,0 +1,302 @@
+const _ = require('lodash');
+const { stem } = require('./language');
+
+// Offline theme discovery: TF-IDF vectors over the stopword-filtered tokens,
+// spherical k-means for a range of topic counts, and NPMI coherence over each
+// cluster's top terms to pick the count. Runs without any LLM access and is
+// deterministic for the same input.
+const MIN_TOPICS = 2;
+const MAX_TOPICS = 8;
+const TOP_TERMS = 10;
+const MAX_ITERATIONS = 30;
+// k-means restarts per topic count; large inputs get a single run
+const RESTARTS = 4;
+const RESTART_LIMIT_DOCS = 5000;
+
+// Small seeded PRNG so k-means++ initialisation is reproducible
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Stem tokens so "prices"/"pricing" share a dimension, remembering the most
+// common surface form of each stem for readable labels. `languages[i]` is the
+// language of document i (English when left out).
+function stemDocuments(tokenLists, languages = []) {
+  const surfaceCounts = {};
+  const docs = tokenLists.map((tokens, docIndex) => tokens.map(token => {
+    const word = token.toLowerCase();
+    const term = stem(word, languages[docIndex]);
+    surfaceCounts[term] = surfaceCounts[term] || {};
+    surfaceCounts[term][word] = (surfaceCounts[term][word] || 0) + 1;
+    return term;
+  }));
+  const labels = _.mapValues(surfaceCounts, counts => _.maxBy(Object.keys(counts), word => counts[word]));
+  return { docs, labels };
+}
+
+// Terms that appear in a single document (on larger sets) or in most
+// documents carry no grouping signal
+function buildVocabulary(docs) {
+  const df = {};
+  docs.forEach(doc => _.uniq(doc).forEach(term => { df[term] = (df[term] || 0) + 1; }));
+  const minDf = docs.length >= 20 ? 2 : 1;
+  const maxDf = docs.length >= 10 ? Math.max(2, Math.floor(docs.length * 0.6)) : docs.length;
+  const terms = Object.keys(df).filter(term => df[term] >= minDf && df[term] <= maxDf).sort();
+  const index = {};
+  terms.forEach((term, i) => { index[term] = i; });
+  return { terms, index, df };
+}
+
+// L2-normalised sparse TF-IDF vectors as [{ i, w }] lists
+function tfidfVectors(docs, vocabulary) {
+  const n = docs.length;
+  return docs.map(doc => {
+    const counts = {};
+    doc.forEach(term => {
+      if (vocabulary.index[term] !== undefined) counts[term] = (counts[term] || 0) + 1;
+    });
+    const entries = Object.keys(counts).map(term => ({
+      i: vocabulary.index[term],
+      w: (1 + Math.log(counts[term])) * (Math.log((1 + n) / (1 + vocabulary.df[term])) + 1)
+    }));
+    const norm = Math.sqrt(entries.reduce((sum, e) => sum + e.w * e.w, 0));
+    return norm > 0 ? entries.map(e => ({ i: e.i, w: e.w / norm })) : [];
+  });
+}
+
+function dot(sparse, dense) {
+  return sparse.reduce((sum, e) => sum + e.w * dense[e.i], 0);
+}
+
+function normalize(dense) {
+  const norm = Math.sqrt(dense.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? dense.map(v => v / norm) : dense;
+}
+
+function toDense(sparse, size) {
+  const dense = new Array(size).fill(0);
+  sparse.forEach(e => { dense[e.i] = e.w; });
+  return dense;
+}
+
+// Spherical k-means (cosine similarity) with k-means++ seeding
+function kmeans(vectors, k, size, random) {
+  const centroids = [toDense(vectors[Math.floor(random() * vectors.length)], size)];
+  while (centroids.length < k) {
+    const distances = vectors.map(v => 1 - Math.max(...centroids.map(c => dot(v, c))));
+    const total = distances.reduce((sum, d) => sum + Math.max(0, d), 0);
+    let pick = 0;
+    if (total > 0) {
+      let target = random() * total;
+      pick = distances.findIndex(d => (target -= Math.max(0, d)) <= 0);
+      if (pick < 0) pick = distances.length - 1;
+    }
+    centroids.push(toDense(vectors[pick], size));
+  }
+
+  let assignments = new Array(vectors.length).fill(-1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let changed = false;
+    const next = vectors.map((v, docIndex) => {
+      let best = 0;
+      let bestScore = -Infinity;
+      centroids.forEach((c, ci) => {
+        const score = dot(v, c);
+        if (score > bestScore) {
+          best = ci;
+          bestScore = score;
+        }
+      });
+      if (best !== assignments[docIndex]) changed = true;
+      return best;
+    });
+    assignments = next;
+    if (!changed) break;
+
+    centroids.forEach((c, ci) => {
+      const sum = new Array(size).fill(0);
+      vectors.forEach((v, docIndex) => {
+        if (assignments[docIndex] === ci) v.forEach(e => { sum[e.i] += e.w; });
+      });
+      if (sum.some(value => value > 0)) centroids[ci] = normalize(sum);
+    });
+  }
+
+  const similarities = vectors.map((v, docIndex) => dot(v, centroids[assignments[docIndex]]));
+  return { assignments, centroids, similarities, objective: _.sum(similarities) };
+}
+
+// Best of several seeded runs, by total similarity to the assigned centroids
+function bestKmeans(vectors, k, size, seed) {
+  const restarts = vectors.length > RESTART_LIMIT_DOCS ? 1 : RESTARTS;
+  let best = null;
+  for (let run = 0; run < restarts; run++) {
+    const result = kmeans(vectors, k, size, mulberry32(seed + k * 1000 + run));
+    if (!best || result.objective > best.objective) best = result;
+  }
+  return best;
+}
+
+function topTerms(centroid, terms, count = TOP_TERMS) {
+  return centroid
+    .map((weight, i) => ({ term: terms[i], weight }))
+    .filter(entry => entry.weight > 0)
+    .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term))
+    .slice(0, count);
+}
+
+// Mean normalised PMI over pairs of top terms, using document co-occurrence.
+// Ranges from -1 (never together) through 0 (independent) to 1 (always together).
+function npmiCoherence(termLists, docSets) {
+  const n = docSets.length;
+  const docFreq = {};
+  const pairFreq = {};
+  const wanted = new Set(termLists.flat());
+  docSets.forEach(set => {
+    const present = [...set].filter(term => wanted.has(term)).sort();
+    present.forEach((a, ai) => {
+      docFreq[a] = (docFreq[a] || 0) + 1;
+      present.slice(ai + 1).forEach(b => {
+        const key = `${a}|${b}`;
+        pairFreq[key] = (pairFreq[key] || 0) + 1;
+      });
+    });
+  });
+
+  return termLists.map(list => {
+    const sorted = [...list].sort();
+    const scores = [];
+    sorted.forEach((a, ai) => sorted.slice(ai + 1).forEach(b => {
+      const joint = (pairFreq[`${a}|${b}`] || 0) / n;
+      if (joint === 0) {
+        scores.push(-1);
+        return;
+      }
+      const pmi = Math.log(joint / ((docFreq[a] / n) * (docFreq[b] / n)));
+      const denominator = -Math.log(joint);
+      scores.push(denominator > 0 ? pmi / denominator : 1);
+    }));
+    return scores.length > 0 ? _.mean(scores) : 0;
+  });
+}
+
+// Rescale mean NPMI from [-1, 1] to the [0, 1] range used for coherenceScore
+function toCoherenceScore(npmiScores) {
+  if (npmiScores.length === 0) return 0;
+  return Math.round(((_.mean(npmiScores) + 1) / 2) * 1000) / 1000;
+}
+
+function titleCase(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function prepareDocuments(tokenLists, languages) {
+  const { docs, labels } = stemDocuments(tokenLists, languages);
+  const vocabulary = buildVocabulary(docs);
+  const vectors = tfidfVectors(docs, vocabulary);
+  return { docs, labels, vocabulary, vectors, docSets: docs.map(doc => new Set(doc)) };
+}
+
+// Coherence of an existing grouping (e.g. LLM themes) measured on the same
+// tokens, so LLM and offline themes can be compared on one scale.
+// `groupKeys[i]` is the group of document i, or null to leave it out.
+function scoreGrouping(tokenLists, groupKeys, { languages } = {}) {
+  const { vocabulary, vectors, docSets } = prepareDocuments(tokenLists, languages);
+  const size = vocabulary.terms.length;
+  const sums = {};
+  vectors.forEach((v, docIndex) => {
+    const key = groupKeys[docIndex];
+    if (key === null || key === undefined || v.length === 0) return;
+    sums[key] = sums[key] || new Array(size).fill(0);
+    v.forEach(e => { sums[key][e.i] += e.w; });
+  });
+
+  const keys = Object.keys(sums);
+  const termLists = keys.map(key => topTerms(sums[key], vocabulary.terms).map(t => t.term));
+  const scores = npmiCoherence(termLists, docSets);
+  const perTopic = {};
+  keys.forEach((key, i) => { perTopic[key] = Math.round(scores[i] * 1000) / 1000; });
+  return { coherenceScore: toCoherenceScore(scores), perTopic };
+}
+
+// Discover themes from tokenized comments. Returns themes labelled by their
+// top terms plus one assignment per input document (theme -1 when a document
+// has no usable terms). `onProgress(k, kMax)` is called before each topic
+// count; `languages` are the documents' language codes for stemming.
+async function discoverTopics(tokenLists, { minTopics = MIN_TOPICS, maxTopics = MAX_TOPICS, seed = 42, onProgress, languages } = {}) {
+  const { labels, vocabulary, vectors, docSets } = prepareDocuments(tokenLists, languages);
+  const usable = vectors.map((v, i) => (v.length > 0 ? i : -1)).filter(i => i >= 0);
+
+  const upper = Math.min(maxTopics, Math.max(1, Math.floor(Math.sqrt(usable.length))), vocabulary.terms.length);
+  const lower = Math.min(minTopics, upper);
+  const candidates = [];
+
+  for (let k = lower; k <= upper; k++) {
+    if (onProgress) await onProgress(k, upper);
+    const clustering = bestKmeans(usable.map(i => vectors[i]), k, vocabulary.terms.length, seed);
+    const sizes = _.countBy(clustering.assignments);
+    // Skip topic counts that leave a cluster empty or with a single comment
+    if (k > 1 && (Object.keys(sizes).length < k || Object.values(sizes).some(size => size < 2))) continue;
+
+    const termLists = clustering.centroids.map(c => topTerms(c, vocabulary.terms).map(t => t.term));
+    const perTopic = npmiCoherence(termLists, docSets);
+    candidates.push({ k, clustering, perTopic, coherence: _.mean(perTopic) });
+    console.log(`OFFLINE TOPICS: k=${k} mean NPMI ${_.mean(perTopic).toFixed(3)} sizes ${JSON.stringify(Object.values(sizes))}`);
+  }
+
+  if (candidates.length === 0) {
+    const clustering = bestKmeans(usable.map(i => vectors[i]), 1, vocabulary.terms.length, seed);
+    const termLists = clustering.centroids.map(c => topTerms(c, vocabulary.terms).map(t => t.term));
+    candidates.push({ k: 1, clustering, perTopic: npmiCoherence(termLists, docSets), coherence: 0 });
+  }
+
+  // Highest coherence wins; ties go to the smaller topic count
+  const best = candidates.reduce((top, candidate) => (candidate.coherence > top.coherence + 1e-9 ? candidate : top));
+
+  const themes = best.clustering.centroids.map((centroid, topicIndex) => {
+    const terms = topTerms(centroid, vocabulary.terms).map(t => ({ term: labels[t.term] || t.term, weight: Math.round(t.weight * 1000) / 1000 }));
+    const name = terms.slice(0, 3).map(t => titleCase(t.term)).join(' / ') || `Topic ${topicIndex + 1}`;
+    return {
+      name,
+      description: `Comments mentioning ${terms.slice(0, 6).map(t => t.term).join(', ')}`,
+      keywords: terms.slice(0, 8).map(t => t.term),
+      terms,
+      coherence: Math.round(best.perTopic[topicIndex] * 1000) / 1000
+    };
+  });
+
+  // Two clusters can share their top three terms; keep names unique
+  const seen = {};
+  themes.forEach(theme => {
+    seen[theme.name] = (seen[theme.name] || 0) + 1;
+    if (seen[theme.name] > 1) theme.name = `${theme.name} (${seen[theme.name]})`;
+  });
+
+  const assignments = vectors.map(() => ({ topic: -1, confidence: 0 }));
+  usable.forEach((docIndex, position) => {
+    assignments[docIndex] = {
+      topic: best.clustering.assignments[position],
+      confidence: Math.round(Math.max(0, best.clustering.similarities[position]) * 100) / 100
+    };
+  });
+
+  return {
+    k: best.k,
+    themes,
+    assignments,
+    coherenceScore: toCoherenceScore(best.perTopic),
+    candidates: candidates.map(candidate => ({ k: candidate.k, coherence: Math.round(candidate.coherence * 1000) / 1000 }))
+  };
+}
+
+module.exports = {
+  discoverTopics,
+  scoreGrouping
+};
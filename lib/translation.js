@@ -0,0 +1,113 @@
+const llm = require('./llm');
+const cache = require('./cache');
+const { parseEntries } = require('./classification');
+const { reportProgress, reportWait, throwIfCancelled } = require('./jobs');
+const { languageName } = require('./language');
+
+// LLM translation of the comments that aren't in the pivot language, so theme
+// discovery and classification work on one language. Only the analysis text
+// changes: comments keep their original text for display, sentiment and
+// exports, with the translation alongside. Translations are cached per
+// provider, model and pivot language like the other per-comment answers.
+const TRANSLATION_BATCH_SIZE = 50;
+
+function buildTranslationPrompt(items, pivot) {
+  return `Translate each of these customer comments into ${languageName(pivot)}. Keep the meaning and tone, don't summarize, and leave placeholders such as [EMAIL_1] or [NAME_2] exactly as they are.
+
+Comments:
+${items.map(item => `${item.index}. (${languageName(item.language)}) ${item.text}`).join('\n')}
+
+Respond in JSON format:
+{
+  "translations": [
+    {
+      "commentIndex": 1,
+      "text": "The room was dirty"
+    }
+  ]
+}`;
+}
+
+function translationNamespace(pivot, workspaceId) {
+  return `translation:${cache.scope(workspaceId)}:${llm.config.provider}:${llm.config.tasks.translation.model}:${pivot}`;
+}
+
+// Pivot-language text per comment (null for comments already in the pivot
+// language and ones the model skipped, which are analyzed as written) plus
+// counts of what was translated, cached and left untranslated
+async function translateComments(comments, languages, job, { pivot, useCache = true, workspaceId = null, percent = [8, 10] } = {}) {
+  const translations = comments.map(() => null);
+  const foreign = comments.map((text, index) => index).filter(index => languages[index] !== pivot);
+  const stats = { requested: foreign.length, translated: 0, cached: 0, failed: 0 };
+  if (foreign.length === 0) return { translations, stats };
+  if (!llm.isConfigured()) {
+    throw new Error(`Translation needs a configured LLM provider: ${llm.configurationError()}`);
+  }
+
+  const namespace = translationNamespace(pivot, workspaceId);
+  const hashes = foreign.map(index => cache.commentHash(comments[index]));
+  const cached = useCache ? await cache.lookup(namespace, hashes) : new Map();
+  const pending = [];
+  foreign.forEach((index, position) => {
+    const entry = cached.get(hashes[position]);
+    if (entry) {
+      translations[index] = entry.text;
+      stats.cached++;
+    } else {
+      pending.push(index);
+    }
+  });
+
+  const totalBatches = Math.ceil(pending.length / TRANSLATION_BATCH_SIZE);
+  const [from, to] = percent;
+  const fresh = [];
+  let finished = 0;
+  if (pending.length > 0) {
+    reportProgress(job, 'translation', `Translating ${pending.length} comments into ${languageName(pivot)} in ${totalBatches} batch${totalBatches === 1 ? '' : 'es'}...`,
+      { current: 0, total: totalBatches, percent: from });
+  }
+
+  const translateBatch = async start => {
+    const batchNumber = start / TRANSLATION_BATCH_SIZE + 1;
+    const items = pending.slice(start, start + TRANSLATION_BATCH_SIZE)
+      .map(index => ({ index: index + 1, text: comments[index], language: languages[index] }));
+    const inBatch = new Set(items.map(item => item.index - 1));
+    try {
+      const response = await llm.complete('translation', buildTranslationPrompt(items, pivot), {
+        signal: job.signal,
+        usage: job.llmUsage,
+        onWait: (ms, reason) => reportWait(job, 'translation', ms, reason),
+        context: { comments: items, pivot }
+      });
+      parseEntries(response).forEach(entry => {
+        const index = Number(entry?.commentIndex ?? entry?.index) - 1;
+        const text = typeof entry?.text === 'string' ? entry.text.trim() : '';
+        if (!inBatch.has(index) || !text || translations[index] !== null) return;
+        translations[index] = text.toLowerCase();
+        fresh.push(index);
+      });
+    } catch (error) {
+      throwIfCancelled(job);
+      console.warn(`Translation batch ${batchNumber} failed, analyzing those comments as written:`, error.message);
+    }
+    finished++;
+    reportProgress(job, 'translation', `Translated batch ${finished} of ${totalBatches}`,
+      { current: finished, total: totalBatches, percent: from + (finished / totalBatches) * (to - from) });
+  };
+
+  const starts = [];
+  for (let start = 0; start < pending.length; start += TRANSLATION_BATCH_SIZE) starts.push(start);
+  await Promise.all(starts.map(translateBatch));
+  throwIfCancelled(job);
+  await cache.remember(namespace, fresh.map(index => [cache.commentHash(comments[index]), { text: translations[index] }]));
+
+  stats.translated = fresh.length;
+  stats.failed = pending.length - fresh.length;
+  console.log(`TRANSLATION: ${fresh.length} comments translated into ${pivot}, ${stats.cached} from the cache, ${stats.failed} left as written`);
+  return { translations, stats };
+}
+
+module.exports = {
+  TRANSLATION_BATCH_SIZE,
+  translateComments
+};
@@ -0,0 +1,185 @@
+const _ = require('lodash');
+const { Z_THRESHOLD, twoProportionZ, round } = require('./stats');
+
+// Theme volume and sentiment over time, from a date column. Comments are
+// bucketed per day, week (starting Monday) or month in UTC, and each theme's
+// share of comments and share of negative comments is compared with the
+// previous period using a two-proportion z-test.
+const TREND_INTERVALS = ['auto', 'day', 'week', 'month'];
+const MAX_PERIODS = 120;
+// Fewest comments in both periods before a share change is tested, and fewest
+// theme comments in both periods before a negativity change is tested
+const MIN_PERIOD_COMMENTS = 10;
+const MIN_THEME_COMMENTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+function fullYear(year) {
+  const number = Number(year);
+  return year.length <= 2 ? 2000 + number : number;
+}
+
+// Parse a whole column at once so ambiguous dates like 03/04/2024 are read
+// consistently: day-first if any value only makes sense that way, US
+// month-first otherwise. Unparseable values come back as null.
+function parseDateColumn(values) {
+  const numericPattern = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/;
+  const dayFirst = values.some(value => {
+    const match = String(value || '').trim().match(numericPattern);
+    return match && Number(match[1]) > 12 && Number(match[2]) <= 12;
+  });
+
+  return values.map(value => {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const iso = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (iso) return utcDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+    const numeric = text.match(numericPattern);
+    if (numeric) {
+      const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+      return dayFirst ? utcDate(fullYear(numeric[3]), second, first) : utcDate(fullYear(numeric[3]), first, second);
+    }
+
+    // Unix timestamps in seconds or milliseconds
+    if (/^\d{10}$|^\d{13}$/.test(text)) {
+      const date = new Date(text.length === 10 ? Number(text) * 1000 : Number(text));
+      return utcDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+
+    const parsed = Date.parse(text);
+    if (Number.isNaN(parsed)) return null;
+    const date = new Date(parsed);
+    return utcDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  });
+}
+
+function periodStart(date, interval) {
+  if (interval === 'month') return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  if (interval === 'week') return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  return date;
+}
+
+function nextPeriod(start, interval) {
+  if (interval === 'month') return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return new Date(start.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+}
+
+function periodKey(start, interval) {
+  const iso = start.toISOString().substring(0, 10);
+  return interval === 'month' ? iso.substring(0, 7) : iso;
+}
+
+function periodCount(first, last, interval) {
+  let count = 0;
+  for (let start = periodStart(first, interval); start <= last && count <= MAX_PERIODS; start = nextPeriod(start, interval)) {
+    count++;
+  }
+  return count;
+}
+
+// The requested interval, coarsened when it would give too many periods;
+// `auto` picks the finest interval that fits
+function chooseInterval(first, last, requested) {
+  const candidates = ['day', 'week', 'month'];
+  const from = requested === 'auto' ? 0 : candidates.indexOf(requested);
+  const maxPeriods = requested === 'auto' ? 60 : MAX_PERIODS;
+  return candidates.slice(from).find(interval => periodCount(first, last, interval) <= maxPeriods) || 'month';
+}
+
+// Significant rises in each theme's share of comments and share of negative
+// comments, for every period against the one before it
+function findAlerts(periods, themeNames) {
+  const alerts = [];
+  periods.forEach((period, index) => {
+    if (index === 0) return;
+    const previous = periods[index - 1];
+    themeNames.forEach(theme => {
+      const before = previous.themes[theme];
+      const after = period.themes[theme];
+
+      if (previous.total >= MIN_PERIOD_COMMENTS && period.total >= MIN_PERIOD_COMMENTS) {
+        const z = twoProportionZ(before.count, previous.total, after.count, period.total);
+        if (z >= Z_THRESHOLD) {
+          alerts.push({ theme, metric: 'share', period: period.key, previousPeriod: previous.key, previous: before.share, current: after.share, z: round(z, 2) });
+        }
+      }
+      if (before.count >= MIN_THEME_COMMENTS && after.count >= MIN_THEME_COMMENTS) {
+        const z = twoProportionZ(before.negative, before.count, after.negative, after.count);
+        if (z >= Z_THRESHOLD) {
+          alerts.push({ theme, metric: 'negativity', period: period.key, previousPeriod: previous.key, previous: before.negativeShare, current: after.negativeShare, z: round(z, 2) });
+        }
+      }
+    });
+  });
+  return alerts;
+}
+
+// `records` is one { date, theme, sentiment } per comment, with `date` the
+// raw column value. Returns null when no value in the column is a date.
+function buildTrends(records, themeNames, { column, interval = 'auto' } = {}) {
+  if (!TREND_INTERVALS.includes(interval)) {
+    throw new Error(`trendInterval must be one of: ${TREND_INTERVALS.join(', ')}`);
+  }
+  const dates = parseDateColumn(records.map(record => record.date));
+  const dated = records.map((record, index) => ({ ...record, date: dates[index] })).filter(record => record.date);
+  if (dated.length === 0) return null;
+
+  const first = _.minBy(dated, record => record.date.getTime()).date;
+  const last = _.maxBy(dated, record => record.date.getTime()).date;
+  const used = chooseInterval(first, last, interval);
+  const byPeriod = _.groupBy(dated, record => periodKey(periodStart(record.date, used), used));
+
+  // Every period between the first and last date, empty ones included, so
+  // trend lines have evenly spaced points
+  const periods = [];
+  for (let start = periodStart(first, used); start <= last; start = nextPeriod(start, used)) {
+    const key = periodKey(start, used);
+    const inPeriod = byPeriod[key] || [];
+    const themes = {};
+    themeNames.forEach(theme => {
+      const themeRecords = inPeriod.filter(record => record.theme === theme);
+      const negative = themeRecords.filter(record => record.sentiment.label === 'negative').length;
+      themes[theme] = {
+        count: themeRecords.length,
+        share: inPeriod.length ? round(themeRecords.length / inPeriod.length) : 0,
+        negative,
+        negativeShare: themeRecords.length ? round(negative / themeRecords.length) : 0,
+        avgSentiment: themeRecords.length ? round(_.meanBy(themeRecords, record => record.sentiment.score), 2) : null
+      };
+    });
+    periods.push({
+      key,
+      start: start.toISOString(),
+      total: inPeriod.length,
+      negative: inPeriod.filter(record => record.sentiment.label === 'negative').length,
+      themes
+    });
+  }
+
+  const alerts = findAlerts(periods, themeNames);
+  console.log(`TRENDS: ${dated.length} dated comments in ${periods.length} ${used} periods, ${alerts.length} significant rises`);
+
+  return {
+    column,
+    interval: used,
+    requestedInterval: interval,
+    dated: dated.length,
+    undated: records.length - dated.length,
+    themes: themeNames,
+    periods,
+    // Rises in the most recent period come first
+    alerts: _.orderBy(alerts, [alert => alert.period, alert => alert.z], ['desc', 'desc'])
+  };
+}
+
+module.exports = {
+  TREND_INTERVALS,
+  parseDateColumn,
+  buildTrends
+};
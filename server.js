@@ -1,772 +1,1199 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-// Updated with comment counting bug fixes
-const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
-const natural = require('natural');
-const stopword = require('stopword');
-const sentiment = require('sentiment');
-// Removed kmeans - using LDA topic modeling only
 const _ = require('lodash');
-const Anthropic = require('@anthropic-ai/sdk');
-
-// Custom CSV parser that properly handles quoted multi-line fields
-function parseCSVContent(csvText) {
-  const rows = [];
-  let currentRow = [];
-  let currentField = '';
-  let inQuotes = false;
-  let i = 0;
-  let rowCount = 0;
+const llm = require('./lib/llm');
+const { runAnalysis, runAppend, estimateAnalysis, THEME_MODES } = require('./lib/analysis');
+const { TREND_INTERVALS } = require('./lib/trends');
+const { resolveSentimentOptions } = require('./lib/sentiment');
+const jobs = require('./lib/jobs');
+const { analyses, saveAnalysisResult, appendAnalysisResult, withoutSource } = require('./lib/analyses');
+const { chatAboutAnalysis, chatAboutResult, getHistory, clearHistory } = require('./lib/chat');
+const { exportAnalysis, EXPORT_FORMATS } = require('./lib/export');
+const { renderReport } = require('./lib/report');
+const { INGEST_LIMITS, readUpload } = require('./lib/ingest');
+const shares = require('./lib/shares');
+const { extractResult, compareAnalyses } = require('./lib/compare');
+const { CODEBOOK_MODES, codebooks, themesFromAnalysis, createCodebook, updateCodebook } = require('./lib/codebooks');
+const { reviewAnalysis, splitCandidate, proposeSplit } = require('./lib/review');
+const { resolveQualityOptions } = require('./lib/quality');
+const { resolveLanguageOptions } = require('./lib/language');
+const auth = require('./lib/auth');
+const accounts = require('./lib/accounts');
+const apiTokens = require('./lib/tokens');
+const oidc = require('./lib/oidc');
+const { quotaStatus, usageFor } = require('./lib/quotas');
+
+const app = express();
+const port = process.env.PORT || 3000;
+
+// Cross-origin browser access only for the origins listed in CORS_ORIGINS
+// (comma-separated); the UI itself is served from the same origin
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: corsOrigins, credentials: true }));
+app.use(express.json());
+app.use(express.static('public'));
+if (oidc.config.mock) {
+  app.use(oidc.MOCK_PATH, oidc.mockIssuer());
+}
+// Every API call needs a signed-in user or an API token (lib/auth.js)
+app.use('/api', auth.authenticate);
+
+const upload = multer({ dest: 'uploads/', limits: { fileSize: INGEST_LIMITS.maxFileBytes } });
+// Rows of a preview sent back to the browser; the report counts the whole file
+const PREVIEW_ROWS = 5000;
+
+// Wrap a multer middleware so its errors (such as a file over MAX_UPLOAD_MB)
+// come back as JSON instead of Express's HTML error page
+function acceptUpload(middleware) {
+  return (req, res, next) => middleware(req, res, error => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: `The file is larger than the ${Math.round(INGEST_LIMITS.maxFileBytes / (1024 * 1024))}MB upload limit (MAX_UPLOAD_MB)`
+      });
+    }
+    res.status(400).json({ success: false, error: 'Upload failed: ' + error.message });
+  });
+}
+
+// Multipart fields arrive as strings: accept a JSON array, a repeated field
+// or a single value for list-type options
+function parseListField(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.flatMap(parseListField);
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value).map(String).filter(v => v.length > 0);
+    } catch (error) {
+      throw new Error(`Invalid list value: ${value}`);
+    }
+  }
+  return [String(value)];
+}
+
+// Column selection sent alongside the upload. Any column left out falls back
+// to auto-detection inside the pipeline.
+function parseColumnOptions(body = {}) {
+  const commentColumns = parseListField(body.commentColumns || body.commentColumn);
+  const metadataColumns = parseListField(body.metadataColumns);
+  const segmentColumns = _.uniq(parseListField(body.segmentColumns));
+  const filterValues = parseListField(body.filterValues || body.filterValue).map(v => v.trim());
+  const filter = body.filterColumn ? { column: body.filterColumn, values: filterValues } : null;
   
-  // Normalize line endings
-  const normalizedText = csvText.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-  console.log(`PARSER DEBUG: Normalized text length: ${normalizedText.length}`);
+  if (filter && filterValues.length === 0) {
+    throw new Error('filterValue is required when filterColumn is set');
+  }
   
-  while (i < normalizedText.length) {
-    const char = normalizedText[i];
-    const nextChar = normalizedText[i + 1];
-    
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        // Escaped quote inside quoted field
-        currentField += '"';
-        i += 2; // Skip both quotes
-        continue;
-      } else {
-        // Toggle quote mode
-        inQuotes = !inQuotes;
-        if (rowCount < 3) {
-          console.log(`PARSER DEBUG: Quote ${inQuotes ? 'opened' : 'closed'} at position ${i}, char: "${char}"`);
-        }
-      }
-    } else if (char === ',' && !inQuotes) {
-      // Field separator
-      currentRow.push(currentField.trim());
-      currentField = '';
-    } else if (char === '\n' && !inQuotes) {
-      // End of row
-      currentRow.push(currentField.trim());
-      if (currentRow.length > 0 && currentRow.some(field => field.length > 0)) {
-        rowCount++;
-        if (rowCount <= 3) {
-          console.log(`PARSER DEBUG: Adding row ${rowCount} with ${currentRow.length} fields, first field: "${currentRow[0].substring(0, 30)}..."`);
-        }
-        rows.push(currentRow);
-      }
-      currentRow = [];
-      currentField = '';
-    } else {
-      // Regular character (including newlines inside quotes)
-      currentField += char;
-      if (rowCount < 3 && char === '\n' && inQuotes) {
-        console.log(`PARSER DEBUG: Preserving newline inside quotes at position ${i}`);
+  const dateColumn = body.dateColumn || null;
+  const trendInterval = body.trendInterval || 'auto';
+  if (!TREND_INTERVALS.includes(trendInterval)) {
+    throw new Error(`trendInterval must be one of: ${TREND_INTERVALS.join(', ')}`);
+  }
+  
+  return { commentColumns, metadataColumns, filter, dateColumn, trendInterval, segmentColumns };
+}
+
+// The codebook to classify against, snapshotted into the run's options so
+// later edits to the codebook don't change what a stored analysis used
+async function loadCodebookOption(req, codebookId, codebookMode, themeMode) {
+  const mode = codebookMode || 'classify';
+  if (!CODEBOOK_MODES.includes(mode)) {
+    throw new Error(`codebookMode must be one of: ${CODEBOOK_MODES.join(', ')}`);
+  }
+  if (themeMode === 'offline') {
+    throw new Error('Codebooks classify with the LLM and cannot be used with themeMode=offline');
+  }
+  if (!llm.isConfigured()) {
+    throw new Error(`Codebook classification needs a configured LLM provider: ${llm.configurationError()}`);
+  }
+  const codebook = await codebooks.get(codebookId);
+  if (!auth.inWorkspace(req.auth, codebook)) {
+    throw new Error('Codebook not found');
+  }
+  return { id: codebook.id, name: codebook.name, mode, themes: codebook.themes };
+}
+
+// A stored analysis or codebook of the caller's workspace, or null
+async function findInWorkspace(req, store, id) {
+  const record = await store.get(id);
+  return auth.inWorkspace(req.auth, record) ? record : null;
+}
+
+// A job started from the caller's workspace, or null
+function findJob(req, id) {
+  const job = jobs.getJob(id);
+  return job && auth.inWorkspace(req.auth, job.meta) ? job : null;
+}
+
+// Run `task` as a background job of the caller's workspace, if its quotas
+// let it start (auth.reserveRun() throws with `status` 429 otherwise). The
+// analysis (for runs and appends) is charged when the job starts and each
+// LLM request as it returns, whether the job completes, fails or is
+// cancelled; a request the quotas can't cover stops the job.
+async function startWorkspaceJob(req, meta, task, { analysis = false } = {}) {
+  await auth.reserveRun(req.auth, { analysis });
+  const job = jobs.createJob({ ...meta, ...auth.workspaceScope(req.auth) });
+  job.quota = auth.quotaGuard(req.auth, error => jobs.abortJob(job, error.message));
+  jobs.runJob(job, task);
+  return job;
+}
+
+// Parse an upload without analyzing it: the columns and the first
+// PREVIEW_ROWS rows for choosing the comment column and filters, and the
+// parse report (detected format, encoding and delimiter, total rows, skipped
+// and repaired rows with line numbers)
+app.post('/api/preview', acceptUpload(upload.single('file')), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'A file upload is required (CSV, TSV, XLSX, JSON or NDJSON)' });
+  }
+  try {
+    const { headers, rows, report } = await readUpload(req.file.path, req.file.originalname, { sampleRows: PREVIEW_ROWS });
+    res.json({ success: true, headers, rows, sampled: rows.length < report.rows, report });
+  } catch (error) {
+    res.status(error.status || 400).json({ success: false, error: 'File parsing failed: ' + error.message });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+// Analysis runs as a background job: the upload returns a job id right away
+// and progress is followed through /api/jobs/:id or its event stream
+app.post('/api/analyze', acceptUpload(upload.single('file')), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'A file upload is required (CSV, TSV, XLSX, JSON or NDJSON)' });
+  }
+
+  let options;
+  try {
+    options = parseColumnOptions(req.body);
+    if (req.body.themeMode) {
+      if (!THEME_MODES.includes(req.body.themeMode)) {
+        throw new Error(`themeMode must be one of: ${THEME_MODES.join(', ')}`);
       }
+      options.themeMode = req.body.themeMode;
     }
-    
-    i++;
+    options.sentiment = {
+      method: req.body.sentimentMethod || undefined,
+      positiveWords: parseListField(req.body.sentimentPositiveWords),
+      negativeWords: parseListField(req.body.sentimentNegativeWords)
+    };
+    if (resolveSentimentOptions(options.sentiment).method === 'llm' && !llm.isConfigured()) {
+      throw new Error(`sentimentMethod=llm needs a configured LLM provider: ${llm.configurationError()}`);
+    }
+    // What to do with spam, low-signal and near-duplicate comments
+    options.quality = {
+      spam: req.body.spamAction || undefined,
+      lowSignal: req.body.lowSignalAction || undefined,
+      nearDuplicate: req.body.nearDuplicateAction || undefined,
+      downweight: req.body.qualityDownweight,
+      similarity: req.body.duplicateSimilarity,
+      minWords: req.body.minCommentWords,
+      spamPhrases: parseListField(req.body.spamPhrases),
+      lowSignalPhrases: parseListField(req.body.lowSignalPhrases),
+      lowSignalExceptions: parseListField(req.body.lowSignalExceptions)
+    };
+    resolveQualityOptions(options.quality);
+    // Extra names to redact on top of REDACT_NAMES, e.g. staff names
+    options.redaction = { names: parseListField(req.body.redactNames) };
+    // Comment language (auto-detected by default) and optional translation
+    // into the pivot language for theme discovery and classification
+    options.language = {
+      language: req.body.language || undefined,
+      pivot: req.body.pivotLanguage || undefined,
+      translate: req.body.translate === undefined ? undefined : req.body.translate === 'true'
+    };
+    if (resolveLanguageOptions(options.language).translate && !llm.isConfigured()) {
+      throw new Error(`translate=true needs a configured LLM provider: ${llm.configurationError()}`);
+    }
+    if (req.body.codebookId) {
+      options.codebook = await loadCodebookOption(req, req.body.codebookId, req.body.codebookMode, options.themeMode);
+    }
+    // useCache=false sends every comment to the LLM again
+    options.useCache = req.body.useCache !== 'false';
+  } catch (error) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(400).json({ success: false, error: error.message });
   }
-  
-  // Don't forget the last field/row
-  if (currentField || currentRow.length > 0) {
-    currentRow.push(currentField.trim());
-    if (currentRow.length > 0 && currentRow.some(field => field.length > 0)) {
-      rowCount++;
-      console.log(`PARSER DEBUG: Adding final row ${rowCount} with ${currentRow.length} fields`);
-      rows.push(currentRow);
+
+  let job;
+  try {
+    job = await startWorkspaceJob(req, { fileName: req.file.originalname }, async (activeJob) => {
+      const { source, ...result } = await runAnalysis(req.file.path, activeJob, options, { fileName: req.file.originalname, ...auth.workspaceScope(req.auth) });
+      const record = await saveAnalysisResult({ ...result, source }, { fileName: req.file.originalname, options, ...auth.workspaceScope(req.auth) });
+      return { ...result, analysisId: record.id };
+    }, { analysis: true });
+  } catch (error) {
+    fs.unlink(req.file.path, () => {});
+    if (error.status === 429) {
+      return res.status(429).json({ success: false, error: error.message });
     }
+    console.error('Analysis start error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to start the analysis: ' + error.message });
   }
-  
-  console.log(`PARSER DEBUG: Total rows parsed: ${rows.length}`);
-  return rows;
-}
 
-// Initialize Anthropic client (requires ANTHROPIC_API_KEY environment variable)
-const anthropic = process.env.ANTHROPIC_API_KEY ? new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-}) : null;
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+});
 
-const app = express();
-const port = process.env.PORT || 3000;
+// Pre-run estimate of the LLM requests, tokens, cost and time of an analysis.
+// Takes the comment count and total comment length the browser measured,
+// plus the theme, sentiment and codebook options the run would use.
+app.post('/api/estimate', express.json(), async (req, res) => {
+  const commentCount = Number(req.body.commentCount);
+  const totalChars = Number(req.body.totalChars);
+  if (!Number.isInteger(commentCount) || commentCount < 0 || !Number.isFinite(totalChars) || totalChars < 0) {
+    return res.status(400).json({ success: false, error: 'commentCount and totalChars must be non-negative numbers' });
+  }
 
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
+  try {
+    const themeMode = req.body.themeMode || 'auto';
+    if (!THEME_MODES.includes(themeMode)) {
+      throw new Error(`themeMode must be one of: ${THEME_MODES.join(', ')}`);
+    }
+    const sentimentMethod = resolveSentimentOptions({ method: req.body.sentimentMethod || undefined }).method;
+    const codebook = req.body.codebookId ? await loadCodebookOption(req, req.body.codebookId, req.body.codebookMode, themeMode) : null;
+    // Parsed like /api/analyze's form field; the browser sends a boolean
+    const translate = resolveLanguageOptions({
+      translate: req.body.translate === undefined ? undefined : String(req.body.translate) === 'true'
+    }).translate;
+    res.json({ success: true, estimate: estimateAnalysis({ commentCount, totalChars, themeMode, sentimentMethod, codebook, translate }) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-const upload = multer({ dest: 'uploads/' });
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findJob(req, req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job: jobs.serializeJob(job) });
+});
 
-app.post('/api/analyze', upload.single('file'), async (req, res) => {
-  const startTime = Date.now();
-  const filePath = req.file.path;
-  const results = [];
-  
-  // Read the entire file and parse CSV manually to handle multi-line fields properly
-  const csvContent = fs.readFileSync(filePath, 'utf8');
-  console.log(`BACKEND: Read CSV file with ${csvContent.length} characters`);
-  
+// Server-Sent Events stream of job progress. Sends the current state first,
+// then every update until the job finishes.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findJob(req, req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (currentJob) => {
+    const event = jobs.isFinished(currentJob) ? currentJob.status : 'progress';
+    const payload = jobs.serializeJob(currentJob, { includeResult: currentJob.status === 'completed' });
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    if (jobs.isFinished(currentJob)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Comment lines keep proxies from closing an idle stream during long waits
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.emitter.removeListener('update', send);
+  };
+
+  job.emitter.on('update', send);
+  req.on('close', cleanup);
+  send(job);
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = findJob(req, req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (!jobs.cancelJob(job)) {
+    return res.status(409).json({ success: false, error: `Job already ${job.status}` });
+  }
+  res.json({ success: true, job: jobs.serializeJob(job, { includeResult: false }) });
+});
+
+// Stored analyses - reopen previous results without re-running the pipeline
+app.get('/api/analyses', async (req, res) => {
+  try {
+    const list = await analyses.list();
+    res.json({ success: true, analyses: list.filter(record => auth.inWorkspace(req.auth, record)) });
+  } catch (error) {
+    console.error('List analyses error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list analyses: ' + error.message });
+  }
+});
+
+app.get('/api/analyses/:id', async (req, res) => {
+  try {
+    const record = await findInWorkspace(req, analyses, req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    res.json({ success: true, analysis: withoutSource(record) });
+  } catch (error) {
+    console.error('Get analysis error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load analysis: ' + error.message });
+  }
+});
+
+// Append rows to a stored analysis: a background job re-analyzes the stored
+// rows plus the new ones with the same options and themes, classifying only
+// the new comments with the LLM, and replaces the stored result
+app.post('/api/analyses/:id/append', acceptUpload(upload.single('file')), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'A file upload is required (CSV, TSV, XLSX, JSON or NDJSON)' });
+  }
+
+  let record;
+  try {
+    record = await findInWorkspace(req, analyses, req.params.id);
+  } catch (error) {
+    fs.unlink(req.file.path, () => {});
+    console.error('Append analysis error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load analysis: ' + error.message });
+  }
+  if (!record) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(404).json({ success: false, error: 'Analysis not found' });
+  }
+  const usedLLM = record.result.themeDiscovery && record.result.themeDiscovery.method === 'llm';
+  const error = !record.source ? 'This analysis was stored without its source rows and cannot be appended to' :
+    usedLLM && !llm.isConfigured() ? `Appending to an LLM analysis needs a configured LLM provider: ${llm.configurationError()}` : null;
+  if (error) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(400).json({ success: false, error });
+  }
+  let job;
+  try {
+    job = await startWorkspaceJob(req, { fileName: req.file.originalname, analysisId: record.id }, async (activeJob) => {
+      const { source, ...result } = await runAppend(req.file.path, activeJob, record, { fileName: req.file.originalname });
+      if (!await appendAnalysisResult(record.id, { ...result, source }, { fileName: req.file.originalname })) {
+        throw new Error('The analysis was deleted while rows were being appended');
+      }
+      return { ...result, analysisId: record.id };
+    }, { analysis: true });
+  } catch (error) {
+    fs.unlink(req.file.path, () => {});
+    if (error.status === 429) {
+      return res.status(429).json({ success: false, error: error.message });
+    }
+    console.error('Append start error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to start the append: ' + error.message });
+  }
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+});
+
+// Review a stored analysis by hand: { action: 'reassign', commentIds, toTheme }
+// | { action: 'rename', theme, newName } | { action: 'merge', themes, into }
+// | { action: 'split', theme, subthemes: [{ name, description, commentIds }] }.
+// Topics, trends and segments are recomputed and the change is logged under
+// the name of the signed-in user or API token (a `reviewer` in the body only
+// counts with AUTH=off, where there is no caller to name).
+app.post('/api/analyses/:id/review', async (req, res) => {
+  try {
+    if (!await findInWorkspace(req, analyses, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    const caller = req.auth.user || req.auth.token;
+    let record;
+    try {
+      record = await reviewAnalysis(req.params.id, { ...(req.body || {}), ...(caller ? { reviewer: caller.name } : {}) });
+    } catch (error) {
+      if (error.status !== 400) throw error;
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    res.json({ success: true, analysis: withoutSource(record) });
+  } catch (error) {
+    console.error('Review analysis error:', error);
+    res.status(500).json({ success: false, error: 'Failed to review analysis: ' + error.message });
+  }
+});
+
+app.get('/api/analyses/:id/review', async (req, res) => {
   try {
-    // Debug: Show first few lines of raw CSV to understand the format
-    const firstLines = csvContent.split('\n').slice(0, 10);
-    console.log(`BACKEND DEBUG: First 10 lines of raw CSV:`);
-    firstLines.forEach((line, i) => {
-      console.log(`Line ${i}: "${line}"`);
+    const record = await findInWorkspace(req, analyses, req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    res.json({ success: true, review: record.result.review || null, log: record.reviewLog || [] });
+  } catch (error) {
+    console.error('Get review log error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load review log: ' + error.message });
+  }
+});
+
+// Originals of the redaction placeholders in an analysis' comments, for its
+// owner; shared links never get them
+app.get('/api/analyses/:id/redactions', async (req, res) => {
+  try {
+    const record = await findInWorkspace(req, analyses, req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    res.json({ success: true, placeholders: (record.source && record.source.redactions) || {} });
+  } catch (error) {
+    console.error('Get redactions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load redactions: ' + error.message });
+  }
+});
+
+// Ask the LLM how to split a theme; a background job resolves to sub-themes
+// with their comment ids, to be applied (possibly edited) as a "split" review
+app.post('/api/analyses/:id/review/split-proposal', async (req, res) => {
+  try {
+    const record = await findInWorkspace(req, analyses, req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    const theme = req.body && req.body.theme;
+    try {
+      splitCandidate(record, theme);
+    } catch (error) {
+      if (error.status !== 400) throw error;
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (!llm.isConfigured()) {
+      return res.status(400).json({ success: false, error: llm.configurationError() });
+    }
+    let job;
+    try {
+      job = await startWorkspaceJob(req, { analysisId: record.id, theme }, activeJob => proposeSplit(record, theme, activeJob));
+    } catch (error) {
+      if (error.status !== 429) throw error;
+      return res.status(429).json({ success: false, error: error.message });
+    }
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
     });
-    
-    const parsedRows = parseCSVContent(csvContent);
-    console.log(`BACKEND: Parsed ${parsedRows.length} rows from CSV`);
-    
-    // Debug: Show first few parsed rows
-    console.log(`BACKEND DEBUG: First 3 parsed rows:`);
-    parsedRows.slice(0, 3).forEach((row, i) => {
-      console.log(`Row ${i}: [${row.map(field => '"' + field.substring(0, 50) + (field.length > 50 ? '...' : '') + '"').join(', ')}]`);
+  } catch (error) {
+    console.error('Split proposal error:', error);
+    res.status(500).json({ success: false, error: 'Failed to propose a split: ' + error.message });
+  }
+});
+
+app.delete('/api/analyses/:id', async (req, res) => {
+  try {
+    if (!await findInWorkspace(req, analyses, req.params.id) || !await analyses.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    await clearHistory(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete analysis error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete analysis: ' + error.message });
+  }
+});
+
+// Per-comment classification export: every analyzed row with its original
+// columns plus the assigned theme, confidence and comment-level sentiment
+app.get('/api/analyses/:id/export', async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `Unsupported export format. Use one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const record = await findInWorkspace(req, analyses, req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    await exportAnalysis(record, format, res);
+  } catch (error) {
+    console.error('Export error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ success: false, error: 'Export failed: ' + error.message });
+  }
+});
+
+// PDF report rendered locally from the stored results
+app.get('/api/analyses/:id/report.pdf', async (req, res) => {
+  try {
+    const record = await findInWorkspace(req, analyses, req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    const baseName = path.basename(record.fileName || 'analysis', path.extname(record.fileName || ''))
+      .replace(/[^A-Za-z0-9_-]+/g, '_') || 'analysis';
+    res.attachment(`${baseName}_report.pdf`);
+    res.type('application/pdf');
+    await renderReport(record, res);
+  } catch (error) {
+    console.error('PDF report error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ success: false, error: 'PDF report failed: ' + error.message });
+  }
+});
+
+// Share links - a token that gives read-only access to one stored analysis
+app.post('/api/analyses/:id/shares', async (req, res) => {
+  try {
+    const record = await findInWorkspace(req, analyses, req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+
+    let share;
+    try {
+      share = await shares.createShare(record.id, {
+        expiresInDays: req.body.expiresInDays,
+        includeMetadata: req.body.includeMetadata,
+        ...auth.workspaceScope(req.auth)
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      share: { ...share, status: 'active', url: `/shared/${share.id}` }
     });
-    
-    if (parsedRows.length < 1) {
-      throw new Error('CSV file appears to be empty or invalid');
+  } catch (error) {
+    console.error('Create share error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create share link: ' + error.message });
+  }
+});
+
+app.get('/api/analyses/:id/shares', async (req, res) => {
+  try {
+    if (!await findInWorkspace(req, analyses, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
     }
-    
-    const headers = parsedRows[0];
-    console.log(`BACKEND: CSV headers (${headers.length}):`, headers);
-    
-    for (let i = 1; i < parsedRows.length; i++) {
-      const values = parsedRows[i];
-      if (values.length === headers.length) {
-        const row = {};
-        headers.forEach((header, index) => {
-          row[header] = values[index] || '';
-        });
-        
-        // Only push rows that have at least one non-empty value
-        const hasContent = Object.values(row).some(value => 
-          value && typeof value === 'string' && value.trim().length > 0
-        );
-        if (hasContent) {
-          results.push(row);
-        }
-      }
+    const list = await shares.listShares(req.params.id);
+    res.json({ success: true, shares: list.map(share => ({ ...share, url: `/shared/${share.id}` })) });
+  } catch (error) {
+    console.error('List shares error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list share links: ' + error.message });
+  }
+});
+
+app.delete('/api/shares/:token', async (req, res) => {
+  try {
+    const found = await shares.findShare(req.params.token);
+    const share = found && auth.inWorkspace(req.auth, found.share) ? await shares.revokeShare(req.params.token) : null;
+    if (!share) {
+      return res.status(404).json({ success: false, error: 'Share link not found' });
     }
-    
-    console.log(`BACKEND: Final processed rows: ${results.length}`);
-    
-    (async () => {
-      try {
-        console.log(`Processing ${results.length} non-empty rows from CSV`);
-        
-        // Remove potential duplicate rows from CSV parsing
-        const uniqueResults = results.filter((row, index, self) => {
-          const rowString = JSON.stringify(row);
-          return index === self.findIndex(r => JSON.stringify(r) === rowString);
-        });
-        
-        if (uniqueResults.length !== results.length) {
-          console.log(`DUPLICATE DETECTION: Removed ${results.length - uniqueResults.length} duplicate rows. Using ${uniqueResults.length} unique rows.`);
-        }
-        
-        // Auto-detect comment columns (look for text-heavy columns)
-        const sampleRow = uniqueResults[0];
-        if (!sampleRow) {
-          throw new Error('CSV file appears to be empty or invalid');
-        }
-        
-        console.log('CSV columns found:', Object.keys(sampleRow));
-        
-        const commentColumns = Object.keys(sampleRow).filter(key => {
-          const avgLength = uniqueResults.slice(0, 10).reduce((sum, row) => 
-            sum + (row[key] || '').length, 0) / 10;
-          return avgLength > 10; // Lowered from 20 to 10 chars - more lenient
-        });
-        
-        // Fallback: if no comment columns detected, use all text columns
-        if (commentColumns.length === 0) {
-          console.log('No comment columns detected, using all columns with text data');
-          const allColumns = Object.keys(sampleRow).filter(key => {
-            const hasText = uniqueResults.slice(0, 5).some(row => 
-              (row[key] || '').trim().length > 0 && isNaN(row[key])
-            );
-            return hasText;
-          });
-          commentColumns.push(...allColumns);
-        }
-        
-        console.log(`Detected comment columns (${commentColumns.length}):`, commentColumns);
-        
-        // Extract comments with detailed logging
-        console.log('EXTRACTING COMMENTS - Processing each row...');
-        const allComments = uniqueResults.map((row, index) => {
-          const commentText = commentColumns.map(col => row[col] || '').join(' ');
-          const trimmedText = commentText.toLowerCase().trim();
-          
-          if (index < 5) { // Log first 5 rows for debugging
-            console.log(`Row ${index + 1}: "${trimmedText}" (length: ${trimmedText.length})`);
-          }
-          
-          return trimmedText;
-        });
-        
-        const comments = allComments.filter(comment => comment.length > 3);
-        const filteredOutCount = allComments.length - comments.length;
-        
-        console.log(`FINAL COUNT CHECK: CSV has ${uniqueResults.length} rows, extracted ${allComments.length} comments total, ${comments.length} valid comments (filtered out ${filteredOutCount} too short)`);
-        
-        // Token estimation and warnings
-        const avgTokensPerComment = 20; // Conservative estimate
-        const estimatedTokens = comments.length * avgTokensPerComment;
-        const maxTokensPerRequest = 8000; // Claude Haiku limit
-        
-        console.log(`Estimated tokens needed: ${estimatedTokens}`);
-        
-        // Token limit check removed - allow processing up to 2000+ comments as requested
-        
-        if (estimatedTokens > 25000) {
-          console.warn(`Large dataset warning: ${comments.length} comments may take 2-3 minutes and consume significant API credits.`);
-        }
-        
-        // Enhanced text processing
-        const processedComments = comments.map((comment, index) => {
-          // Use simple regex tokenization instead of Natural.js
-          const tokens = comment.match(/\b[a-zA-Z]{3,}\b/g) || [];
-          const filtered = stopword.removeStopwords(tokens)
-            .filter(word => word.length > 2 && /^[a-zA-Z]+$/.test(word));
-          return {
-            originalIndex: index,
-            originalText: comment,
-            processedText: filtered.join(' '),
-            wordCount: comment.split(/\s+/).length,
-            tokens: filtered
-          };
-        }).filter(item => item.tokens.length > 0); // Lowered from 2 to 0 - more lenient
-        
-        console.log(`Processed ${processedComments.length} comments with sufficient tokens`);
-        
-        if (processedComments.length < 1) {
-          throw new Error(`Not enough valid comments to analyze. Found ${processedComments.length} processable comments, need at least 1.`);
-        }
-        
-        // LLM-First Theme Classification Approach
-        console.log('Starting LLM-first theme classification...');
-        let finalTopics = [];
-        let coherenceScore = 0.8; // Default for LLM-based classification
-        
-        try {
-          // Step 1: Have Claude identify themes from ALL comments
-          console.log('Step 1: Having Claude identify themes from all comments...');
-          
-          // Check if Anthropic API is configured - REQUIRED
-          if (!anthropic) {
-            throw new Error('ANTHROPIC_API_KEY environment variable is required. Please set your Claude API key to use this tool.');
-          }
-          
-          // Sample comments for theme identification (limit based on token estimate)
-          const maxSampleSize = estimatedTokens > 25000 ? 30 : 50;
-          const sampleComments = comments.slice(0, Math.min(maxSampleSize, comments.length));
-          const commentsSample = sampleComments.map((comment, index) => 
-            `${index + 1}. ${comment}`).join('\n');
-
-          const themeIdentificationPrompt = `Analyze these comments and identify 3-8 distinct themes/categories that emerge from the content.
-
-Comments:
-${commentsSample}
-
-Based on these comments, identify the main themes that appear. For each theme, provide:
-1. Theme name (2-4 words, business-focused)
-2. Brief description
-3. Key indicators/words that signal this theme
-
-Respond in JSON format with an array of themes:
-{
-  "themes": [
-    {
-      "name": "Theme Name",
-      "description": "What this theme represents",
-      "keywords": ["keyword1", "keyword2", "keyword3"]
-    }
-  ]
-}`;
-
-          const themeResponse = await anthropic.messages.create({
-            model: "claude-3-haiku-20240307",
-            max_tokens: 1000,
-            temperature: 0.3,
-            messages: [{ role: "user", content: themeIdentificationPrompt }]
-          });
-
-          const themeData = JSON.parse(themeResponse.content[0].text);
-          const identifiedThemes = themeData.themes;
-          
-          console.log(`Identified ${identifiedThemes.themes?.length || identifiedThemes.length} themes:`, identifiedThemes.map(t => t.name));
-
-          // Step 2: Classify each comment into identified themes
-          console.log('Step 2: Classifying each comment into themes...');
-          
-          const commentClassifications = [];
-          // SMART batch sizing - larger batches with longer delays between calls
-          const targetBatchSize = 175; // 150-200 comments per batch for efficiency
-          const batchSize = Math.min(targetBatchSize, Math.max(100, Math.ceil(comments.length / 10))); // 100-200 comments per batch, max 10 batches
-          const actualBatches = Math.ceil(comments.length / batchSize);
-          
-          console.log(`SMART BATCHING: ${comments.length} comments in ${actualBatches} batches of ~${batchSize} each`);
-          console.log(`Efficient batch size to minimize API calls while respecting rate limits`);
-          
-          for (let i = 0; i < comments.length; i += batchSize) {
-            const batch = comments.slice(i, i + batchSize);
-            const batchComments = batch.map((comment, index) => 
-              `${i + index + 1}. ${comment}`).join('\n');
-
-            // Longer delays between larger batches
-            if (i > 0) {
-              const delaySeconds = 75; // Fixed 75 second delay between batches (1:15)
-              console.log(`Waiting ${delaySeconds} seconds before batch ${Math.floor(i/batchSize) + 1}/${actualBatches} to respect rate limits...`);
-              await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
-            }
-
-            const classificationPrompt = `Classify each of these comments into one of the identified themes. Each comment should be assigned to exactly one theme.
-
-Available themes:
-${identifiedThemes.map((theme, idx) => 
-  `${idx + 1}. ${theme.name}: ${theme.description}`).join('\n')}
-
-Comments to classify:
-${batchComments}
-
-Respond in JSON format with an array of classifications:
-{
-  "classifications": [
-    {
-      "commentIndex": 1,
-      "themeName": "Exact theme name from above",
-      "confidence": 0.9
-    }
-  ]
-}`;
-
-            try {
-              const classificationResponse = await anthropic.messages.create({
-                model: "claude-3-haiku-20240307",
-                max_tokens: 3000, // Increased to prevent truncation
-                temperature: 0.1,
-                messages: [{ role: "user", content: classificationPrompt }]
-              });
-
-              let classificationData;
-              try {
-                let responseText = classificationResponse.content[0].text;
-                
-                // Try to fix common JSON truncation issues
-                if (!responseText.endsWith('}')) {
-                  console.warn('Response appears truncated, attempting to fix...');
-                  // Find the last complete classification entry
-                  const lastCompleteEntry = responseText.lastIndexOf('},');
-                  if (lastCompleteEntry > 0) {
-                    responseText = responseText.substring(0, lastCompleteEntry + 1) + '\n  ]\n}';
-                  } else {
-                    throw new Error('Response too truncated to repair');
-                  }
-                }
-                
-                classificationData = JSON.parse(responseText);
-              } catch (jsonError) {
-                console.warn(`JSON parsing failed for batch starting at ${i}:`, jsonError.message);
-                console.warn('Raw response length:', classificationResponse.content[0].text.length);
-                console.warn('Raw response preview:', classificationResponse.content[0].text.substring(0, 200) + '...');
-                
-                // Create fallback classifications for this batch
-                classificationData = {
-                  classifications: batch.map((comment, batchIndex) => ({
-                    commentIndex: i + batchIndex + 1,
-                    themeName: identifiedThemes[0]?.name || 'Uncategorized',
-                    confidence: 0.5
-                  }))
-                };
-              }
-              
-              commentClassifications.push(...classificationData.classifications);
-              
-              console.log(`Classified batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(comments.length/batchSize)}`);
-            } catch (batchError) {
-              console.warn(`Classification failed for batch starting at ${i}:`, batchError.message);
-              
-              // Handle rate limit errors with longer backoff for large batches
-              if (batchError.message.includes('429') || batchError.message.includes('rate_limit_error')) {
-                const backoffTime = 120; // Fixed 2 minute backoff for rate limits
-                console.warn(`Rate limit hit, waiting ${backoffTime} seconds before retry...`);
-                await new Promise(resolve => setTimeout(resolve, backoffTime * 1000));
-                // Retry this batch once
-                try {
-                  const retryResponse = await anthropic.messages.create({
-                    model: "claude-3-haiku-20240307",
-                    max_tokens: 1500,
-                    temperature: 0.1,
-                    messages: [{ role: "user", content: classificationPrompt }]
-                  });
-                  const retryData = JSON.parse(retryResponse.content[0].text);
-                  commentClassifications.push(...retryData.classifications);
-                  console.log(`Retry successful for batch ${Math.floor(i/batchSize) + 1}`);
-                } catch (retryError) {
-                  console.warn('Retry also failed, using fallback classifications');
-                  batch.forEach((comment, batchIndex) => {
-                    commentClassifications.push({
-                      commentIndex: i + batchIndex + 1,
-                      themeName: identifiedThemes[0]?.name || 'Uncategorized',
-                      confidence: 0.5
-                    });
-                  });
-                }
-              } else {
-                // Add fallback classifications for this batch
-                batch.forEach((comment, batchIndex) => {
-                  commentClassifications.push({
-                    commentIndex: i + batchIndex + 1,
-                    themeName: identifiedThemes[0]?.name || 'Uncategorized',
-                    confidence: 0.5
-                  });
-                });
-              }
-            }
-          }
-
-          console.log(`Classified ${commentClassifications.length} comments into themes`);
-          console.log(`VALIDATION CHECK: Original comments array has ${comments.length} items, classifications array has ${commentClassifications.length} items`);
-
-          // Step 3: Group comments by theme and calculate accurate percentages
-          console.log('Step 3: Grouping comments and calculating percentages...');
-          
-          const themeGroups = {};
-          identifiedThemes.forEach(theme => {
-            themeGroups[theme.name] = {
-              name: theme.name,
-              description: theme.description,
-              keywords: theme.keywords,
-              comments: [],
-              commentIndices: []
-            };
-          });
-
-          // Add uncategorized theme
-          themeGroups['Uncategorized'] = {
-            name: 'Uncategorized',
-            description: 'Comments that could not be clearly categorized',
-            keywords: [],
-            comments: [],
-            commentIndices: []
-          };
-
-          // Group comments by their assigned themes
-          commentClassifications.forEach(classification => {
-            const commentIndex = classification.commentIndex - 1; // Convert to 0-based
-            const comment = comments[commentIndex];
-            const themeName = classification.themeName || 'Uncategorized';
-            
-            if (themeGroups[themeName]) {
-              themeGroups[themeName].comments.push({
-                text: comment,
-                originalIndex: commentIndex,
-                confidence: classification.confidence || 0.5
-              });
-              themeGroups[themeName].commentIndices.push(commentIndex);
-            }
-          });
-
-          // Build final topic analysis with accurate counts and percentages
-          const themeGroupsArray = Object.values(themeGroups).filter(group => group.comments.length > 0);
-          
-          console.log('Theme groups before final processing:');
-          themeGroupsArray.forEach(group => {
-            console.log(`- ${group.name}: ${group.comments.length} comments`);
-          });
-          
-          finalTopics = await Promise.all(themeGroupsArray.map(async (group, index) => {
-              // SIMPLIFIED sentiment analysis - use local sentiment library instead of Claude
-              console.log(`Analyzing sentiment for theme: ${group.name} using local analysis (avoiding API calls)`);
-              let themeSentiments = [];
-              
-              try {
-                // Use local sentiment analysis to avoid API rate limits entirely
-                group.comments.forEach(comment => {
-                  try {
-                    const score = sentiment(comment.text || '');
-                    let classification = 'neutral';
-                    
-                    // Business context rules
-                    const text = (comment.text || '').toLowerCase();
-                    if (text.includes('expensive') || text.includes('costly') || text.includes('overpriced') || 
-                        text.includes('disappointed') || text.includes('terrible') || text.includes('awful') ||
-                        text.includes('bad') || text.includes('worst') || text.includes('hate')) {
-                      classification = 'negative';
-                    } else if (text.includes('great') || text.includes('excellent') || text.includes('amazing') ||
-                               text.includes('love') || text.includes('perfect') || text.includes('wonderful') ||
-                               text.includes('best') || text.includes('fantastic')) {
-                      classification = 'positive';
-                    } else if (score && score.comparative > 0.1) {
-                      classification = 'positive';
-                    } else if (score && score.comparative < -0.1) {
-                      classification = 'negative';
-                    }
-                    
-                    themeSentiments.push({
-                      classification: classification,
-                      reasoning: `Local analysis: score ${score ? score.comparative : 'N/A'}`,
-                      confidence: 0.8
-                    });
-                  } catch (sentimentError) {
-                    console.warn(`Sentiment analysis failed for comment in ${group.name}:`, sentimentError.message);
-                    themeSentiments.push({
-                      classification: 'neutral',
-                      reasoning: 'Error in sentiment analysis',
-                      confidence: 0.5
-                    });
-                  }
-                });
-              } catch (error) {
-                console.warn(`Theme sentiment analysis failed for ${group.name}:`, error.message);
-                group.comments.forEach(() => {
-                  themeSentiments.push({
-                    classification: 'neutral',
-                    reasoning: 'error fallback',
-                    confidence: 0.5
-                  });
-                });
-              }
-
-              // Calculate sentiment distribution
-              const sentimentCounts = {
-                positive: themeSentiments.filter(s => s.classification === 'positive').length,
-                negative: themeSentiments.filter(s => s.classification === 'negative').length,
-                neutral: themeSentiments.filter(s => s.classification === 'neutral').length
-              };
-              
-              // Overall theme sentiment based on majority
-              const sentimentClassification = sentimentCounts.positive > sentimentCounts.negative && sentimentCounts.positive > sentimentCounts.neutral ? 'positive' :
-                sentimentCounts.negative > sentimentCounts.positive && sentimentCounts.negative > sentimentCounts.neutral ? 'negative' : 'neutral';
-              
-              // Calculate average sentiment score for compatibility
-              const avgSentiment = sentimentCounts.positive > 0 ? 0.3 : sentimentCounts.negative > 0 ? -0.3 : 0;
-
-              const volume = group.comments.length;
-              const percentage = Math.round((volume / comments.length) * 100);
-
-              return {
-                topicId: index + 1,
-                title: group.name,
-                llmDescription: group.description,
-                words: group.keywords.map(keyword => ({ term: keyword, weight: 1, probability: 1 })),
-                volume: volume,
-                percentage: percentage,
-                sentiment: {
-                  classification: sentimentClassification,
-                  score: Math.round(avgSentiment * 100) / 100,
-                  distribution: {
-                    positive: sentimentCounts.positive,
-                    negative: sentimentCounts.negative,
-                    neutral: sentimentCounts.neutral,
-                    positivePercentage: Math.round((sentimentCounts.positive / volume) * 100),
-                    negativePercentage: Math.round((sentimentCounts.negative / volume) * 100),
-                    neutralPercentage: Math.round((sentimentCounts.neutral / volume) * 100)
-                  }
-                },
-                confidence: Math.round(group.comments.reduce((sum, c) => sum + c.confidence, 0) / group.comments.length * 100),
-                avgWordCount: Math.round(group.comments.reduce((sum, c) => 
-                  sum + c.text.split(/\s+/).length, 0) / group.comments.length),
-                businessImpact: sentimentClassification === 'negative' && percentage > 10 ? 'high' : 
-                  percentage > 15 ? 'medium' : 'low',
-                comments: group.comments, // ALL comments, not samples
-                enhancedByAI: true
-              };
-            }));
-
-          console.log('LLM-first theme classification completed');
-          
-        } catch (error) {
-          console.error('LLM theme classification failed:', error.message);
-          throw new Error(`Theme classification failed: ${error.message}`);
-        }
-        
-        // Keep ALL comments in the response for full display
-        const cleanTopics = finalTopics.map(topic => {
-          return {
-            ...topic,
-            sampleQuotes: topic.comments.map(c => c.text) // All comments as "sample quotes"
-          };
-        });
-        
-        // Sort by business impact and volume
-        cleanTopics.sort((a, b) => {
-          const impactOrder = { high: 3, medium: 2, low: 1 };
-          const impactDiff = impactOrder[b.businessImpact] - impactOrder[a.businessImpact];
-          return impactDiff !== 0 ? impactDiff : b.volume - a.volume;
-        });
-        
-        // Overall sentiment analysis
-        const sentimentAnalysis = comments.map(comment => {
-          try {
-            const score = sentiment(comment);
-            return {
-              text: comment.substring(0, 100) + '...',
-              score: score?.score || 0,
-              comparative: Math.round((score?.comparative || 0) * 100) / 100,
-              classification: (score?.comparative || 0) > 0.1 ? 'positive' : 
-                (score?.comparative || 0) < -0.1 ? 'negative' : 'neutral'
-            };
-          } catch (error) {
-            console.warn('Sentiment analysis failed for comment:', comment?.substring(0, 50));
-            return {
-              text: comment.substring(0, 100) + '...',
-              score: 0,
-              comparative: 0,
-              classification: 'neutral'
-            };
-          }
-        });
-        
-        const avgWordCount = Math.round(processedComments.reduce((sum, item) => 
-          sum + item.wordCount, 0) / processedComments.length);
-        
-        fs.unlinkSync(filePath);
-        
-        // Final validation - count total comments across all themes
-        const totalCommentsInThemes = cleanTopics.reduce((sum, topic) => sum + topic.volume, 0);
-        
-        console.log(`Analysis complete! Returning ${cleanTopics.length} topics`);
-        console.log(`VALIDATION: Original CSV rows: ${results.length}, Unique rows: ${uniqueResults.length}, Final comments: ${comments.length}`);
-        console.log(`THEME VALIDATION: Total comments across all themes: ${totalCommentsInThemes}`);
-        console.log(`FINAL RESPONSE will show totalComments: ${comments.length}`);
-        
-        res.json({
-          success: true,
-          data: {
-            totalComments: comments.length,
-            originalRowCount: results.length,
-            coherenceScore: Math.round(coherenceScore * 100) / 100,
-            avgWordCount,
-            processingTime: Math.round((Date.now() - startTime) / 1000 * 10) / 10,
-            topics: cleanTopics,
-            metadata: {
-              aiEnhanced: cleanTopics.some(t => t.enhancedByAI),
-              totalTopics: cleanTopics.length,
-              highPriorityCount: cleanTopics.filter(t => t.businessImpact === 'high').length
-            },
-            sentiment: {
-              overall: {
-                positive: sentimentAnalysis.filter(s => s.classification === 'positive').length,
-                negative: sentimentAnalysis.filter(s => s.classification === 'negative').length,
-                neutral: sentimentAnalysis.filter(s => s.classification === 'neutral').length
-              },
-              details: sentimentAnalysis.slice(0, 20)
-            }
-          }
-        });
-        
-      } catch (error) {
-        console.error('Analysis error:', error);
-        fs.unlinkSync(filePath);
-        res.status(500).json({ 
-          success: false, 
-          error: 'Analysis failed: ' + error.message 
-        });
+    res.json({ success: true, share: { ...share, status: 'revoked' } });
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke share link: ' + error.message });
+  }
+});
+
+// Public, read-only view of a shared analysis
+app.get('/api/shared/:token', async (req, res) => {
+  try {
+    const found = await shares.findShare(req.params.token);
+    if (!found) {
+      return res.status(404).json({ success: false, error: 'Share link not found' });
+    }
+    if (found.status !== 'active') {
+      return res.status(410).json({ success: false, error: `This share link has ${found.status === 'revoked' ? 'been revoked' : 'expired'}` });
+    }
+
+    const record = await analyses.get(found.share.analysisId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'The shared analysis no longer exists' });
+    }
+
+    res.json({
+      success: true,
+      shared: {
+        fileName: record.fileName,
+        createdAt: record.createdAt,
+        expiresAt: found.share.expiresAt,
+        result: shares.sharedResult(record.result, found.share)
       }
-    })();
-    
+    });
   } catch (error) {
-    console.error('CSV parsing error:', error);
-    fs.unlinkSync(filePath);
-    res.status(500).json({ 
-      success: false, 
-      error: 'CSV parsing failed: ' + error.message 
+    console.error('Shared analysis error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load shared analysis: ' + error.message });
+  }
+});
+
+app.get('/shared/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// One side of a comparison: a stored analysis id, an uploaded result JSON
+// file or a result object in the JSON body. Resolves to { result, label }.
+async function resolveComparisonSide(req, side, body, files) {
+  const file = files && files[`${side}File`] && files[`${side}File`][0];
+  if (file) {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(file.path, 'utf8'));
+      return { result: extractResult(data), label: file.originalname };
+    } catch (error) {
+      throw new Error(`${side}File: ${error instanceof SyntaxError ? 'not valid JSON' : error.message}`);
+    }
+  }
+  if (body[`${side}Id`]) {
+    const record = await findInWorkspace(req, analyses, body[`${side}Id`]);
+    if (!record) {
+      throw new Error(`${side} analysis not found`);
+    }
+    return { result: record.result, label: `${record.fileName} (${new Date(record.createdAt).toLocaleDateString()})` };
+  }
+  if (body[side]) {
+    const data = typeof body[side] === 'string' ? JSON.parse(body[side]) : body[side];
+    return { result: extractResult(data), label: side === 'baseline' ? 'Baseline' : 'Current' };
+  }
+  throw new Error(`Provide ${side}Id, ${side} or ${side}File`);
+}
+
+// Compare two analyses: theme matching, deltas and significance
+app.post('/api/compare', acceptUpload(upload.fields([{ name: 'baselineFile', maxCount: 1 }, { name: 'currentFile', maxCount: 1 }])), async (req, res) => {
+  try {
+    let baseline;
+    let current;
+    try {
+      baseline = await resolveComparisonSide(req, 'baseline', req.body || {}, req.files);
+      current = await resolveComparisonSide(req, 'current', req.body || {}, req.files);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.json({
+      success: true,
+      comparison: compareAnalyses(baseline.result, current.result, { baselineLabel: baseline.label, currentLabel: current.label })
     });
+  } catch (error) {
+    console.error('Compare error:', error);
+    res.status(500).json({ success: false, error: 'Comparison failed: ' + error.message });
+  } finally {
+    Object.values(req.files || {}).flat().forEach(file => fs.unlink(file.path, () => {}));
+  }
+});
+
+// Codebooks - named theme sets that later analyses can classify against.
+// A codebook can be created from explicit themes or from a stored analysis.
+app.get('/api/codebooks', async (req, res) => {
+  try {
+    const list = await codebooks.list();
+    res.json({ success: true, codebooks: list.filter(codebook => auth.inWorkspace(req.auth, codebook)) });
+  } catch (error) {
+    console.error('List codebooks error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list codebooks: ' + error.message });
+  }
+});
+
+app.post('/api/codebooks', async (req, res) => {
+  try {
+    const body = { ...req.body };
+    if (body.analysisId && !body.themes) {
+      const record = await findInWorkspace(req, analyses, body.analysisId);
+      if (!record) {
+        return res.status(404).json({ success: false, error: 'Analysis not found' });
+      }
+      body.themes = themesFromAnalysis(record);
+    }
+
+    let codebook;
+    try {
+      codebook = await createCodebook(body, auth.workspaceScope(req.auth));
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(201).json({ success: true, codebook });
+  } catch (error) {
+    console.error('Create codebook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create codebook: ' + error.message });
+  }
+});
+
+app.get('/api/codebooks/:id', async (req, res) => {
+  try {
+    const codebook = await findInWorkspace(req, codebooks, req.params.id);
+    if (!codebook) {
+      return res.status(404).json({ success: false, error: 'Codebook not found' });
+    }
+    res.json({ success: true, codebook });
+  } catch (error) {
+    console.error('Get codebook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load codebook: ' + error.message });
   }
 });
 
-// Real chatbot API endpoint with Claude integration
+app.put('/api/codebooks/:id', async (req, res) => {
+  try {
+    let codebook;
+    try {
+      codebook = await findInWorkspace(req, codebooks, req.params.id) && await updateCodebook(req.params.id, req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (!codebook) {
+      return res.status(404).json({ success: false, error: 'Codebook not found' });
+    }
+    res.json({ success: true, codebook });
+  } catch (error) {
+    console.error('Update codebook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update codebook: ' + error.message });
+  }
+});
+
+app.delete('/api/codebooks/:id', async (req, res) => {
+  try {
+    if (!await findInWorkspace(req, codebooks, req.params.id) || !await codebooks.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Codebook not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete codebook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete codebook: ' + error.message });
+  }
+});
+
+// Chat about an analysis. With `analysisId` the stored analysis is searched
+// for comments relevant to the question and the conversation is kept with
+// it; `analysisResults` (an unsaved result, optionally with `history`) is
+// still accepted for clients without a stored analysis.
 app.post('/api/chat', express.json(), async (req, res) => {
   try {
-    const { message, analysisResults } = req.body;
+    const { message, analysisId, analysisResults } = req.body;
     
-    if (!message) {
+    if (!message || typeof message !== 'string') {
       return res.status(400).json({ success: false, error: 'Message is required' });
     }
     
-    if (!anthropic) {
-      return res.status(500).json({ success: false, error: 'Claude API not configured' });
-    }
-
-    // Prepare analysis context for the chatbot
-    console.log('Chat API - Received analysisResults:', JSON.stringify(analysisResults, null, 2));
-    const analysisContext = analysisResults ? {
-      totalComments: analysisResults.totalComments,
-      themes: analysisResults.topics?.map(topic => ({
-        name: topic.title,
-        percentage: topic.percentage,
-        volume: topic.volume,
-        sentiment: topic.sentiment?.classification,
-        description: topic.llmDescription,
-        sentimentBreakdown: {
-          positive: topic.sentiment?.distribution?.positive || 0,
-          negative: topic.sentiment?.distribution?.negative || 0,
-          neutral: topic.sentiment?.distribution?.neutral || 0,
-          positivePercentage: topic.sentiment?.distribution?.positivePercentage || 0,
-          negativePercentage: topic.sentiment?.distribution?.negativePercentage || 0,
-          neutralPercentage: topic.sentiment?.distribution?.neutralPercentage || 0
-        }
-      })) || []
-    } : null;
-
-    const chatPrompt = `You are an AI assistant analyzing comment data. You have access to the following analysis results:
-
-${analysisContext ? `
-ANALYSIS DATA:
-- Total Comments: ${analysisContext.totalComments}
-- Themes Identified: ${analysisContext.themes.length}
-
-THEMES BREAKDOWN:
-${analysisContext.themes.map(theme => `
-• ${theme.name}: ${theme.volume} comments (${theme.percentage}%)
-  - Overall Sentiment: ${theme.sentiment}
-  - Breakdown: ${theme.sentimentBreakdown.positive} positive (${theme.sentimentBreakdown.positivePercentage}%), ${theme.sentimentBreakdown.negative} negative (${theme.sentimentBreakdown.negativePercentage}%), ${theme.sentimentBreakdown.neutral} neutral (${theme.sentimentBreakdown.neutralPercentage}%)
-  - Description: ${theme.description}
-`).join('')}
-` : 'No analysis data available. Please ask the user to upload and analyze a CSV file first.'}
-
-User Question: ${message}
-
-Instructions:
-1. ONLY use the provided analysis data above to answer questions
-2. Be specific with numbers and percentages from the data
-3. If asked about themes not in the data, say they weren't found
-4. Provide actionable insights based on the sentiment and volume data
-5. Keep responses concise but informative
-
-Answer the user's question based solely on this analysis data:`;
-
-    const response = await anthropic.messages.create({
-      model: "claude-3-haiku-20240307",
-      max_tokens: 500,
-      temperature: 0.3,
-      messages: [{ role: "user", content: chatPrompt }]
-    });
+    if (!llm.isConfigured()) {
+      return res.status(500).json({ success: false, error: llm.configurationError() });
+    }
+    const record = analysisId ? await findInWorkspace(req, analyses, analysisId) : null;
+    if (analysisId && !record) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    try {
+      await auth.reserveRun(req.auth);
+    } catch (error) {
+      if (error.status !== 429) throw error;
+      return res.status(429).json({ success: false, error: error.message });
+    }
+
+    // Each LLM request is charged to the caller's quotas as it returns
+    const usage = llm.createUsage({ quota: auth.quotaGuard(req.auth) });
+    let reply;
+    if (record) {
+      reply = await chatAboutAnalysis(record, message, { usage });
+    } else {
+      const history = (Array.isArray(req.body.history) ? req.body.history : [])
+        .filter(turn => turn && ['user', 'assistant'].includes(turn.role) && typeof turn.content === 'string');
+      reply = await chatAboutResult(analysisResults || null, message, { history, usage });
+    }
 
     res.json({
       success: true,
-      response: response.content[0].text
+      response: reply.response,
+      // Comments cited in the response as [#id]
+      citations: reply.citations,
+      usage: llm.summarizeUsage(usage)
     });
 
   } catch (error) {
     console.error('Chat API error:', error);
-    res.status(500).json({
+    res.status(error.status === 429 ? 429 : 500).json({
       success: false,
       error: 'Failed to generate chat response: ' + error.message
     });
   }
 });
 
+app.get('/api/analyses/:id/chat', async (req, res) => {
+  try {
+    if (!await findInWorkspace(req, analyses, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    res.json({ success: true, messages: await getHistory(req.params.id) });
+  } catch (error) {
+    console.error('Get chat history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load chat history: ' + error.message });
+  }
+});
+
+app.delete('/api/analyses/:id/chat', async (req, res) => {
+  try {
+    if (!await findInWorkspace(req, analyses, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+    await clearHistory(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Clear chat history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to clear chat history: ' + error.message });
+  }
+});
+
+// Records stored before sign-in was turned on have no workspace; the first
+// account's workspace takes them over. The check runs in the users store's
+// write queue, so of two accounts registering at once only the earlier one,
+// whose record is the oldest, can take them.
+async function claimUnscopedRecords(user, workspaceId) {
+  await accounts.users.lock(async () => {
+    const existing = await accounts.users.list();
+    if (existing.length === 0 || existing[existing.length - 1].id !== user.id) return;
+
+    const counts = {};
+    for (const store of [analyses, codebooks, shares.shares]) {
+      const unscoped = (await store.list()).filter(entry => !entry.workspaceId);
+      for (const entry of unscoped) {
+        await store.update(entry.id, record => (record.workspaceId ? record : { ...record, workspaceId }));
+      }
+      counts[store.name] = unscoped.length;
+    }
+    console.log(`AUTH: first account ${user.email} took over ${counts.analyses} analyses, ${counts.codebooks} codebooks and ` +
+      `${counts.shares} share links from before sign-in into workspace ${workspaceId}`);
+  });
+}
+
+function workspaceView(workspace, role) {
+  return workspace ? { id: workspace.id, name: workspace.name, role } : null;
+}
+
+// API token without its usage history, with this month's quota use
+function tokenView(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    hint: token.hint,
+    createdAt: token.createdAt,
+    lastUsedAt: token.lastUsedAt || null,
+    revokedAt: token.revokedAt || null,
+    quota: quotaStatus(token.quota, usageFor(token))
+  };
+}
+
+// The signed-in caller (user is null for API tokens and with AUTH=off) and
+// what the sign-in page can offer
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const { via = null, user = null, workspace = null, role = null, token = null } = req.auth || {};
+    const memberships = user ? await accounts.workspacesFor(user.id) : [];
+    res.json({
+      success: true,
+      authEnabled: auth.AUTH_ENABLED,
+      signupOpen: auth.AUTH_ENABLED && await auth.signupOpen(),
+      oidc: oidc.config.enabled ? { label: oidc.config.label, loginUrl: '/api/auth/oidc/login' } : null,
+      via,
+      user: accounts.publicUser(user),
+      token: token ? { id: token.id, name: token.name } : null,
+      workspace: workspaceView(workspace, role),
+      workspaces: memberships.map(entry => workspaceView(entry, accounts.memberRole(entry, user.id)))
+    });
+  } catch (error) {
+    console.error('Get session error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load session: ' + error.message });
+  }
+});
+
+// Register a local account with a new workspace of its own. Open until the
+// first account exists (which takes over the analyses, codebooks and share
+// links stored before), then only with ALLOW_SIGNUP=true.
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    if (!auth.AUTH_ENABLED) {
+      return res.status(400).json({ success: false, error: 'Sign-in is turned off (AUTH=off)' });
+    }
+    if (!await auth.signupOpen()) {
+      return res.status(403).json({ success: false, error: 'Registration is closed: ask a workspace admin to add you' });
+    }
+    let user;
+    try {
+      user = await accounts.createUser({ email: req.body.email, name: req.body.name, password: String(req.body.password || '') });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    const workspace = await accounts.createWorkspace(req.body.workspaceName, user.id);
+    await claimUnscopedRecords(user, workspace.id);
+    await auth.startSession(res, user, workspace.id);
+    console.log(`AUTH: registered ${user.email} with workspace "${workspace.name}"`);
+    res.status(201).json({ success: true, user: accounts.publicUser(user), workspace: workspaceView(workspace, 'admin') });
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({ success: false, error: 'Registration failed: ' + error.message });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const user = await accounts.authenticatePassword(req.body.email, req.body.password);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Wrong email or password' });
+    }
+    const [workspace] = await accounts.workspacesFor(user.id);
+    await auth.startSession(res, user, workspace ? workspace.id : null);
+    res.json({ success: true, user: accounts.publicUser(user), workspace: workspaceView(workspace, workspace && accounts.memberRole(workspace, user.id)) });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ success: false, error: 'Sign-in failed: ' + error.message });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.endSession(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, error: 'Sign-out failed: ' + error.message });
+  }
+});
+
+// Single sign-on (lib/oidc.js): off to the provider, and back to the
+// callback, which signs the user in and returns to the app. Unknown users
+// only get an account (and a workspace of their own) while registration is
+// open; otherwise an admin has to add their email first.
+app.get('/api/auth/oidc/login', async (req, res) => {
+  if (!oidc.config.enabled) {
+    return res.status(404).json({ success: false, error: 'Single sign-on is not configured (OIDC_ISSUER)' });
+  }
+  try {
+    res.redirect(await oidc.authorizationUrl(res));
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(502).json({ success: false, error: 'Single sign-on is unavailable: ' + error.message });
+  }
+});
+
+app.get('/api/auth/oidc/callback', async (req, res) => {
+  if (!oidc.config.enabled) {
+    return res.status(404).json({ success: false, error: 'Single sign-on is not configured (OIDC_ISSUER)' });
+  }
+  try {
+    const identity = await oidc.completeLogin(req, res);
+    const open = await auth.signupOpen();
+    const user = await accounts.findOrCreateOidcUser(identity, { create: open });
+    if (!user) {
+      return res.redirect(`/?signInError=${encodeURIComponent(`No account for ${identity.email}: ask a workspace admin to add you`)}`);
+    }
+    let [workspace] = await accounts.workspacesFor(user.id);
+    if (!workspace && open) {
+      workspace = await accounts.createWorkspace(`${user.name}'s workspace`, user.id);
+      await claimUnscopedRecords(user, workspace.id);
+    }
+    await auth.startSession(res, user, workspace ? workspace.id : null);
+    console.log(`AUTH: ${user.email} signed in through ${oidc.config.issuer}`);
+    res.redirect('/');
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.redirect(`/?signInError=${encodeURIComponent(error.status ? error.message : 'Single sign-on failed: ' + error.message)}`);
+  }
+});
+
+// Switch the session to another of the user's workspaces
+app.post('/api/auth/workspace', async (req, res) => {
+  try {
+    if (!req.auth || req.auth.via !== 'session') {
+      return res.status(400).json({ success: false, error: 'Only signed-in users can switch workspaces' });
+    }
+    const workspace = await accounts.workspaces.get(String(req.body.workspaceId || ''));
+    const role = accounts.memberRole(workspace, req.auth.user.id);
+    if (!role) {
+      return res.status(404).json({ success: false, error: 'Workspace not found' });
+    }
+    await auth.switchWorkspace(req.auth, workspace.id);
+    res.json({ success: true, workspace: workspaceView(workspace, role) });
+  } catch (error) {
+    console.error('Switch workspace error:', error);
+    res.status(500).json({ success: false, error: 'Failed to switch workspace: ' + error.message });
+  }
+});
+
+// Workspaces - what analyses, codebooks, share links and API tokens belong
+// to. Any signed-in user can create one (and becomes its admin); members,
+// quota and API tokens of the current workspace are managed by its admins.
+app.post('/api/workspaces', async (req, res) => {
+  try {
+    if (req.auth.via !== 'session') {
+      return res.status(400).json({ success: false, error: 'Only signed-in users can create workspaces' });
+    }
+    const workspace = await accounts.createWorkspace(req.body.name, req.auth.user.id);
+    await auth.switchWorkspace(req.auth, workspace.id);
+    res.status(201).json({ success: true, workspace: workspaceView(workspace, 'admin') });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create workspace: ' + error.message });
+  }
+});
+
+app.get('/api/workspace', async (req, res) => {
+  try {
+    const { workspace, role } = req.auth;
+    if (!workspace) {
+      return res.status(400).json({ success: false, error: 'Workspaces are not available with AUTH=off' });
+    }
+    res.json({
+      success: true,
+      workspace: {
+        ...workspaceView(workspace, role),
+        quota: quotaStatus(workspace.quota, usageFor(workspace)),
+        members: await accounts.listMembers(workspace)
+      }
+    });
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load workspace: ' + error.message });
+  }
+});
+
+app.put('/api/workspace/quota', auth.requireAdmin, async (req, res) => {
+  try {
+    let workspace;
+    try {
+      workspace = await accounts.setWorkspaceQuota(req.auth.workspace.id, req.body.quota);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.json({ success: true, quota: quotaStatus(workspace.quota, usageFor(workspace)) });
+  } catch (error) {
+    console.error('Update workspace quota error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update quota: ' + error.message });
+  }
+});
+
+// Add a member by email: { email, role, name, password }. Without a password
+// a new account can only sign in through single sign-on.
+app.post('/api/workspace/members', auth.requireAdmin, async (req, res) => {
+  try {
+    let workspace;
+    try {
+      workspace = await accounts.addMember(req.auth.workspace.id, req.body);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.status(201).json({ success: true, members: await accounts.listMembers(workspace) });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({ success: false, error: 'Failed to add member: ' + error.message });
+  }
+});
+
+app.delete('/api/workspace/members/:userId', auth.requireAdmin, async (req, res) => {
+  try {
+    let workspace;
+    try {
+      workspace = await accounts.removeMember(req.auth.workspace.id, req.params.userId);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.json({ success: true, members: await accounts.listMembers(workspace) });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove member: ' + error.message });
+  }
+});
+
+// API tokens of the current workspace. The token itself is only in the
+// response that creates it.
+app.get('/api/tokens', auth.requireAdmin, async (req, res) => {
+  try {
+    const list = await apiTokens.listTokens(req.auth.workspace.id);
+    res.json({ success: true, tokens: list.map(tokenView) });
+  } catch (error) {
+    console.error('List API tokens error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list API tokens: ' + error.message });
+  }
+});
+
+// { name, quota: { analyses, requests, tokens, cost } }
+app.post('/api/tokens', auth.requireAdmin, async (req, res) => {
+  try {
+    let created;
+    try {
+      created = await apiTokens.createToken(req.auth.workspace.id, req.body, req.auth.user.id);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.log(`AUTH: API token "${created.record.name}" created in workspace ${req.auth.workspace.id}`);
+    res.status(201).json({ success: true, token: created.token, apiToken: tokenView(created.record) });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API token: ' + error.message });
+  }
+});
+
+app.put('/api/tokens/:id', auth.requireAdmin, async (req, res) => {
+  try {
+    const existing = await apiTokens.apiTokens.get(req.params.id);
+    if (!auth.inWorkspace(req.auth, existing)) {
+      return res.status(404).json({ success: false, error: 'API token not found' });
+    }
+    let token;
+    try {
+      token = await apiTokens.updateToken(existing.id, req.body);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.json({ success: true, apiToken: tokenView(token) });
+  } catch (error) {
+    console.error('Update API token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update API token: ' + error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', auth.requireAdmin, async (req, res) => {
+  try {
+    const existing = await apiTokens.apiTokens.get(req.params.id);
+    if (!auth.inWorkspace(req.auth, existing)) {
+      return res.status(404).json({ success: false, error: 'API token not found' });
+    }
+    const token = await apiTokens.revokeToken(existing.id);
+    res.json({ success: true, apiToken: tokenView(token) });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API token: ' + error.message });
+  }
+});
+
 app.get('/api/health', (req, res) => {
-  const anthropicConfigured = !!anthropic;
+  const llmConfigured = llm.isConfigured();
   res.json({ 
-    status: anthropicConfigured ? 'OK' : 'Configuration Required', 
+    status: 'OK', 
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
-    anthropicConfigured: anthropicConfigured,
-    message: anthropicConfigured ? 'Ready for analysis' : 'ANTHROPIC_API_KEY environment variable required'
+    llmConfigured: llmConfigured,
+    llmProvider: llm.config.provider,
+    llmModel: llm.config.model,
+    llmLimits: llm.config.limits,
+    uploadLimits: INGEST_LIMITS,
+    offlineThemesAvailable: true,
+    authEnabled: auth.AUTH_ENABLED,
+    message: llmConfigured ? `Ready for analysis (${llm.config.provider}: ${llm.config.model})` : llm.configurationError()
   });
 });
 
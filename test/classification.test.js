@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const createMockProvider = require('../lib/providers/mock');
+const { FALLBACK_THEME, parseEntries, createThemeMatcher, classifyBatch } = require('../lib/classification');
+
+const THEMES = [
+  { name: 'Pricing & Value', keywords: ['price', 'expensive'] },
+  { name: 'Customer Service', keywords: ['staff', 'rude'] },
+  { name: 'Speed & Wait Times', keywords: ['delivery', 'slow'] }
+];
+const THEME_NAMES = [...THEMES.map(theme => theme.name), FALLBACK_THEME];
+
+test('parseEntries reads wrapped, fenced and truncated responses and salvages broken ones', () => {
+  const entry = index => `{"commentIndex": ${index}, "themeName": "Customer Service", "confidence": 0.9}`;
+  assert.strictEqual(parseEntries(`{"classifications": [${entry(1)}, ${entry(2)}]}`).length, 2);
+  assert.strictEqual(parseEntries(`Here you go:\n\`\`\`json\n[${entry(1)}]\n\`\`\``).length, 1);
+  assert.deepStrictEqual(parseEntries(`{"classifications": [${entry(1)}, ${entry(2)}, {"commentIndex": 3, "the`)
+    .map(item => item.commentIndex), [1, 2]);
+  assert.deepStrictEqual(parseEntries(`[${entry(1)}, {"commentIndex": 2, "themeName": }, ${entry(3)}]`)
+    .map(item => item.commentIndex), [1, 3]);
+  assert.deepStrictEqual(parseEntries('Sorry, I cannot help with that.'), []);
+});
+
+test('the theme matcher resolves case, aliases, numbered themes and near spellings', () => {
+  const match = createThemeMatcher(THEME_NAMES);
+  assert.deepStrictEqual(match('Customer Service'), { name: 'Customer Service', fuzzy: false });
+  assert.deepStrictEqual(match('pricing and value'), { name: 'Pricing & Value', fuzzy: false });
+  assert.deepStrictEqual(match('Other'), { name: FALLBACK_THEME, fuzzy: true });
+  assert.deepStrictEqual(match('N/A'), { name: FALLBACK_THEME, fuzzy: true });
+  assert.deepStrictEqual(match('Theme 3'), { name: 'Speed & Wait Times', fuzzy: true });
+  assert.deepStrictEqual(match(2), { name: 'Customer Service', fuzzy: true });
+  assert.strictEqual(match('Theme 9'), null);
+  assert.deepStrictEqual(match('Wait Times'), { name: 'Speed & Wait Times', fuzzy: true });
+  assert.strictEqual(match(null), null);
+});
+
+test('near spellings only match above the Jaro-Winkler threshold', () => {
+  const match = createThemeMatcher(THEME_NAMES);
+  // 0.975 and 0.916 against the closest theme name
+  assert.deepStrictEqual(match('Custmer Servce'), { name: 'Customer Service', fuzzy: true });
+  assert.deepStrictEqual(match('Price and Valeu'), { name: 'Pricing & Value', fuzzy: true });
+  // 0.852, below the 0.88 threshold
+  assert.strictEqual(match('Costumer Care'), null);
+});
+
+const ITEMS = [
+  'The staff were rude',
+  'Far too expensive for what it is',
+  'Delivery was slow',
+  'Staff sorted it out quickly',
+  'Good price',
+  'Slow delivery again'
+].map((text, index) => ({ index: index + 1, text }));
+
+// The mock provider's answers for a batch, passed through `tamper` before
+// classifyBatch sees them
+function mockRequests(tamper) {
+  const provider = createMockProvider();
+  const calls = [];
+  const requestBatch = async items => {
+    calls.push(items.map(item => item.index));
+    const { text } = await provider.complete({ task: 'classification', prompt: '', context: { themes: THEMES, comments: items } });
+    return JSON.stringify({ classifications: tamper(JSON.parse(text).classifications, calls.length) });
+  };
+  return { requestBatch, calls };
+}
+
+test('a complete answer takes one request', async () => {
+  const { requestBatch, calls } = mockRequests(entries => entries);
+  const { classifications, stats } = await classifyBatch(ITEMS, THEME_NAMES, requestBatch);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(stats.retriedComments, 0);
+  assert.deepStrictEqual(classifications.map(item => item.themeName),
+    ['Customer Service', 'Pricing & Value', 'Speed & Wait Times', 'Customer Service', 'Pricing & Value', 'Speed & Wait Times']);
+});
+
+test('missing ids are retried in a sub-batch and extra ids are ignored', async () => {
+  const { requestBatch, calls } = mockRequests((entries, call) => {
+    if (call > 1) return entries;
+    return [
+      ...entries.filter(entry => entry.commentIndex !== 2 && entry.commentIndex !== 5),
+      { commentIndex: 99, themeName: 'Customer Service', confidence: 0.9 },
+      { commentIndex: 1, themeName: 'Pricing & Value', confidence: 0.9 }
+    ];
+  });
+  const { classifications, stats } = await classifyBatch(ITEMS, THEME_NAMES, requestBatch);
+  assert.deepStrictEqual(calls, [[1, 2, 3, 4, 5, 6], [2, 5]]);
+  assert.deepStrictEqual(stats, { requests: 2, retriedComments: 2, fuzzyMatched: 0, fallback: 0, failedRequests: 0 });
+  const byIndex = new Map(classifications.map(item => [item.commentIndex, item.themeName]));
+  assert.deepStrictEqual([...byIndex.keys()].sort((a, b) => a - b), [1, 2, 3, 4, 5, 6]);
+  // The first answer for an id wins over a later duplicate
+  assert.strictEqual(byIndex.get(1), 'Customer Service');
+  assert.strictEqual(byIndex.get(2), 'Pricing & Value');
+});
+
+test('ids still missing after the retries fall back', async () => {
+  const { requestBatch, calls } = mockRequests(entries => entries.filter(entry => entry.commentIndex !== 3));
+  const { classifications, stats } = await classifyBatch(ITEMS, THEME_NAMES, requestBatch);
+  assert.deepStrictEqual(calls, [[1, 2, 3, 4, 5, 6], [3], [3]]);
+  assert.strictEqual(stats.fallback, 1);
+  assert.deepStrictEqual(classifications.find(item => item.commentIndex === 3),
+    { commentIndex: 3, themeName: FALLBACK_THEME, confidence: 0, fallback: true });
+});
+
+test('a failed request falls back without retrying', async () => {
+  const { classifications, stats } = await classifyBatch(ITEMS.slice(0, 2), THEME_NAMES, async () => { throw new Error('boom'); });
+  assert.deepStrictEqual(stats, { requests: 1, retriedComments: 0, fuzzyMatched: 0, fallback: 2, failedRequests: 1 });
+  assert.ok(classifications.every(item => item.themeName === FALLBACK_THEME));
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FALLBACK_THEME } = require('../lib/classification');
+const { compareAnalyses, extractResult } = require('../lib/compare');
+
+function topic(title, volume, negative, { description = '', words = [] } = {}) {
+  return {
+    title,
+    volume,
+    llmDescription: description,
+    words: words.map(term => ({ term })),
+    sentiment: { score: volume ? -negative / volume : 0, distribution: { negative, neutral: 0, positive: volume - negative } }
+  };
+}
+
+function result(topics, codebook = null) {
+  return { totalComments: 100, topics, codebook };
+}
+
+const BASELINE = result([
+  topic('Breakfast', 20, 10),
+  topic('Room cleanliness', 15, 12, { description: 'Dirty rooms and bathrooms', words: ['dirty', 'clean', 'bathroom'] }),
+  topic('Parking', 5, 1),
+  topic(FALLBACK_THEME, 10, 2)
+]);
+const CURRENT = result([
+  topic('breakfast', 40, 20),
+  topic('Dirty rooms', 15, 6, { description: 'Rooms and bathrooms that were not clean', words: ['dirty', 'bathroom'] }),
+  topic('Wi-Fi', 8, 4),
+  topic('Other feedback', 10, 2)
+]);
+
+function byTitle(comparison, title) {
+  return comparison.themes.find(theme => theme.title === title);
+}
+
+test('themes are matched by name, then by similarity; the rest appear or disappear', () => {
+  const comparison = compareAnalyses(BASELINE, CURRENT);
+  assert.deepStrictEqual(comparison.summary, { matched: 2, appeared: 2, disappeared: 2, significantChanges: 6 });
+  assert.deepStrictEqual(byTitle(comparison, 'breakfast').match, 'name');
+  const rooms = byTitle(comparison, 'Dirty rooms');
+  assert.deepStrictEqual([rooms.baselineTitle, rooms.match], ['Room cleanliness', 'similarity']);
+  assert.ok(rooms.similarity >= 0.3 && rooms.similarity < 1);
+  assert.strictEqual(byTitle(comparison, 'Parking').status, 'disappeared');
+  assert.strictEqual(byTitle(comparison, 'Wi-Fi').status, 'appeared');
+  // The fallback theme is never matched by similarity
+  assert.strictEqual(byTitle(comparison, FALLBACK_THEME).status, 'disappeared');
+  assert.strictEqual(byTitle(comparison, 'Other feedback').status, 'appeared');
+});
+
+test('deltas and z-scores of matched themes', () => {
+  const comparison = compareAnalyses(BASELINE, CURRENT);
+  const breakfast = byTitle(comparison, 'breakfast');
+  assert.deepStrictEqual(breakfast.deltas, { volume: 20, percentage: 20, negativePercentage: 0, sentimentScore: 0 });
+  // Share 20/100 -> 40/100: pooled 0.3, standard error sqrt(0.3 * 0.7 * 0.02) = 0.0648
+  assert.deepStrictEqual(breakfast.significance, { share: { z: 3.09, significant: true }, negativity: { z: 0, significant: false } });
+
+  // Negativity 12/15 -> 6/15: pooled 0.6, standard error sqrt(0.6 * 0.4 * 2/15) = 0.1789
+  const rooms = byTitle(comparison, 'Dirty rooms');
+  assert.deepStrictEqual(rooms.significance, { share: { z: 0, significant: false }, negativity: { z: -2.24, significant: true } });
+  assert.strictEqual(rooms.deltas.negativePercentage, -40);
+
+  // Share 5/100 -> 0/100: pooled 0.025, standard error 0.0221; too few
+  // comments for a negativity test
+  const parking = byTitle(comparison, 'Parking');
+  assert.deepStrictEqual(parking.significance, { share: { z: -2.26, significant: true }, negativity: null });
+  assert.deepStrictEqual([parking.current, parking.deltas.volume, parking.deltas.negativePercentage], [null, -5, null]);
+
+  // Significant changes first, the largest share change first among them
+  assert.deepStrictEqual(comparison.themes.map(theme => theme.title),
+    ['breakfast', FALLBACK_THEME, 'Other feedback', 'Wi-Fi', 'Parking', 'Dirty rooms']);
+});
+
+test('with the same codebook, same-named themes are codebook matches', () => {
+  const codebook = { id: 'cb-1', name: 'Hotel' };
+  const comparison = compareAnalyses({ ...BASELINE, codebook }, { ...CURRENT, codebook }, { baselineLabel: 'Q1', currentLabel: 'Q2' });
+  assert.strictEqual(comparison.sameCodebook, true);
+  assert.strictEqual(byTitle(comparison, 'breakfast').match, 'codebook');
+  assert.deepStrictEqual([comparison.baseline.label, comparison.current.codebook], ['Q1', codebook]);
+});
+
+test('extractResult unwraps stored analyses and job responses', () => {
+  assert.strictEqual(extractResult({ analysis: { result: BASELINE } }), BASELINE);
+  assert.strictEqual(extractResult({ job: { result: BASELINE } }), BASELINE);
+  assert.strictEqual(extractResult(BASELINE), BASELINE);
+  assert.throws(() => extractResult({ topics: [] }), /Not an analysis result/);
+});
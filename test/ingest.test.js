@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readUpload } = require('../lib/ingest');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function upload(name, content, options) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return readUpload(filePath, name, options);
+}
+
+test('JSON arrays are read item by item, including arrays inside a root object', async () => {
+  const items = Array.from({ length: 500 }, (_, i) => ({ id: i, comment: `Comment "${i}" {with} [brackets]`, meta: { stay: i % 3 } }));
+  const bare = await upload('bare.json', JSON.stringify(items));
+  assert.strictEqual(bare.rows.length, 500);
+  assert.strictEqual(bare.rows[7].comment, 'Comment "7" {with} [brackets]');
+  assert.strictEqual(bare.rows[7]['meta.stay'], '1');
+
+  const wrapped = await upload('wrapped.json', JSON.stringify({ meta: { count: 2 }, responses: items.slice(0, 2) }));
+  assert.deepStrictEqual(wrapped.rows.map(row => row.id), ['0', '1']);
+});
+
+test('JSON errors name the broken item and whole-file problems', async () => {
+  await assert.rejects(upload('item.json', '[{"comment": "ok"}, {"comment": }]'), /Invalid JSON in item 2/);
+  await assert.rejects(upload('short.json', '[{"comment": "ok"}, {"comm'), /ends before it is complete/);
+  await assert.rejects(upload('empty.json', ''), /file is empty/);
+});
+
+test('concatenated JSON objects are read as NDJSON', async () => {
+  const parsed = await upload('lines.json', '{"comment": "one"}\n{"comment": "two"}\n');
+  assert.deepStrictEqual(parsed.rows.map(row => row.comment), ['one', 'two']);
+});
+
+test('duplicate rows are dropped while reading when asked to', async () => {
+  const csv = 'id,comment\n1,Great stay\n2,Noisy room\n1,Great stay\n';
+  const kept = await upload('dupes.csv', csv);
+  assert.strictEqual(kept.rows.length, 3);
+
+  const deduped = await upload('dupes.csv', csv, { dedupe: true });
+  assert.strictEqual(deduped.rows.length, 2);
+  assert.strictEqual(deduped.report.duplicateRows, 1);
+
+  const json = await upload('dupes.json', '[{"a": "1", "b": ""}, {"b": "", "a": "1"}, {"a": "1"}, {"a": "2"}]', { dedupe: true });
+  assert.strictEqual(json.rows.length, 2);
+  assert.strictEqual(json.report.duplicateRows, 2);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJob, runJob, cancelJob, abortJob, throwIfCancelled, sleep } = require('../lib/jobs');
+
+// Resolves to the job once it reaches a final status
+function finished(job) {
+  return new Promise(resolve => {
+    if (job.finishedAt) return resolve(job);
+    job.emitter.on('update', () => {
+      if (job.finishedAt) resolve(job);
+    });
+  });
+}
+
+test('a cancelled job finishes once its task has unwound, without saving', async () => {
+  const saved = [];
+  let unwound = false;
+  const job = runJob(createJob(), async activeJob => {
+    try {
+      await sleep(10000, activeJob.signal);
+      saved.push('result');
+    } finally {
+      unwound = true;
+    }
+  });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(cancelJob(job), true);
+  assert.strictEqual(cancelJob(job), true);
+  assert.deepStrictEqual([job.status, job.stage], ['running', 'cancelling']);
+  await finished(job);
+  assert.strictEqual(unwound, true);
+  assert.strictEqual(job.status, 'cancelled');
+  assert.deepStrictEqual(saved, []);
+  assert.strictEqual(cancelJob(job), false);
+});
+
+test('throwIfCancelled before a save stops a task that did not notice the cancel', async () => {
+  const saved = [];
+  let release;
+  const job = runJob(createJob(), async activeJob => {
+    await new Promise(resolve => { release = resolve; });
+    throwIfCancelled(activeJob);
+    saved.push('result');
+    return 'result';
+  });
+  await new Promise(resolve => setImmediate(resolve));
+
+  cancelJob(job);
+  release();
+  await finished(job);
+  assert.strictEqual(job.status, 'cancelled');
+  assert.deepStrictEqual(saved, []);
+});
+
+test('an aborted job fails with the abort message, and a later cancel does not change that', async () => {
+  const job = runJob(createJob(), activeJob => sleep(10000, activeJob.signal));
+  await new Promise(resolve => setImmediate(resolve));
+
+  abortJob(job, 'Out of quota');
+  cancelJob(job);
+  await finished(job);
+  assert.deepStrictEqual([job.status, job.error], ['failed', 'Out of quota']);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { assessComments, resolveQualityOptions } = require('../lib/quality');
+
+const COMMENTS = ['good', 'Fine', 'The room was lovely but the shower was cold', 'n/a'];
+
+test('one-word verdicts are low-signal by default', () => {
+  assert.ok(resolveQualityOptions({}).lowSignalPhrases.includes('good'));
+  const { kept, summary } = assessComments(COMMENTS);
+  assert.deepStrictEqual(kept.map(item => item.index), [2]);
+  assert.strictEqual(summary.flagged.lowSignal, 3);
+});
+
+test('lowSignalExceptions keeps the listed phrases', () => {
+  const { kept, summary } = assessComments(COMMENTS, { lowSignalExceptions: ['Good', 'fine'] });
+  assert.deepStrictEqual(kept.map(item => item.index), [0, 1, 2]);
+  assert.strictEqual(summary.flagged.lowSignal, 1);
+});
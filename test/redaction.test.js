@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedactor, restorePlaceholders } = require('../lib/redaction');
+
+test('emails and phone numbers get one placeholder per value', () => {
+  const redactor = createRedactor();
+  assert.strictEqual(redactor.redact('write to anna.b@example.com or call +44 20 7946 0958'), 'write to [EMAIL_1] or call [PHONE_1]');
+  assert.strictEqual(redactor.redact('ANNA.B@example.com again, or (030) 1234-5678'), '[EMAIL_1] again, or [PHONE_2]');
+  assert.deepStrictEqual(redactor.report().counts, { EMAIL: 2, PHONE: 2 });
+});
+
+test('names after a title are redacted, "miss" as a verb is not', () => {
+  const redactor = createRedactor();
+  assert.strictEqual(redactor.redact('mr smith and dr. jones were great'), 'mr [NAME_1] and dr. [NAME_2] were great');
+  assert.strictEqual(redactor.redact('my name is petra'), 'my name is [NAME_3]');
+  assert.strictEqual(redactor.redact('i miss the breakfast, we will miss breakfast'), 'i miss the breakfast, we will miss breakfast');
+  assert.strictEqual(redactor.redact('ms the room was fine'), 'ms the room was fine');
+});
+
+test('dates and times are not taken for phone numbers', () => {
+  const redactor = createRedactor();
+  for (const text of ['stayed 2024-01-15 10:30 until 2024-01-20', 'arrived 15.01.2024 at 22:15', 'from 2024-01-15 to 2024-01-18', 'checked in at 10:30:15']) {
+    assert.strictEqual(redactor.redact(text), text);
+  }
+  assert.strictEqual(redactor.redact('on 2024-01-15 I called 020 7946 0958'), 'on 2024-01-15 I called [PHONE_1]');
+});
+
+test('the vault restores placeholders and seeds a later redactor', () => {
+  const first = createRedactor();
+  const redacted = first.redact('mail tom@example.com, booking ref AB12345');
+  assert.strictEqual(redacted, 'mail [EMAIL_1], booking ref [BOOKING_1]');
+  assert.strictEqual(restorePlaceholders(redacted, first.vault), 'mail tom@example.com, booking ref AB12345');
+
+  const appended = createRedactor({}, first.vault);
+  assert.strictEqual(appended.redact('Tom@example.com and sue@example.com'), '[EMAIL_1] and [EMAIL_2]');
+  assert.strictEqual(restorePlaceholders('[EMAIL_2] wrote, [UNKNOWN_1] too', appended.vault), 'sue@example.com wrote, [UNKNOWN_1] too');
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'review-test-'));
+const { saveAnalysisResult } = require('../lib/analyses');
+const { buildTopic, rankTopics } = require('../lib/analysis');
+const { FALLBACK_THEME } = require('../lib/classification');
+const { reviewAnalysis } = require('../lib/review');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const SENTIMENT = {
+  positive: { label: 'positive', score: 0.5 },
+  negative: { label: 'negative', score: -0.5 },
+  neutral: { label: 'neutral', score: 0 }
+};
+
+// Comment ids are 1-based: Breakfast has 1-4, Noise 5-7 and the fallback theme 8
+const THEMES = [
+  ['Breakfast', [['Cold eggs at breakfast', 'negative'], ['Weak coffee every morning', 'negative'],
+    ['Breakfast ran out of bread', 'negative'], ['Lovely fresh pastries', 'positive']]],
+  ['Noise', [['Street noise all night', 'negative'], ['Thin walls, heard the neighbours', 'negative'],
+    ['Some traffic noise in the morning', 'neutral']]],
+  [FALLBACK_THEME, [['Booked for a conference', 'neutral']]]
+];
+
+async function storedAnalysis() {
+  let index = 0;
+  const groups = THEMES.map(([name, comments]) => ({
+    name,
+    description: `${name} comments`,
+    words: [{ term: name.toLowerCase(), weight: 1, probability: 1 }],
+    comments: comments.map(([text, sentiment]) => {
+      const comment = { text, originalIndex: index, rowIndex: index, language: 'en', confidence: 0.8, sentiment: SENTIMENT[sentiment] };
+      index++;
+      return comment;
+    })
+  }));
+  const topics = rankTopics(groups.map((group, position) => buildTopic(group, position, index)));
+  const record = await saveAnalysisResult({
+    source: null,
+    topics,
+    totalComments: index,
+    themeDiscovery: { method: 'offline' },
+    metadata: { totalTopics: topics.length, highPriorityCount: 0 }
+  }, { fileName: 'hotel.csv' });
+  return record.id;
+}
+
+function topic(record, title) {
+  return record.result.topics.find(candidate => candidate.title === title);
+}
+
+function commentIds(record, title) {
+  return topic(record, title).comments.map(comment => comment.originalIndex + 1).sort((a, b) => a - b);
+}
+
+test('reassign moves comments, marks them reviewed and recomputes the counts', async () => {
+  const id = await storedAnalysis();
+  const record = await reviewAnalysis(id, { action: 'reassign', commentIds: [5, 6], toTheme: 'Breakfast', reviewer: 'Ana' });
+
+  assert.deepStrictEqual(commentIds(record, 'Breakfast'), [1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual(commentIds(record, 'Noise'), [7]);
+  const breakfast = topic(record, 'Breakfast');
+  assert.strictEqual(breakfast.volume, 6);
+  assert.strictEqual(breakfast.percentage, 75);
+  assert.deepStrictEqual([breakfast.sentiment.distribution.negative, breakfast.sentiment.distribution.positive], [5, 1]);
+  assert.strictEqual(breakfast.businessImpact, 'high');
+  assert.strictEqual(topic(record, 'Noise').percentage, 13);
+  const moved = breakfast.comments.find(comment => comment.originalIndex === 4);
+  assert.deepStrictEqual([moved.reviewed, moved.confidence], [true, 1]);
+
+  assert.strictEqual(record.result.review.changes, 1);
+  assert.strictEqual(record.result.review.reviewedComments, 2);
+  assert.deepStrictEqual(record.reviewLog[0].details.fromThemes, { Noise: 2 });
+  assert.strictEqual(record.reviewLog[0].reviewer, 'Ana');
+});
+
+test('reassigning every comment of a theme drops it, and a new theme name creates one', async () => {
+  const id = await storedAnalysis();
+  let record = await reviewAnalysis(id, { action: 'reassign', commentIds: [5, 6, 7], toTheme: 'Breakfast' });
+  assert.strictEqual(topic(record, 'Noise'), undefined);
+  assert.strictEqual(record.result.metadata.totalTopics, 2);
+
+  record = await reviewAnalysis(id, { action: 'reassign', commentIds: [8], toTheme: 'Events', description: 'Conferences and weddings' });
+  assert.deepStrictEqual(commentIds(record, 'Events'), [8]);
+  assert.strictEqual(topic(record, 'Events').llmDescription, 'Conferences and weddings');
+  assert.strictEqual(topic(record, FALLBACK_THEME), undefined);
+  assert.strictEqual(record.reviewLog[1].details.createdTheme, true);
+});
+
+test('rename keeps the comments and refuses clashes and the fallback theme', async () => {
+  const id = await storedAnalysis();
+  const record = await reviewAnalysis(id, { action: 'rename', theme: 'Noise', newName: 'Street noise', description: 'Noise from outside' });
+  assert.strictEqual(topic(record, 'Noise'), undefined);
+  assert.deepStrictEqual(commentIds(record, 'Street noise'), [5, 6, 7]);
+  assert.strictEqual(topic(record, 'Street noise').llmDescription, 'Noise from outside');
+  assert.strictEqual(record.reviewLog[0].details.previousDescription, 'Noise comments');
+
+  await assert.rejects(reviewAnalysis(id, { action: 'rename', theme: 'Street noise', newName: 'Breakfast' }), { status: 400, message: /already exists/ });
+  await assert.rejects(reviewAnalysis(id, { action: 'rename', theme: FALLBACK_THEME, newName: 'Other' }), { status: 400 });
+  await assert.rejects(reviewAnalysis(id, { action: 'rename', theme: 'Nope', newName: 'Other' }), { status: 400, message: /not found/ });
+});
+
+test('merge combines themes and their counts', async () => {
+  const id = await storedAnalysis();
+  const record = await reviewAnalysis(id, { action: 'merge', themes: ['Noise'], into: 'Breakfast' });
+  assert.deepStrictEqual(commentIds(record, 'Breakfast'), [1, 2, 3, 4, 5, 6, 7]);
+  assert.strictEqual(topic(record, 'Breakfast').percentage, 88);
+  assert.strictEqual(record.result.metadata.totalTopics, 2);
+  assert.deepStrictEqual(record.reviewLog[0].details.volumes, { Noise: 3, Breakfast: 4 });
+
+  await assert.rejects(reviewAnalysis(id, { action: 'merge', themes: ['Breakfast'], into: 'Breakfast' }), { status: 400, message: /at least two/ });
+  await assert.rejects(reviewAnalysis(id, { action: 'merge', themes: [FALLBACK_THEME], into: 'Breakfast' }), { status: 400 });
+});
+
+test('split moves listed comments to sub-themes and leaves the rest', async () => {
+  const id = await storedAnalysis();
+  const record = await reviewAnalysis(id, {
+    action: 'split',
+    theme: 'Breakfast',
+    subthemes: [{ name: 'Coffee', description: 'Hot drinks', keywords: ['coffee'], commentIds: [2] }, { name: 'Food', commentIds: [1, 3] }]
+  });
+  assert.deepStrictEqual(commentIds(record, 'Coffee'), [2]);
+  assert.deepStrictEqual(commentIds(record, 'Food'), [1, 3]);
+  assert.deepStrictEqual(commentIds(record, 'Breakfast'), [4]);
+  assert.deepStrictEqual(topic(record, 'Coffee').words.map(word => word.term), ['coffee']);
+  assert.strictEqual(record.reviewLog[0].details.remaining, 1);
+  assert.strictEqual(record.result.metadata.totalTopics, 5);
+  assert.strictEqual(record.result.review.reviewedComments, 3);
+
+  await assert.rejects(reviewAnalysis(id, {
+    action: 'split', theme: 'Food', subthemes: [{ name: 'Eggs', commentIds: [1] }, { name: 'Bread', commentIds: [1, 3] }]
+  }), { status: 400, message: /only go to one/ });
+  await assert.rejects(reviewAnalysis(id, {
+    action: 'split', theme: 'Food', subthemes: [{ name: 'Eggs', commentIds: [5] }]
+  }), { status: 400, message: /in theme "Food"/ });
+  await assert.rejects(reviewAnalysis(id, {
+    action: 'split', theme: 'Food', subthemes: [{ name: 'Noise', commentIds: [1] }]
+  }), { status: 400, message: /already in use/ });
+});
+
+test('unknown actions are refused and unknown analyses resolve to null', async () => {
+  const id = await storedAnalysis();
+  await assert.rejects(reviewAnalysis(id, { action: 'delete' }), { status: 400 });
+  await assert.rejects(reviewAnalysis(id, { action: 'reassign', commentIds: [99], toTheme: 'Breakfast' }), { status: 400, message: /Unknown comment/ });
+  assert.strictEqual(await reviewAnalysis('no-such-analysis', { action: 'rename', theme: 'Noise', newName: 'Other' }), null);
+});
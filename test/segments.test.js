@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSegments } = require('../lib/segments');
+
+const negative = { label: 'negative', score: -0.5 };
+const positive = { label: 'positive', score: 0.5 };
+
+function records(rows) {
+  return rows.map(([region, theme, sentiment], commentIndex) => ({ commentIndex, theme, sentiment, segments: { region } }));
+}
+
+test('cells hold share, lift and a z-score against the overall share', () => {
+  // Noise is half of all comments: 16 of 20 in North, 4 of 20 in South
+  const rows = [];
+  for (let i = 0; i < 20; i++) rows.push(['North', i < 16 ? 'Noise' : 'Breakfast', i < 8 ? negative : positive]);
+  for (let i = 0; i < 20; i++) rows.push(['South', i < 4 ? 'Noise' : 'Breakfast', positive]);
+  const [matrix] = buildSegments(records(rows), ['Noise', 'Breakfast'], ['region']);
+
+  assert.deepStrictEqual(matrix.segments, [{ value: 'North', total: 20 }, { value: 'South', total: 20 }]);
+  assert.strictEqual(matrix.otherGrouped, 0);
+  const [north, south] = matrix.cells[0];
+  // Standard error sqrt(0.5 * 0.5 / 20) = 0.1118, so z = 0.3 / 0.1118
+  assert.deepStrictEqual({ ...north, commentIndices: north.commentIndices.length }, {
+    count: 16, percentage: 80, negative: 8, negativePercentage: 50, avgSentiment: 0, lift: 1.6, z: 2.68, significant: true, commentIndices: 16
+  });
+  assert.deepStrictEqual([south.count, south.lift, south.z, south.significant], [4, 0.4, -2.68, true]);
+  assert.deepStrictEqual(south.commentIndices, [20, 21, 22, 23]);
+});
+
+test('small segments are not significant and blank values get their own segment', () => {
+  const rows = [['North', 'Noise', negative], ['North', 'Noise', negative], ['', 'Breakfast', positive], [null, 'Noise', positive]];
+  const [matrix] = buildSegments(records(rows), ['Noise', 'Breakfast'], ['region']);
+  assert.deepStrictEqual(matrix.segments, [{ value: 'North', total: 2 }, { value: '(blank)', total: 2 }]);
+  assert.ok(matrix.cells.flat().every(cell => !cell.significant));
+  assert.deepStrictEqual(matrix.cells[0].map(cell => cell.lift), [1.33, 0.67]);
+});
+
+test('past MAX_SEGMENTS the smallest values are grouped into "(other)"', () => {
+  // One value with 10 comments and 61 with one each: the 59 largest are kept
+  const rows = Array.from({ length: 10 }, () => ['Big', 'Noise', negative]);
+  for (let i = 1; i <= 61; i++) rows.push([`Hotel ${String(i).padStart(2, '0')}`, 'Breakfast', positive]);
+  const [matrix] = buildSegments(records(rows), ['Noise', 'Breakfast'], ['region']);
+
+  assert.strictEqual(matrix.segments.length, 60);
+  assert.strictEqual(matrix.otherGrouped, 3);
+  assert.deepStrictEqual(matrix.segments[0], { value: 'Big', total: 10 });
+  assert.deepStrictEqual(matrix.segments.find(segment => segment.value === '(other)'), { value: '(other)', total: 3 });
+  assert.ok(!matrix.segments.some(segment => ['Hotel 59', 'Hotel 60', 'Hotel 61'].includes(segment.value)));
+  const other = matrix.segments.findIndex(segment => segment.value === '(other)');
+  assert.deepStrictEqual(matrix.cells[1][other].commentIndices, [68, 69, 70]);
+});
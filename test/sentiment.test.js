@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeSentiments } = require('../lib/sentiment');
+
+function score(comments, language) {
+  return analyzeSentiments(comments, null, { method: 'rules' }, comments.map(() => language));
+}
+
+test('keyword rules do not match keywords inside other words', async () => {
+  const [room, parking] = await score([
+    'La salle du petit-déjeuner était grande et lumineuse',
+    'Il a fallu chercher le parking pendant vingt minutes'
+  ], 'fr');
+  assert.doesNotMatch(room.reason, /Keyword rule/);
+  assert.doesNotMatch(parking.reason, /Keyword rule/);
+  assert.notStrictEqual(room.label, 'negative');
+  assert.notStrictEqual(parking.label, 'negative');
+});
+
+test('keyword rules match whole words, inflections and phrases', async () => {
+  const french = await score(['La chambre était sale', 'Très déçue par le service', 'Beaucoup trop cher'], 'fr');
+  assert.deepStrictEqual(french.map(result => result.label), ['negative', 'negative', 'negative']);
+  assert.strictEqual(french[1].reason, 'Keyword rule: "déçu"');
+
+  const english = await score(['Disappointing breakfast', 'I loved the view'], 'en');
+  assert.deepStrictEqual(english.map(result => result.label), ['negative', 'positive']);
+});
+
+test('domain words given with the run match as phrases', async () => {
+  const results = await analyzeSentiments(['The walls are too thin', 'The thinking behind the menu is clever'], null,
+    { method: 'rules', negativeWords: ['too thin'] }, ['en', 'en']);
+  assert.strictEqual(results[0].reason, 'Keyword rule: "too thin"');
+  assert.doesNotMatch(results[1].reason, /Keyword rule/);
+});
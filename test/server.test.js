@@ -0,0 +1,373 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Behavior of the API around sign-in, workspaces, quotas and single sign-on,
+// against a real server with its own data directory, the mock LLM provider
+// and the mock OIDC provider
+const COMMENTS = [
+  'The room was clean and the bed was comfortable',
+  'Breakfast was cold and the coffee was weak',
+  'Friendly staff at the front desk, very helpful',
+  'The walls are thin and the street is noisy at night',
+  'Great location close to the station',
+  'Parking was expensive and hard to find',
+  'The shower had no hot water in the morning',
+  'Lovely view from the balcony',
+  'Check-in took forever, only one person at reception',
+  'The pool was closed without notice',
+  'Wifi kept dropping in the room',
+  'Would stay again, good value for money'
+];
+const CSV = 'id,comment\n' + COMMENTS.map((comment, index) => `${index + 1},"${comment}"`).join('\n') + '\n';
+
+let server;
+let baseUrl;
+let dir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  // Analyses from before sign-in was turned on, for the first account
+  process.env.DATA_DIR = path.join(dir, 'data');
+  const { saveAnalysisResult } = require('../lib/analyses');
+  for (const fileName of ['before-1.csv', 'before-2.csv', 'before-3.csv']) {
+    await saveAnalysisResult({ topics: [], totalComments: 0 }, { fileName });
+  }
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      PUBLIC_URL: baseUrl,
+      DATA_DIR: path.join(dir, 'data'),
+      LLM_PROVIDER: 'mock',
+      OIDC_ISSUER: 'mock',
+      ALLOW_SIGNUP: 'true'
+    },
+    stdio: 'ignore'
+  });
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/api/health`)).ok) return;
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('The server did not start');
+});
+
+test.after(() => {
+  if (server) server.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// { status, body, cookie, location } of an API call. `cookie` is the
+// session cookie (a sent one, or the one the response set), `token` an API
+// token and `file` CSV text uploaded as `file` with `fields`.
+async function call(method, url, { cookie, token, json, file, fields = {} } = {}) {
+  const headers = {};
+  if (cookie) headers.Cookie = cookie;
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let body;
+  if (json) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(json);
+  } else if (file) {
+    body = new FormData();
+    body.append('file', new Blob([file], { type: 'text/csv' }), 'comments.csv');
+    Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+  }
+  const response = await fetch(baseUrl + url, { method, headers, body, redirect: 'manual' });
+  const set = response.headers.getSetCookie().map(value => value.split(';')[0]);
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    parsed = null;
+  }
+  return {
+    status: response.status,
+    body: parsed,
+    cookies: set,
+    cookie: set.find(value => value.startsWith('session=')) || cookie,
+    location: response.headers.get('location')
+  };
+}
+
+async function register(email) {
+  const response = await call('POST', '/api/auth/register', { json: { email, password: 'password123' } });
+  assert.strictEqual(response.status, 201);
+  return response.cookie;
+}
+
+async function waitForJob(jobId, caller) {
+  for (let attempt = 0; attempt < 150; attempt++) {
+    const { body } = await call('GET', `/api/jobs/${jobId}`, caller);
+    if (['completed', 'failed', 'cancelled'].includes(body.job.status)) return body.job;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+async function analyze(caller) {
+  const started = await call('POST', '/api/analyze', { ...caller, file: CSV, fields: { themeMode: 'offline' } });
+  assert.strictEqual(started.status, 202);
+  const job = await waitForJob(started.body.jobId, caller);
+  assert.strictEqual(job.status, 'completed');
+  return { jobId: started.body.jobId, analysisId: job.result.analysisId };
+}
+
+test('sign-up: only the first account takes over the records from before sign-in', async () => {
+  const emails = ['first-a@example.com', 'first-b@example.com', 'first-c@example.com'];
+  const callers = await Promise.all(emails.map(async email => ({ cookie: await register(email) })));
+  const seen = await Promise.all(callers.map(async caller => {
+    const { body: me } = await call('GET', '/api/auth/me', caller);
+    const { body } = await call('GET', '/api/analyses', caller);
+    return { createdAt: me.user.createdAt, files: body.analyses.map(analysis => analysis.fileName).sort() };
+  }));
+  seen.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  assert.deepStrictEqual(seen.map(entry => entry.files), [['before-1.csv', 'before-2.csv', 'before-3.csv'], [], []]);
+});
+
+test('sessions: sign-in is required, and a session lasts until sign-out', async () => {
+  assert.strictEqual((await call('GET', '/api/analyses')).status, 401);
+  assert.strictEqual((await call('GET', '/api/analyses', { cookie: 'session=made-up' })).status, 401);
+
+  const cookie = await register('owner@example.com');
+  assert.strictEqual((await call('GET', '/api/analyses', { cookie })).status, 200);
+
+  const wrong = await call('POST', '/api/auth/login', { json: { email: 'owner@example.com', password: 'not-the-password' } });
+  assert.strictEqual(wrong.status, 401);
+  const login = await call('POST', '/api/auth/login', { json: { email: 'owner@example.com', password: 'password123' } });
+  assert.strictEqual(login.status, 200);
+  assert.notStrictEqual(login.cookie, cookie);
+
+  assert.strictEqual((await call('POST', '/api/auth/logout', { cookie })).status, 200);
+  assert.strictEqual((await call('GET', '/api/analyses', { cookie })).status, 401);
+  assert.strictEqual((await call('GET', '/api/analyses', { cookie: login.cookie })).status, 200);
+});
+
+test('API tokens: Bearer tokens work until revoked and cannot administer the workspace', async () => {
+  const cookie = await register('tokens@example.com');
+  const created = await call('POST', '/api/tokens', { cookie, json: { name: 'CI', quota: { requests: 100 } } });
+  assert.strictEqual(created.status, 201);
+  const { token } = created.body;
+
+  assert.strictEqual((await call('GET', '/api/analyses', { token })).status, 200);
+  assert.strictEqual((await call('GET', '/api/analyses', { token: token + 'x' })).status, 401);
+  assert.strictEqual((await call('GET', '/api/tokens', { token })).status, 403);
+  assert.strictEqual((await call('POST', '/api/workspace/members', { token, json: { email: 'someone@example.com' } })).status, 403);
+
+  assert.strictEqual((await call('DELETE', `/api/tokens/${created.body.apiToken.id}`, { cookie })).status, 200);
+  assert.strictEqual((await call('GET', '/api/analyses', { token })).status, 401);
+});
+
+test('workspaces: records and jobs of another workspace are not found', async () => {
+  const owner = { cookie: await register('alice@example.com') };
+  const { jobId, analysisId } = await analyze(owner);
+  assert.strictEqual((await call('GET', `/api/analyses/${analysisId}`, owner)).status, 200);
+
+  const other = { cookie: await register('mallory@example.com') };
+  const created = await call('POST', '/api/tokens', { ...other, json: { name: 'Scripts', quota: { requests: 100 } } });
+  const otherToken = { token: created.body.token };
+  for (const caller of [other, otherToken]) {
+    const list = await call('GET', '/api/analyses', caller);
+    assert.ok(!list.body.analyses.some(record => record.id === analysisId));
+    assert.strictEqual((await call('GET', `/api/analyses/${analysisId}`, caller)).status, 404);
+    assert.strictEqual((await call('GET', `/api/analyses/${analysisId}/export`, caller)).status, 404);
+    assert.strictEqual((await call('POST', `/api/analyses/${analysisId}/shares`, { ...caller, json: {} })).status, 404);
+    assert.strictEqual((await call('DELETE', `/api/analyses/${analysisId}`, caller)).status, 404);
+    assert.strictEqual((await call('GET', `/api/jobs/${jobId}`, caller)).status, 404);
+  }
+  // A workspace someone isn't a member of can't be switched to
+  const workspaces = await call('GET', '/api/workspace', owner);
+  const switched = await call('POST', '/api/auth/workspace', { ...other, json: { workspaceId: workspaces.body.workspace.id } });
+  assert.strictEqual(switched.status, 404);
+
+  assert.strictEqual((await call('GET', `/api/analyses/${analysisId}`, owner)).status, 200);
+});
+
+test('workspaces: cached LLM answers stay in the workspace that paid for them', async () => {
+  const run = async caller => {
+    const started = await call('POST', '/api/analyze', { ...caller, file: CSV, fields: { sentimentMethod: 'llm' } });
+    assert.strictEqual(started.status, 202);
+    const job = await waitForJob(started.body.jobId, caller);
+    assert.strictEqual(job.status, 'completed');
+    return job.result.cache;
+  };
+  const first = { cookie: await register('cache-a@example.com') };
+  assert.strictEqual((await run(first)).sentiment.hits, 0);
+  assert.strictEqual((await run(first)).sentiment.hits, COMMENTS.length);
+
+  const second = { cookie: await register('cache-b@example.com') };
+  const cache = await run(second);
+  assert.strictEqual(cache.sentiment.hits, 0);
+  assert.strictEqual(cache.classification.hits, 0);
+});
+
+test('review: the log names the caller, whatever reviewer the body claims', async () => {
+  const caller = { cookie: await register('reviewer@example.com') };
+  const { analysisId } = await analyze(caller);
+  const { body } = await call('GET', `/api/analyses/${analysisId}`, caller);
+  const theme = body.analysis.result.topics[0].title;
+
+  const reviewed = await call('POST', `/api/analyses/${analysisId}/review`, {
+    ...caller,
+    json: { action: 'rename', theme, newName: 'Renamed theme', reviewer: 'Someone else' }
+  });
+  assert.strictEqual(reviewed.status, 200);
+  const { body: review } = await call('GET', `/api/analyses/${analysisId}/review`, caller);
+  assert.deepStrictEqual(review.log.map(entry => entry.reviewer), ['reviewer']);
+});
+
+test('share links: anyone with an active link can read it, revoked, expired and unknown ones are refused', async () => {
+  const caller = { cookie: await register('sharer@example.com') };
+  const { analysisId } = await analyze(caller);
+  const create = async json => (await call('POST', `/api/analyses/${analysisId}/shares`, { ...caller, json })).body.share;
+
+  const active = await create({});
+  const shared = await call('GET', `/api/shared/${active.id}`);
+  assert.strictEqual(shared.status, 200);
+  assert.strictEqual(shared.body.shared.result.totalComments, COMMENTS.length);
+
+  const revoked = await create({});
+  assert.strictEqual((await call('DELETE', `/api/shares/${revoked.id}`, caller)).status, 200);
+  const gone = await call('GET', `/api/shared/${revoked.id}`);
+  assert.deepStrictEqual([gone.status, gone.body.error], [410, 'This share link has been revoked']);
+
+  const expired = await create({ expiresInDays: 1 });
+  const sharePath = path.join(dir, 'data', 'shares', `${expired.id}.json`);
+  const stored = JSON.parse(fs.readFileSync(sharePath, 'utf8'));
+  fs.writeFileSync(sharePath, JSON.stringify({ ...stored, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+  const old = await call('GET', `/api/shared/${expired.id}`);
+  assert.deepStrictEqual([old.status, old.body.error], [410, 'This share link has expired']);
+
+  assert.strictEqual((await call('GET', '/api/shared/no-such-token')).status, 404);
+  assert.strictEqual((await call('GET', '/api/shared/..%2Fusers')).status, 404);
+  assert.strictEqual((await call('POST', `/api/analyses/${analysisId}/shares`, { ...caller, json: { expiresInDays: 0 } })).status, 400);
+});
+
+test('share links: comment metadata is only shared with includeMetadata', async () => {
+  const caller = { cookie: await register('metadata@example.com') };
+  const csv = 'id,guest,comment\n' + COMMENTS.map((comment, index) => `${index + 1},Guest ${index + 1},"${comment}"`).join('\n') + '\n';
+  const started = await call('POST', '/api/analyze', { ...caller, file: csv, fields: { themeMode: 'offline', commentColumns: 'comment', metadataColumns: 'guest' } });
+  assert.strictEqual(started.status, 202);
+  const job = await waitForJob(started.body.jobId, caller);
+  const analysisId = job.result.analysisId;
+  const comments = async share => {
+    const { body } = await call('GET', `/api/shared/${share.id}`);
+    return body.shared.result.topics.flatMap(topic => topic.comments);
+  };
+
+  const { body: owned } = await call('GET', `/api/analyses/${analysisId}`, caller);
+  assert.ok(owned.analysis.result.topics.flatMap(topic => topic.comments).every(comment => /^Guest \d+$/.test(comment.metadata.guest)));
+
+  const plain = (await call('POST', `/api/analyses/${analysisId}/shares`, { ...caller, json: {} })).body.share;
+  assert.strictEqual(plain.includeMetadata, false);
+  assert.ok((await comments(plain)).every(comment => !('metadata' in comment)));
+
+  const withMetadata = (await call('POST', `/api/analyses/${analysisId}/shares`, { ...caller, json: { includeMetadata: true } })).body.share;
+  const shared = await comments(withMetadata);
+  assert.strictEqual(shared.length, COMMENTS.length);
+  assert.ok(shared.every(comment => /^Guest \d+$/.test(comment.metadata.guest)));
+});
+
+test('estimate: translate is only counted when it is true', async () => {
+  const caller = { cookie: await register('estimate@example.com') };
+  const estimate = async translate => (await call('POST', '/api/estimate', {
+    ...caller,
+    json: { commentCount: 100, totalChars: 5000, themeMode: 'offline', sentimentMethod: 'rules', translate }
+  })).body.estimate.byTask.translation;
+  assert.strictEqual(await estimate('false'), undefined);
+  assert.strictEqual(await estimate(false), undefined);
+  assert.ok(await estimate('true') > 0);
+  assert.ok(await estimate(true) > 0);
+});
+
+test('quotas: the last analysis allowed is only handed out once', async () => {
+  const caller = { cookie: await register('quota@example.com') };
+  assert.strictEqual((await call('PUT', '/api/workspace/quota', { ...caller, json: { quota: { analyses: 1 } } })).status, 200);
+
+  const started = await Promise.all([1, 2].map(() => call('POST', '/api/analyze', { ...caller, file: CSV, fields: { themeMode: 'offline' } })));
+  assert.deepStrictEqual(started.map(response => response.status).sort(), [202, 429]);
+  const accepted = started.find(response => response.status === 202);
+  await waitForJob(accepted.body.jobId, caller);
+
+  const { body } = await call('GET', '/api/workspace', caller);
+  assert.strictEqual(body.workspace.quota.analyses.used, 1);
+});
+
+test('quotas: a run stops when its LLM requests reach the limit', async () => {
+  const caller = { cookie: await register('requests@example.com') };
+  await call('PUT', '/api/workspace/quota', { ...caller, json: { quota: { requests: 1 } } });
+
+  const started = await call('POST', '/api/analyze', { ...caller, file: CSV });
+  assert.strictEqual(started.status, 202);
+  const job = await waitForJob(started.body.jobId, caller);
+  assert.strictEqual(job.status, 'failed');
+  assert.match(job.error, /requests quota/);
+
+  const { body } = await call('GET', '/api/workspace', caller);
+  assert.strictEqual(body.workspace.quota.requests.used, 1);
+  const refused = await call('POST', '/api/chat', { ...caller, json: { message: 'What are people unhappy about?' } });
+  assert.strictEqual(refused.status, 429);
+});
+
+// Follow the mock provider's sign-in page for `email` and return the
+// callback URL it sends the browser to
+async function providerCallback(loginLocation, email) {
+  const response = await fetch(`${loginLocation}&login_hint=${encodeURIComponent(email)}`, { redirect: 'manual' });
+  return response.headers.get('location');
+}
+
+test('single sign-on: only the browser that started a sign-in can finish it', async () => {
+  const start = await call('GET', '/api/auth/oidc/login');
+  assert.strictEqual(start.status, 302);
+  const stateCookie = start.cookies.find(value => value.startsWith('oidc_state='));
+  assert.ok(stateCookie);
+  const callback = (await providerCallback(start.location, 'sso@example.com')).replace(baseUrl, '');
+
+  // Someone else's browser (no state cookie, or another sign-in's) is turned away
+  const elsewhere = await call('GET', callback);
+  assert.match(elsewhere.location, /signInError=/);
+  assert.ok(!elsewhere.cookies.some(value => value.startsWith('session=')));
+
+  const again = await call('GET', '/api/auth/oidc/login');
+  const otherCallback = (await providerCallback(again.location, 'sso@example.com')).replace(baseUrl, '');
+  const mismatched = await call('GET', otherCallback, { cookie: stateCookie });
+  assert.match(mismatched.location, /signInError=/);
+
+  const fresh = await call('GET', '/api/auth/oidc/login');
+  const freshCallback = (await providerCallback(fresh.location, 'sso@example.com')).replace(baseUrl, '');
+  const signedIn = await call('GET', freshCallback, { cookie: fresh.cookies.find(value => value.startsWith('oidc_state=')) });
+  assert.strictEqual(signedIn.location, '/');
+  assert.strictEqual((await call('GET', '/api/analyses', { cookie: signedIn.cookie })).status, 200);
+});
+
+test('single sign-on: an identity is not linked by email to an account with a password', async () => {
+  await register('taken@example.com');
+  const start = await call('GET', '/api/auth/oidc/login');
+  const callback = (await providerCallback(start.location, 'taken@example.com')).replace(baseUrl, '');
+  const response = await call('GET', callback, { cookie: start.cookies.find(value => value.startsWith('oidc_state=')) });
+  assert.match(decodeURIComponent(response.location), /signInError=.*already has an account/);
+  assert.ok(!response.cookies.some(value => value.startsWith('session=')));
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Z_THRESHOLD, twoProportionZ, round } = require('../lib/stats');
+
+test('twoProportionZ matches hand-computed values', () => {
+  // pooled 0.15, standard error sqrt(0.15 * 0.85 * (1/100 + 1/100)) = 0.0505
+  assert.strictEqual(round(twoProportionZ(10, 100, 20, 100), 3), 1.98);
+  assert.strictEqual(round(twoProportionZ(20, 100, 10, 100), 3), -1.98);
+  // pooled 0.3, standard error sqrt(0.3 * 0.7 * (1/20 + 1/20)) = 0.1449
+  assert.strictEqual(round(twoProportionZ(2, 20, 10, 20), 3), 2.76);
+  assert.ok(twoProportionZ(10, 100, 20, 100) >= Z_THRESHOLD);
+  assert.ok(twoProportionZ(10, 100, 19, 100) < Z_THRESHOLD);
+});
+
+test('twoProportionZ is 0 without comments or without variance', () => {
+  assert.strictEqual(twoProportionZ(0, 0, 5, 10), 0);
+  assert.strictEqual(twoProportionZ(3, 10, 0, 0), 0);
+  assert.strictEqual(twoProportionZ(0, 10, 0, 20), 0);
+  assert.strictEqual(twoProportionZ(10, 10, 20, 20), 0);
+  assert.strictEqual(twoProportionZ(5, 50, 5, 50), 0);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDateColumn, buildTrends } = require('../lib/trends');
+
+const day = dates => dates.map(date => (date ? date.toISOString().substring(0, 10) : null));
+
+test('ambiguous dates are month-first unless a value in the column is only valid day-first', () => {
+  assert.deepStrictEqual(day(parseDateColumn(['03/04/2024', '12/11/2024'])), ['2024-03-04', '2024-12-11']);
+  assert.deepStrictEqual(day(parseDateColumn(['03/04/2024', '12/11/2024', '13/04/2024'])), ['2024-04-03', '2024-11-12', '2024-04-13']);
+  assert.deepStrictEqual(day(parseDateColumn(['03.04.24', '25-12-2023'])), ['2024-04-03', '2023-12-25']);
+});
+
+test('ISO dates, timestamps and Date.parse values are read, impossible dates are not', () => {
+  assert.deepStrictEqual(day(parseDateColumn([
+    '2024-01-15T10:30:00Z', '2024/02/29', '1705314600', '1705314600000', 'March 5, 2024', '2023-02-29', '31/02/2024', 'soon', ''
+  ])), ['2024-01-15', '2024-02-29', '2024-01-15', '2024-01-15', '2024-03-05', null, null, null, null]);
+});
+
+const negative = { label: 'negative', score: -0.5 };
+const positive = { label: 'positive', score: 0.5 };
+
+test('weeks start on Monday and empty periods are kept', () => {
+  const records = [
+    { date: '2024-01-03', theme: 'Noise', sentiment: negative },
+    { date: '2024-01-07', theme: 'Breakfast', sentiment: positive },
+    { date: '2024-01-08', theme: 'Noise', sentiment: positive },
+    { date: '2024-01-24', theme: 'Noise', sentiment: negative },
+    { date: 'unknown', theme: 'Noise', sentiment: negative }
+  ];
+  const trends = buildTrends(records, ['Noise', 'Breakfast'], { column: 'date', interval: 'week' });
+  assert.strictEqual(trends.interval, 'week');
+  assert.deepStrictEqual([trends.dated, trends.undated], [4, 1]);
+  assert.deepStrictEqual(trends.periods.map(period => [period.key, period.total]),
+    [['2024-01-01', 2], ['2024-01-08', 1], ['2024-01-15', 0], ['2024-01-22', 1]]);
+  assert.deepStrictEqual(trends.periods[0].themes.Noise, { count: 1, share: 0.5, negative: 1, negativeShare: 1, avgSentiment: -0.5 });
+  assert.deepStrictEqual(trends.periods[2].themes.Noise, { count: 0, share: 0, negative: 0, negativeShare: 0, avgSentiment: null });
+});
+
+test('auto picks the finest interval that fits and long daily ranges are coarsened', () => {
+  const span = [{ date: '2024-01-01', theme: 'Noise', sentiment: negative }, { date: '2024-03-31', theme: 'Noise', sentiment: negative }];
+  // 91 days: too many for auto days, 14 weeks
+  assert.strictEqual(buildTrends(span, ['Noise']).interval, 'week');
+  assert.strictEqual(buildTrends(span, ['Noise'], { interval: 'day' }).interval, 'day');
+  assert.strictEqual(buildTrends(span, ['Noise'], { interval: 'month' }).periods.length, 3);
+
+  const year = [{ date: '2023-01-01', theme: 'Noise', sentiment: negative }, { date: '2024-06-30', theme: 'Noise', sentiment: negative }];
+  const coarsened = buildTrends(year, ['Noise'], { interval: 'day' });
+  assert.deepStrictEqual([coarsened.interval, coarsened.requestedInterval], ['week', 'day']);
+  assert.strictEqual(buildTrends([{ date: 'never', theme: 'Noise', sentiment: negative }], ['Noise']), null);
+  assert.throws(() => buildTrends(span, ['Noise'], { interval: 'year' }), /trendInterval must be one of/);
+});
+
+test('a significant rise in share is an alert with its z-score', () => {
+  // January: 2 of 20 comments about Noise, February: 10 of 20
+  const records = [];
+  const add = (month, noise, total) => {
+    for (let i = 0; i < total; i++) {
+      records.push({ date: `2024-${month}-${String(i + 1).padStart(2, '0')}`, theme: i < noise ? 'Noise' : 'Breakfast', sentiment: positive });
+    }
+  };
+  add('01', 2, 20);
+  add('02', 10, 20);
+  const trends = buildTrends(records, ['Noise', 'Breakfast'], { interval: 'month' });
+  assert.deepStrictEqual(trends.alerts, [
+    { theme: 'Noise', metric: 'share', period: '2024-02', previousPeriod: '2024-01', previous: 0.1, current: 0.5, z: 2.76 }
+  ]);
+});